@@ -1,3 +1,5 @@
+const path = require('path');
+
 module.exports = {
   services: {
     apiGateway: {
@@ -29,6 +31,15 @@ module.exports = {
       key: process.env.TWELVEDATA_API_KEY
     }
   },
+  // Where market data comes from: 'twelvedata' (live API), 'file' (CSV/JSON files under
+  // dataDir) or 'fixtures' (Twelve Data responses recorded under fixturesDir; set
+  // MARKET_DATA_FIXTURE_MODE=record to capture them, replay is the default)
+  marketData: {
+    provider: process.env.MARKET_DATA_PROVIDER || 'twelvedata',
+    dataDir: process.env.MARKET_DATA_DIR || path.join(__dirname, '..', 'data', 'market'),
+    fixturesDir: process.env.MARKET_DATA_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'market-data'),
+    fixtureMode: process.env.MARKET_DATA_FIXTURE_MODE || 'replay'
+  },
   cache: {
     ttl: parseInt(process.env.CACHE_TTL_SECONDS) || 86400
   }
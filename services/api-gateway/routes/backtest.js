@@ -5,51 +5,62 @@ const router = express.Router();
 // Backtesting service URL (adjust port as needed)
 const BACKTEST_SERVICE_URL = process.env.BACKTEST_SERVICE_URL || 'http://localhost:3001';
 
-// POST /api/v1/backtest
-router.post('/backtest', async (req, res) => {
-  try {
-    console.log('📊 Backtest request received:', req.body);
-    
-    const { ticker, timeframe, quantity, startDate, endDate } = req.body;
-    
-    // Validate required fields
-    if (!ticker || !startDate || !endDate) {
+// Single backtests and the strategy list are served by the gateway itself (server.js);
+// the backtests below are run by the backtesting service and only forwarded from here.
+
+// Answer 400 before forwarding when any of the fields is missing
+function requireFields(fields) {
+  return (req, res, next) => {
+    if (fields.some(field => req.body[field] === undefined || req.body[field] === null || req.body[field] === '')) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['ticker', 'startDate', 'endDate'],
+        required: fields,
         received: req.body
       });
     }
+    next();
+  };
+}
 
-    // Forward request to backtesting service
-    const response = await axios.post(`${BACKTEST_SERVICE_URL}/backtest`, {
-      ticker,
-      timeframe: timeframe || '1D',
-      quantity: parseInt(quantity) || 1,
-      startDate,
-      endDate
-    });
-
-    console.log('✅ Backtest response:', response.data);
-    res.json(response.data);
-    
-  } catch (error) {
-    console.error('❌ Backtest error:', error.message);
-    
-    if (error.response) {
-      // Backtesting service returned an error
-      res.status(error.response.status).json({
-        error: 'Backtesting service error',
-        message: error.response.data?.message || error.message
-      });
-    } else {
-      // Network or other error
-      res.status(500).json({
-        error: 'Internal server error',
-        message: 'Could not connect to backtesting service'
-      });
+// Forward the request body to the backtesting service and relay its answer. Validation
+// errors keep the service's details (valid values and so on) next to the message.
+function forwardTo(path, label) {
+  return async (req, res) => {
+    try {
+      console.log(`📊 ${label} request received:`, req.body);
+      const response = await axios.post(`${BACKTEST_SERVICE_URL}${path}`, req.body);
+      res.json(response.data);
+    } catch (error) {
+      console.error(`❌ ${label} error:`, error.message);
+
+      if (error.response) {
+        // Backtesting service returned an error
+        res.status(error.response.status).json({
+          error: 'Backtesting service error',
+          ...error.response.data,
+          message: error.response.data?.message || error.message
+        });
+      } else {
+        // Network or other error
+        res.status(500).json({
+          error: 'Internal server error',
+          message: 'Could not connect to backtesting service'
+        });
+      }
     }
-  }
-});
+  };
+}
+
+// POST /api/v1/backtest/portfolio
+router.post('/backtest/portfolio', requireFields(['holdings', 'startDate', 'endDate', 'initialCapital']), forwardTo('/backtest/portfolio', 'Portfolio backtest'));
+
+// POST /api/v1/backtest/sweep
+router.post('/backtest/sweep', requireFields(['ticker', 'startDate', 'endDate']), forwardTo('/backtest/sweep', 'Parameter sweep'));
+
+// POST /api/v1/backtest/rolling
+router.post('/backtest/rolling', requireFields(['ticker', 'startDate', 'endDate']), forwardTo('/backtest/rolling', 'Rolling window'));
+
+// POST /api/v1/backtest/montecarlo
+router.post('/backtest/montecarlo', requireFields(['ticker', 'startDate', 'endDate']), forwardTo('/backtest/montecarlo', 'Monte Carlo'));
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,46 @@
 const express = require('express');
-const axios = require('axios');
+const mongoose = require('mongoose');
 const moment = require('moment');
+const { v4: uuid } = require('uuid');
+const { DEFAULT_STRATEGY, getStrategy, listStrategies, resolveStrategyParams, validateStrategyParams } = require('../../shared/utils/strategies');
+const { simulateStrategy } = require('../../shared/utils/backtestEngine');
+const { hasExitRules } = require('../../shared/utils/exitRules');
+const { SIZING_MODES, resolveSizing, validateSizing } = require('../../shared/utils/positionSizing');
+const { EXCHANGE_COST_DEFAULTS, resolveCosts, validateCosts } = require('../../shared/utils/tradingCosts');
+const { calculatePerformanceMetrics } = require('../../shared/utils/performanceMetrics');
+const { DCA_FREQUENCIES, compareWithBenchmarks } = require('../../shared/utils/benchmarks');
+const { WEEKDAYS, parseTimeframe, resolveResampleOptions, resampleCandles } = require('../../shared/utils/resampleUtils');
+const { ACCOUNT_TYPES, resolveWithholding, validateWithholding } = require('../../shared/utils/withholdingTax');
+const { getPaymentsPerYear, calculateStockMetrics, summarizeDividendEvents } = require('../../shared/utils/dividendIncome');
+const { PORTFOLIO_TRANSACTION_TYPES, UPCOMING_MONTHS, validatePortfolioTransaction, tradesFromPortfolioTransactions, findOversell, summarizePosition } = require('../../shared/utils/portfolioTracking');
+const { LOT_METHODS, resolveTaxLotOptions, trackTaxLots } = require('../../shared/utils/taxLots');
+const { currencyFromTicker, isValidCurrency, formatMoney, fxPairTicker, invertFxCandles, createRateLookup, convertDividends, convertSimulation } = require('../../shared/utils/currency');
+const { isTradingDay } = require('../../shared/utils/tradingCalendars');
+const { isCacheAvailable, getCachedCandles } = require('../../shared/utils/candleCache');
+const { getCachedCorporateActions } = require('../../shared/utils/corporateActionCache');
+const { PRICE_ADJUSTMENTS, resolvePriceAdjustment, adjustCandles, adjustDividends, adjustTransactions } = require('../../shared/utils/corporateActions');
+const { validateSessionId, buildRunQuery, hasRunFilters, summarizeResult, saveBacktestRun, listBacktestRuns, getBacktestRun, deleteBacktestRun, deleteBacktestRuns } = require('../../shared/utils/backtestRuns');
+const { createMarketDataProvider, isNoDataError } = require('../../shared/providers');
+const Portfolio = require('../../shared/models/Portfolio');
+const PortfolioTransaction = require('../../shared/models/PortfolioTransaction');
+const routes = require('./routes');
+const { INTRADAY_TIMEFRAMES, MAX_OUTPUT_SIZE, isIntradayTimeframe, sessionForTicker, parseExchangeDatetime, isInSession, nextSessionOpen, filterToSession, sessionRange, fetchAllPages } = require('../../shared/utils/marketSessions');
 const app = express();
 
 console.log('🚀 Starting API Gateway with Dynamic Dividend Detection and NSE/BSE Support...');
 
+// Price and dividend data source, chosen with MARKET_DATA_PROVIDER (Twelve Data by default)
+const marketData = createMarketDataProvider({ apiKey: process.env.TWELVEDATA_API_KEY || '91f9cba707bf4f819f72e7bc3f550e75' });
+console.log(`🔌 Market data provider: ${marketData.name}`);
+
+// The candle cache lives in the MongoDB shared with the other services. It is optional here:
+// without MONGODB_URI (or if the connection fails) prices are fetched from Twelve Data every time.
+if (process.env.MONGODB_URI) {
+  mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 })
+    .then(conn => console.log(`💾 Candle cache connected: ${conn.connection.host}`))
+    .catch(error => console.error('⚠️  Candle cache unavailable, fetching prices directly:', error.message));
+}
+
 // Enable JSON parsing
 app.use(express.json());
 
@@ -27,41 +63,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Function to transform ticker for Twelve Data API (Enhanced with NSE/BSE support)
-function transformTicker(ticker) {
-  // Ensure ticker is uppercase and a string
-  const tickerUpper = String(ticker).toUpperCase();
-
-  // Initialize API parameters with the original ticker
-  let apiParams = { symbol: tickerUpper };
-
-  // Handle TSX tickers (e.g., SHOP.TO)
-  if (tickerUpper.endsWith('.TO')) {
-    apiParams.symbol = tickerUpper.replace('.TO', '');
-    apiParams.exchange = 'TSX';
-    console.log(`🇨🇦 TSX ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-  } 
-  // Handle Indian tickers (e.g., NIFTY.IN or BSE:RELIANCE.IN)
-  else if (tickerUpper.endsWith('.IN')) {
-    apiParams.symbol = tickerUpper.replace('.IN', '');
-    
-    // Check for BSE prefix to differentiate BSE from NSE
-    if (tickerUpper.startsWith('BSE:')) {
-      apiParams.symbol = apiParams.symbol.replace('BSE:', '');
-      apiParams.exchange = 'BSE';
-      console.log(`🇮🇳 BSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-    } else {
-      apiParams.exchange = 'NSE';
-      console.log(`🇮🇳 NSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-    }
-  } else {
-    // Default case - assume US market if no specific exchange suffix
-    console.log(`🇺🇸 Default/US ticker: ${ticker} -> symbol: ${apiParams.symbol}`);
-  }
-
-  return apiParams;
-}
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -77,8 +78,8 @@ app.get('/health', (req, res) => {
 app.get('/api/v1/test', (req, res) => {
   res.json({ 
     message: 'API is working with Dynamic Dividend Detection and Multi-Exchange Support',
-    endpoints: ['POST /api/v1/backtest'],
-    supportedTimeframes: ['1D', '1W', '1M', '3M', '6M', '1Y'],
+    endpoints: ['POST /api/v1/backtest', 'POST /api/v1/backtest/portfolio', 'POST /api/v1/backtest/sweep', 'POST /api/v1/backtest/rolling', 'POST /api/v1/backtest/montecarlo', 'GET /api/v1/strategies'],
+    supportedTimeframes: ['5m', '15m', '1h', '1D', '1W', '1M', '3M', '6M', '1Y'],
     supportedExchanges: {
       'US': 'AAPL, MSFT, GOOGL',
       'TSX': 'SHOP.TO, RY.TO, CNQ.TO',
@@ -89,14 +90,18 @@ app.get('/api/v1/test', (req, res) => {
   });
 });
 
-// Get stock price data with proper timeframe interval (Enhanced with Multi-Exchange Support)
-async function getStockPriceData(ticker, startDate, endDate, timeframe = '1D') {
-  const TWELVEDATA_API_KEY = process.env.TWELVEDATA_API_KEY || '91f9cba707bf4f819f72e7bc3f550e75';
-  const baseURL = 'https://api.twelvedata.com';
-  
-  // Use the enhanced transformTicker function
-  const apiParams = transformTicker(ticker);
+// List available buy strategies and their default parameters
+app.get('/api/v1/strategies', (req, res) => {
+  res.json({
+    defaultStrategy: DEFAULT_STRATEGY,
+    strategies: listStrategies()
+  });
+});
 
+// Get stock price data with proper timeframe interval (Enhanced with Multi-Exchange Support).
+// Candles cover whole days from startDate to endDate (intraday: regular-session bars only);
+// provider errors throw with the response attached as apiError.
+async function fetchProviderCandles(ticker, startDate, endDate, timeframe) {
   // Map timeframe to Twelve Data API interval
   const intervalMap = {
     '1D': '1day',
@@ -107,13 +112,17 @@ async function getStockPriceData(ticker, startDate, endDate, timeframe = '1D') {
     '1Y': '1year'
   };
   
-  const apiInterval = intervalMap[timeframe] || '1day';
+  const intraday = isIntradayTimeframe(timeframe);
+  const apiInterval = intraday ? INTRADAY_TIMEFRAMES[timeframe].interval : (intervalMap[timeframe] || '1day');
   
   // Adjust date range for weekly/monthly data to ensure we get enough data points
   let adjustedStartDate = startDate;
   let adjustedEndDate = endDate;
   
-  if (timeframe === '1W') {
+  if (intraday) {
+    // Intraday end dates are exclusive (midnight), so ask for the day after
+    adjustedEndDate = moment(endDate).add(1, 'day').format('YYYY-MM-DD');
+  } else if (timeframe === '1W') {
     // Get a bit more data for weekly candles
     adjustedStartDate = moment(startDate).subtract(2, 'weeks').format('YYYY-MM-DD');
     adjustedEndDate = moment(endDate).add(1, 'week').format('YYYY-MM-DD');
@@ -123,52 +132,84 @@ async function getStockPriceData(ticker, startDate, endDate, timeframe = '1D') {
     adjustedEndDate = moment(endDate).add(1, 'month').format('YYYY-MM-DD');
   }
 
-  const params = {
-    ...apiParams,
-    interval: apiInterval,
-    start_date: adjustedStartDate,
-    end_date: adjustedEndDate,
-    apikey: TWELVEDATA_API_KEY,
-    outputsize: 5000
-  };
+  const session = sessionForTicker(ticker);
+  let exchangeTimezone = session.timezone;
 
-  try {
-    console.log(`📊 Fetching ${timeframe} price data for ${ticker} from ${adjustedStartDate} to ${adjustedEndDate}...`);
-    console.log(`🔗 API Params:`, params);
-    
-    const response = await axios.get(`${baseURL}/time_series`, { params });
-    
-    if (response.data.status === 'error') {
-      console.error('❌ Price data API error:', response.data);
-      return [];
+  console.log(`📊 Fetching ${timeframe} price data for ${ticker} from ${adjustedStartDate} to ${adjustedEndDate} (${marketData.name})...`);
+  
+  // Responses that overflow outputsize are fetched page by page
+  const values = await fetchAllPages(async (pageStart, pageEnd) => {
+    try {
+      const series = await marketData.getTimeSeries(ticker, { interval: apiInterval, startDate: pageStart, endDate: pageEnd, outputSize: MAX_OUTPUT_SIZE });
+      exchangeTimezone = series.timezone || exchangeTimezone;
+      return series.values;
+    } catch (error) {
+      if (error.apiError) {
+        console.error('❌ Price data API error:', error.apiError);
+      }
+      throw error;
     }
+  }, adjustedStartDate, adjustedEndDate);
+  
+  const candles = values
+    .map(v => ({
+      date: intraday ? parseExchangeDatetime(v.datetime, exchangeTimezone) : moment.utc(v.datetime).toDate(),
+      open: parseFloat(v.open),
+      high: parseFloat(v.high),
+      low: parseFloat(v.low),
+      close: parseFloat(v.close),
+      volume: parseInt(v.volume) || 0
+    }))
+    .filter(candle => candle.open && candle.close); // Valid price data
+  
+  // Pre- and post-market bars are not part of the regular session
+  return intraday ? filterToSession(candles, ticker) : candles;
+}
 
-    const values = response.data.values || [];
-    
-    // Convert to our format and sort by date
-    const candles = values
-      .map(v => ({
-        date: v.datetime,
-        open: parseFloat(v.open),
-        high: parseFloat(v.high),
-        low: parseFloat(v.low),
-        close: parseFloat(v.close),
-        volume: parseInt(v.volume) || 0,
-        timeframe: timeframe
-      }))
-      .filter(candle => candle.open && candle.close) // Valid price data
-      .sort((a, b) => new Date(a.date) - new Date(b.date)); // Chronological order
-    
-    // Filter to exact user period
-    const filteredCandles = candles.filter(candle => {
-      const candleDate = moment(candle.date);
-      return candleDate.isSameOrAfter(moment(startDate)) && candleDate.isSameOrBefore(moment(endDate));
-    });
-    
-    console.log(`✅ Retrieved ${filteredCandles.length} ${timeframe} candles for backtesting (${candles.length} total fetched)`);
-    return filteredCandles;
-    
+// Market prices only: daily and intraday bars go through the candle cache shared with the
+// backtesting and market data services, so only missing sessions are requested; other native
+// timeframes (1W, 1M, ...) are fetched directly. Errors propagate (with apiError from the provider).
+async function fetchPriceData(ticker, startDate, endDate, timeframe = '1D') {
+  const intraday = isIntradayTimeframe(timeframe);
+  
+  const fetched = intraday || timeframe === '1D'
+    ? await getCachedCandles(ticker, timeframe, startDate, endDate, (rangeStart, rangeEnd) => fetchProviderCandles(ticker, rangeStart, rangeEnd, timeframe))
+    : await fetchProviderCandles(ticker, startDate, endDate, timeframe);
+  
+  // Convert to our format and sort by date (intraday bars become UTC timestamps)
+  const candles = fetched
+    .map(candle => ({
+      date: intraday ? new Date(candle.date).toISOString() : moment.utc(candle.date).format('YYYY-MM-DD'),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      timeframe: timeframe
+    }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date)); // Chronological order
+  
+  // Filter to exact user period (whole exchange-local days for intraday bars)
+  const range = intraday ? sessionRange(ticker, startDate, endDate) : { start: moment(startDate).toDate(), end: moment(endDate).toDate() };
+  const filteredCandles = candles.filter(candle => {
+    const candleDate = moment(candle.date);
+    return candleDate.isSameOrAfter(range.start) && candleDate.isSameOrBefore(range.end);
+  });
+  
+  console.log(`✅ Retrieved ${filteredCandles.length} ${timeframe} candles for backtesting (${candles.length} total fetched)`);
+  return filteredCandles;
+}
+
+// Price data for backtesting: no candles when the provider has none, and mock candles when it
+// cannot be reached. Anything that values real money (FX rates, tracked portfolios) uses
+// fetchPriceData instead.
+async function getStockPriceData(ticker, startDate, endDate, timeframe = '1D') {
+  try {
+    return await fetchPriceData(ticker, startDate, endDate, timeframe);
   } catch (error) {
+    if (error.apiError) {
+      return [];
+    }
     console.error('❌ Error fetching price data:', error.message);
     
     // Generate mock data based on timeframe
@@ -180,8 +221,12 @@ async function getStockPriceData(ticker, startDate, endDate, timeframe = '1D') {
 // Generate mock price data based on timeframe and ticker (Enhanced for Indian markets)
 function generateMockPriceDataByTimeframe(startDate, endDate, timeframe, ticker) {
   const candles = [];
-  const start = moment(startDate);
-  const end = moment(endDate);
+  // Intraday bars step through exchange-local session hours
+  const intraday = isIntradayTimeframe(timeframe);
+  const session = sessionForTicker(ticker);
+  const range = intraday ? sessionRange(ticker, startDate, endDate) : null;
+  const start = intraday ? moment(range.start) : moment(startDate);
+  const end = intraday ? moment(range.end) : moment(endDate);
   
   // Set base price based on ticker type and exchange
   let currentPrice = 22.58; // Default for stocks
@@ -204,6 +249,15 @@ function generateMockPriceDataByTimeframe(startDate, endDate, timeframe, ticker)
     currentPrice = 85.50; // Default Canadian stock price
   }
   
+  // FX pairs (e.g., USD/CAD) quote small moves around a typical rate
+  const isFxPair = ticker.includes('/');
+  if (isFxPair) {
+    const [base, quote] = ticker.toUpperCase().split('/');
+    const usdRates = { USD: 1, CAD: 1.35, INR: 83.2 };
+    currentPrice = usdRates[base] && usdRates[quote] ? usdRates[quote] / usdRates[base] : 1;
+  }
+  const decimals = isFxPair ? 6 : 2;
+  
   let current = start.clone();
   
   while (current.isSameOrBefore(end)) {
@@ -233,13 +287,27 @@ function generateMockPriceDataByTimeframe(startDate, endDate, timeframe, ticker)
         volatility = ticker.includes('ETH') || ticker.includes('BTC') ? 50 : (0.5 * marketMultiplier);
         increment = { amount: 1, unit: 'day' };
     }
+    if (intraday) {
+      // Daily volatility scaled down to one bar of a 6.5 hour session
+      volatility *= Math.sqrt(INTRADAY_TIMEFRAMES[timeframe].minutes / 390);
+      increment = { amount: INTRADAY_TIMEFRAMES[timeframe].minutes, unit: 'minute' };
+    }
+    if (isFxPair) {
+      volatility = currentPrice * 0.004;
+    }
     
-    // Skip weekends for daily data (not applicable to crypto)
-    if (timeframe === '1D' && (current.day() === 0 || current.day() === 6) && 
+    // Skip weekends and exchange holidays for daily data (FX trades through holidays, crypto every day)
+    const marketClosed = isFxPair ? current.day() === 0 || current.day() === 6 : !isTradingDay(current.format('YYYY-MM-DD'), session.exchange);
+    if (timeframe === '1D' && marketClosed && 
         !ticker.includes('ETH') && !ticker.includes('BTC')) {
       current.add(1, 'day');
       continue;
     }
+    // Skip bars outside regular trading hours for intraday data
+    if (intraday && !isInSession(current, session)) {
+      current = nextSessionOpen(current, session);
+      continue;
+    }
     
     const change = (Math.random() - 0.5) * volatility;
     const open = currentPrice;
@@ -248,11 +316,11 @@ function generateMockPriceDataByTimeframe(startDate, endDate, timeframe, ticker)
     const close = open + change;
     
     candles.push({
-      date: current.format('YYYY-MM-DD'),
-      open: parseFloat(open.toFixed(2)),
-      high: parseFloat(high.toFixed(2)),
-      low: parseFloat(low.toFixed(2)),
-      close: parseFloat(close.toFixed(2)),
+      date: intraday ? current.toISOString() : current.format('YYYY-MM-DD'),
+      open: parseFloat(open.toFixed(decimals)),
+      high: parseFloat(high.toFixed(decimals)),
+      low: parseFloat(low.toFixed(decimals)),
+      close: parseFloat(close.toFixed(decimals)),
       volume: Math.floor(Math.random() * 100000) + 50000,
       timeframe: timeframe
     });
@@ -265,33 +333,86 @@ function generateMockPriceDataByTimeframe(startDate, endDate, timeframe, ticker)
   return candles;
 }
 
-// Check for dividends dynamically by calling the dividend API (Enhanced with Multi-Exchange Support)
-async function checkDividendData(ticker, startDate, endDate) {
-  const TWELVEDATA_API_KEY = process.env.TWELVEDATA_API_KEY || '91f9cba707bf4f819f72e7bc3f550e75';
-  const baseURL = 'https://api.twelvedata.com';
+// Candles for a backtest timeframe. Twelve Data serves the standard bars directly; custom
+// lengths (e.g. 10D, 2W) and custom resampling (week anchor, fiscal year, labels) are built
+// locally from daily candles. Candles are adjusted for corporateActions (see corporateActions.js);
+// longer bars are then built from adjusted daily candles so a split never lands mid-bar.
+async function getBacktestCandles(ticker, startDate, endDate, timeframe, resampleOptions = null, corporateActions = []) {
+  const nativeTimeframes = ['1D', '1W', '1M', '3M', '6M', '1Y'];
+  if (isIntradayTimeframe(timeframe)) {
+    return adjustCandles(await getStockPriceData(ticker, startDate, endDate, timeframe), corporateActions);
+  }
+  if (!resampleOptions && corporateActions.length === 0 && nativeTimeframes.includes(timeframe)) {
+    return getStockPriceData(ticker, startDate, endDate, timeframe);
+  }
   
-  console.log(`🔍 Checking dividend data for ${ticker}...`);
+  const dailyCandles = adjustCandles(await getStockPriceData(ticker, startDate, endDate, '1D'), corporateActions);
+  return timeframe === '1D' ? dailyCandles : resampleCandles(dailyCandles, timeframe, resampleOptions || {});
+}
+
+// Splits, bonus issues and spin-offs through the corporate action store shared with the market
+// data and backtesting services: only ranges never fetched go to the provider. "No data" means
+// none; other provider errors leave the range unfetched and the request gets no actions.
+async function getCorporateActions(ticker, startDate, endDate) {
+  const fetchRange = (rangeStart, rangeEnd) => marketData.getCorporateActions(ticker, { startDate: rangeStart, endDate: rangeEnd }).catch(error => {
+    if (!isNoDataError(error)) throw error;
+    console.log(`❌ Corporate actions API error for ${ticker}:`, error.apiError.message || 'Unknown error');
+    return [];
+  });
+
+  try {
+    const actions = await getCachedCorporateActions(ticker, startDate, endDate, fetchRange);
+    actions.forEach(action => console.log(`✂️ ${ticker} ${action.type} on ${action.date}: ${action.description || action.ratio || action.priceFactor}`));
+    return actions;
+  } catch (error) {
+    console.error(`❌ Error fetching corporate actions for ${ticker}:`, error.message);
+    return [];
+  }
+}
+
+// Daily FX rates converting `from` into `to` (fetched like any other ticker, e.g. CAD/USD).
+// Falls back to the inverse pair when the direct one is not quoted; null when neither is.
+// Only real quotes are used: amounts are never converted at mock rates.
+async function getFxRates(from, to, startDate, endDate) {
+  // Start a little early so the first candle has a rate to carry forward
+  const fxStartDate = moment(startDate).subtract(14, 'days').format('YYYY-MM-DD');
+  console.log(`💱 Fetching ${fxPairTicker(from, to)} rates...`);
+  const fetchPair = async pair => {
+    try {
+      return await fetchPriceData(pair, fxStartDate, endDate, '1D');
+    } catch (error) {
+      console.error(`❌ Error fetching ${pair} rates:`, error.message);
+      return [];
+    }
+  };
   
-  // Use the enhanced transformTicker function
-  const apiParams = transformTicker(ticker);
+  let fxCandles = await fetchPair(fxPairTicker(from, to));
+  if (fxCandles.length === 0) {
+    fxCandles = invertFxCandles(await fetchPair(fxPairTicker(to, from)));
+  }
+  return createRateLookup(fxCandles);
+}
+
+// Check for dividends dynamically by calling the dividend API (Enhanced with Multi-Exchange Support).
+// Per-share amounts are adjusted for corporateActions (see corporateActions.js).
+async function checkDividendData(ticker, startDate, endDate, corporateActions = []) {
+  console.log(`🔍 Checking dividend data for ${ticker}...`);
 
   // Check a longer period to ensure we catch any dividends
-  const extendedStartDate = moment(startDate).subtract(2, 'years').format('YYYY-MM-DD');
-  const extendedEndDate = moment(endDate).format('YYYY-MM-DD');
-
-  const params = {
-    ...apiParams,
-    start_date: extendedStartDate,
-    end_date: extendedEndDate,
-    apikey: TWELVEDATA_API_KEY
+  const range = {
+    startDate: moment(startDate).subtract(2, 'years').format('YYYY-MM-DD'),
+    endDate: moment(endDate).format('YYYY-MM-DD')
   };
 
   try {
-    console.log(`🔗 Dividend API Params:`, params);
-    const response = await axios.get(`${baseURL}/dividends`, { params });
+    console.log(`🔗 Dividend request (${marketData.name}):`, { ticker, ...range });
+    const dividends = await marketData.getDividends(ticker, range).catch(error => {
+      if (!error.apiError) throw error;
+      console.log(`❌ Dividend API error for ${ticker}:`, error.apiError.message || 'Unknown error');
+      return null;
+    });
     
-    if (response.data.status === 'error') {
-      console.log(`❌ Dividend API error for ${ticker}:`, response.data.message || 'Unknown error');
+    if (dividends === null) {
       return {
         hasDividends: false,
         dividends: [],
@@ -300,17 +421,8 @@ async function checkDividendData(ticker, startDate, endDate) {
       };
     }
 
-    const dividends = response.data.dividends || [];
-    
     // Filter valid dividends
-    const validDividends = dividends
-      .filter(d => d.ex_date && d.amount && parseFloat(d.amount) > 0)
-      .map(d => ({
-        exDate: d.ex_date,
-        payDate: d.payment_date,
-        recordDate: d.record_date,
-        amount: parseFloat(d.amount)
-      }));
+    const validDividends = adjustDividends(dividends.filter(d => d.exDate && d.amount > 0), corporateActions);
 
     console.log(`📊 Found ${validDividends.length} dividend payments for ${ticker}`);
     
@@ -431,273 +543,172 @@ function checkFrequency(dividends, lastExDate, daysBack, minCount, frequencyType
   return { isMatch: false };
 }
 
-// Helper function to get payments per year based on frequency
-function getPaymentsPerYear(frequency) {
-  switch (frequency) {
-    case 'monthly': return 12;
-    case 'quarterly': return 4;
-    case 'semi-annual': return 2;
-    case 'annual': return 1;
-    case 'irregular': return 4; // Default to quarterly for calculations
-    default: return 4;
-  }
+// Round every numeric field of a flat object (metrics, equity curve points) for the response
+function roundNumbers(values, decimals = 2) {
+  const rounded = {};
+  Object.keys(values).forEach(key => {
+    const value = values[key];
+    rounded[key] = typeof value === 'number' && !Number.isInteger(value)
+      ? parseFloat(value.toFixed(decimals))
+      : value;
+  });
+  return rounded;
 }
 
-// Calculate comprehensive stock metrics (for both dividend and non-dividend stocks)
-function calculateStockMetrics(backtestResults, dividendCheck, currentPrice, totalShares, totalInvestment) {
-  console.log(`📊 Calculating comprehensive stock metrics...`);
-  
-  const averageCost = backtestResults.averageCost;
-  
-  // Basic metrics (always available)
-  const basicMetrics = {
-    currentPrice: parseFloat(currentPrice.toFixed(2)),
-    averageBuyPrice: parseFloat(averageCost.toFixed(2)),
-    totalShares: totalShares,
-    totalInvestment: parseFloat(totalInvestment.toFixed(2)),
-    currentValue: parseFloat((totalShares * currentPrice).toFixed(2))
-  };
-  
-  // Dividend-specific metrics (only if stock pays dividends)
-  let dividendMetrics = {
-    dividendPerShare: 0,
-    lastDividendYield: 0,
-    ttmDividendYield: 0,
-    yieldOnCost: 0,
-    annualDividendPerShare: 0
-  };
-  
-  if (dividendCheck.hasDividends && dividendCheck.dividends && dividendCheck.dividends.length > 0) {
-    const dividends = dividendCheck.dividends;
-    
-    // Calculate dividend per share (most recent dividend amount)
-    const mostRecentDividend = dividends[dividends.length - 1];
-    const dividendPerShare = mostRecentDividend ? mostRecentDividend.amount : 0;
-    
-    // Calculate annual dividend per share based on frequency
-    const paymentsPerYear = getPaymentsPerYear(dividendCheck.frequency);
-    const annualDividendPerShare = dividendPerShare * paymentsPerYear;
-    
-    // Calculate Last Dividend Yield (annualized based on most recent dividend and frequency)
-    const lastDividendYield = currentPrice > 0 ? (annualDividendPerShare / currentPrice) * 100 : 0;
-    
-    // Calculate TTM (Trailing Twelve Months) Dividend Yield
-    const oneYearAgo = moment().subtract(12, 'months');
-    const ttmDividends = dividends.filter(d => moment(d.exDate).isAfter(oneYearAgo));
-    const ttmTotal = ttmDividends.reduce((sum, d) => sum + d.amount, 0);
-    const ttmDividendYield = currentPrice > 0 ? (ttmTotal / currentPrice) * 100 : 0;
-    
-    // Calculate Yield on Cost using your formula: (dividend * 12 months) / Average cost
-    // This uses the most recent dividend amount annualized
-    const yieldOnCost = averageCost > 0 ? (annualDividendPerShare / averageCost) * 100 : 0;
-    
-    dividendMetrics = {
-      dividendPerShare: parseFloat(dividendPerShare.toFixed(4)),
-      lastDividendYield: parseFloat(lastDividendYield.toFixed(2)),
-      ttmDividendYield: parseFloat(ttmDividendYield.toFixed(2)),
-      yieldOnCost: parseFloat(yieldOnCost.toFixed(2)),
-      annualDividendPerShare: parseFloat(annualDividendPerShare.toFixed(4))
-    };
-    
-    console.log(`💎 Dividend Metrics Calculated:`);
-    console.log(`   Most Recent Dividend per Share: $${dividendPerShare.toFixed(4)}`);
-    console.log(`   Annual Dividend per Share: $${annualDividendPerShare.toFixed(4)} (${paymentsPerYear}x per year)`);
-    console.log(`   Current Price: $${currentPrice.toFixed(2)}`);
-    console.log(`   Average Cost: $${averageCost.toFixed(2)}`);
-    console.log(`   Last Dividend Yield: ${lastDividendYield.toFixed(2)}%`);
-    console.log(`   TTM Dividend Yield: ${ttmDividendYield.toFixed(2)}% (${ttmDividends.length} payments)`);
-    console.log(`   Yield on Cost: ${yieldOnCost.toFixed(2)}%`);
-  } else {
-    console.log(`📊 No dividends available - dividend metrics set to 0`);
+// Human-readable description of the position sizing mode for logs
+function describeSizing(sizing, quantity, currency = 'USD') {
+  const resolved = resolveSizing(sizing || {}, quantity);
+  switch (resolved.mode) {
+    case 'amount':
+      return `${formatMoney(resolved.amount, currency)} per signal${resolved.fractional ? ', fractional shares' : ''}`;
+    case 'percentCash':
+      return `${resolved.percent}% of available cash`;
+    case 'volatility':
+      return `risk ${formatMoney(resolved.riskAmount, currency)} per ${resolved.lookback}-candle average range`;
+    default:
+      return `${resolved.quantity} shares`;
   }
-  
-  return {
-    ...basicMetrics,
-    ...dividendMetrics
-  };
 }
 
-// Updated backtest function with timeframe-aware logic
-function backtestRedCandleStrategy(candles, quantityPerTrade, timeframe) {
-  const transactions = [];
-  let totalShares = 0;
-  let totalInvestment = 0;
-  
-  console.log(`🎯 Backtesting red candle strategy with ${candles.length} ${timeframe} candles...`);
-  console.log(`📈 Strategy: Buy ${quantityPerTrade} shares on each red ${timeframe} candle`);
-  
-  candles.forEach((candle, index) => {
-    const isRedCandle = candle.open > candle.close;
-    
-    if (isRedCandle) {
-      const cost = quantityPerTrade * candle.close;
-      
-      // Determine the trade date based on timeframe
-      let tradeDate = candle.date;
-      if (timeframe === '1W') {
-        // For weekly candles, trade on the Friday of that week (or last trading day)
-        tradeDate = moment(candle.date).endOf('isoWeek').subtract(2, 'days').format('YYYY-MM-DD');
-      } else if (timeframe === '1M') {
-        // For monthly candles, trade on the last trading day of the month
-        tradeDate = moment(candle.date).endOf('month').format('YYYY-MM-DD');
-      }
-      
-      transactions.push({
-        date: tradeDate,
-        candleDate: candle.date,
-        action: 'BUY',
-        quantity: quantityPerTrade,
-        price: candle.close,
-        cost: cost,
-        candleType: 'red',
-        timeframe: timeframe,
-        candleIndex: index + 1
-      });
-      
-      totalShares += quantityPerTrade;
-      totalInvestment += cost;
-      
-      const candleTypeLabel = timeframe === '1D' ? 'daily' : timeframe === '1W' ? 'weekly' : 'monthly';
-      console.log(`🔴 Red ${candleTypeLabel} candle on ${candle.date}: Buy ${quantityPerTrade} shares at $${candle.close}`);
+// Exchange label from the ticker format
+function detectExchange(ticker) {
+  if (ticker.toUpperCase().endsWith('.TO')) {
+    return '🇨🇦 TSX (Toronto Stock Exchange)';
+  }
+  if (ticker.toUpperCase().endsWith('.IN')) {
+    if (ticker.toUpperCase().startsWith('BSE:')) {
+      return '🇮🇳 BSE (Bombay Stock Exchange)';
     }
-  });
-  
-  console.log(`📊 Backtest complete:`);
-  console.log(`   - Red ${timeframe} candle periods: ${transactions.length}`);
-  console.log(`   - Total shares purchased: ${totalShares}`);
-  console.log(`   - Total investment: $${totalInvestment.toFixed(2)}`);
-  console.log(`   - Average cost per share: $${(totalInvestment / totalShares || 0).toFixed(2)}`);
-  
-  return {
-    transactions,
-    totalShares,
-    totalInvestment,
-    redCandlePeriods: transactions.length,
-    averageCost: totalInvestment / totalShares || 0,
-    lastPrice: candles[candles.length - 1]?.close || 0,
-    timeframe: timeframe
-  };
-}
-
-// Generate dividend schedule for assets that pay dividends
-function generateDividendSchedule(startDate, endDate, frequency, dividends) {
-  if (!dividends || dividends.length === 0) {
-    return [];
+    return '🇮🇳 NSE (National Stock Exchange of India)';
   }
+  return 'US Market (Default)';
+}
 
-  const schedule = [];
-  const start = moment(startDate);
-  const end = moment(endDate);
+// Run the requested strategy (red candle by default) with timeframe-aware trade dates.
+// currency is the listing currency; with fx ({ rateOn, from, to }) every amount in the
+// result is converted into fx.to at its own date.
+function backtestStrategy(candles, timeframe, options = {}) {
+  // Remaining options (exit rules, dividends, cash settings) go straight to the engine
+  const { quantity = 10, strategy = DEFAULT_STRATEGY, currency = 'USD', fx = null, ...engineOptions } = options;
+  const strategyLabel = getStrategy(strategy).label;
   
-  console.log(`📅 Generating dividend schedule from ${startDate} to ${endDate} for ${frequency} frequency`);
+  console.log(`🎯 Backtesting ${strategyLabel} strategy with ${candles.length} ${timeframe} candles...`);
+  console.log(`📈 Strategy: Buy on each ${strategyLabel} ${timeframe} signal (${describeSizing(options.sizing, quantity, currency)})`);
   
-  // Use actual dividend data to create schedule
-  const filteredDividends = dividends.filter(d => {
-    const exDate = moment(d.exDate);
-    return exDate.isSameOrAfter(start) && exDate.isSameOrBefore(end);
-  });
+  const localSimulation = simulateStrategy(candles, { ...engineOptions, strategy, quantity });
+  const simulation = fx ? convertSimulation(localSimulation, fx.rateOn, fx) : localSimulation;
+  const reportedCurrency = fx ? fx.to : currency;
+  if (fx) {
+    console.log(`💱 Reporting in ${fx.to}: ${fxPairTicker(fx.from, fx.to)} ${simulation.fx.startRate.toFixed(4)} -> ${simulation.fx.endRate.toFixed(4)} (${simulation.fx.rateChangePercent.toFixed(2)}%)`);
+  }
   
-  filteredDividends.forEach(dividend => {
-    schedule.push({
-      exDate: dividend.exDate,
-      payDate: dividend.payDate,
-      amountPerShare: dividend.amount,
-      year: moment(dividend.exDate).year(),
-      period: frequency === 'monthly' ? moment(dividend.exDate).month() + 1 : moment(dividend.exDate).quarter()
-    });
-  });
+  if (hasExitRules(simulation.exitRules)) {
+    console.log(`🚪 Exit rules:`, simulation.exitRules);
+  }
+  if (simulation.costs.config) {
+    console.log(`💸 Trading costs (${simulation.costs.config.exchange}): ${formatMoney(simulation.costs.totalFees, reportedCurrency)} fees, ${formatMoney(simulation.costs.slippage, reportedCurrency)} slippage`);
+  }
+  if (simulation.portfolio) {
+    console.log(`💼 Cash-constrained mode: starting capital ${formatMoney(simulation.portfolio.initialCapital, reportedCurrency)}, ${simulation.portfolio.skippedBuys} buys skipped, ${simulation.portfolio.scaledBuys} scaled down`);
+  }
   
-  console.log(`📊 Generated ${schedule.length} dividend periods for ${frequency} frequency`);
-  return schedule.sort((a, b) => new Date(a.exDate) - new Date(b.exDate));
-}
-
-function calculateSharesOwnedOnDate(transactions, targetDate) {
-  let sharesOwned = 0;
-  const target = new Date(targetDate);
+  const candleTypeLabel = isIntradayTimeframe(timeframe) ? INTRADAY_TIMEFRAMES[timeframe].label : timeframe === '1D' ? 'daily' : timeframe === '1W' ? 'weekly' : timeframe === '1M' ? 'monthly' : timeframe;
   
-  for (const transaction of transactions) {
-    const transactionDate = new Date(transaction.date);
-    
-    // Only count transactions that occurred before or on the ex-date
-    if (transactionDate <= target) {
-      if (transaction.action === 'BUY') {
-        sharesOwned += transaction.quantity;
-      } else if (transaction.action === 'SELL') {
-        sharesOwned -= transaction.quantity;
-      }
+  const transactions = simulation.transactions.map(tx => {
+    const candle = candles[tx.candleIndex];
+    
+    // Determine the trade date based on timeframe (locally resampled bars are already
+    // dated with a session in the period)
+    let tradeDate = candle.date;
+    if (candle.periodEnd) {
+      tradeDate = moment(candle.date).format('YYYY-MM-DD');
+    } else if (timeframe === '1W') {
+      // For weekly candles, trade on the Friday of that week (or last trading day)
+      tradeDate = moment(candle.date).endOf('isoWeek').subtract(2, 'days').format('YYYY-MM-DD');
+    } else if (timeframe === '1M') {
+      // For monthly candles, trade on the last trading day of the month
+      tradeDate = moment(candle.date).endOf('month').format('YYYY-MM-DD');
     }
-  }
-  
-  return sharesOwned;
-}
-
-// Calculate dividend income for assets that pay dividends
-function calculateDividendIncome(transactions, dividends, startDate, endDate) {
-  if (!dividends || dividends.length === 0) {
-    console.log('📊 No dividends to calculate');
+    
+    if (tx.type === 'DRIP') {
+      console.log(`💧 Dividend reinvested on ${candleTypeLabel} candle ${candle.date}: ${tx.quantity} shares at ${formatMoney(tx.price, reportedCurrency)} (${formatMoney(tx.totalCost, reportedCurrency)})`);
+    } else if (tx.type === 'SELL') {
+      console.log(`🟢 ${tx.exitReason} on ${candleTypeLabel} candle ${candle.date}: Sell ${tx.quantity} shares at ${formatMoney(tx.price, reportedCurrency)} (trade #${tx.tradeId})`);
+    } else {
+      console.log(`🔴 ${strategyLabel} signal on ${candleTypeLabel} candle ${candle.date}: Buy ${tx.quantity} shares at ${formatMoney(tx.price, reportedCurrency)} (${formatMoney(tx.totalCost, reportedCurrency)})`);
+    }
+    
     return {
-      totalDividendIncome: 0,
-      dividendDetails: [],
-      totalDividendPeriods: 0,
-      periodsWithIncome: 0
+      date: tradeDate,
+      candleDate: candle.date,
+      action: tx.type,
+      quantity: tx.quantity,
+      price: tx.price,
+      fees: tx.fees || 0,
+      cost: tx.totalCost,
+      candleType: candle.open > candle.close ? 'red' : 'green',
+      timeframe: timeframe,
+      candleIndex: tx.candleIndex + 1,
+      tradeId: tx.tradeId,
+      exitReason: tx.exitReason
     };
-  }
-
-  console.log(`💰 Calculating dividend income from ${dividends.length} dividend payments...`);
-  
-  // Sort transactions by date
-  const sortedTransactions = transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
-  
-  // Generate dividend schedule for the period
-  const dividendSchedule = generateDividendSchedule(startDate, endDate, 'quarterly', dividends);
+  });
   
-  let totalDividendIncome = 0;
-  const dividendDetails = [];
+  const { tradeStats } = simulation;
   
-  for (const dividend of dividendSchedule) {
-    // Calculate how many shares were owned on this ex-date
-    const sharesOwnedOnExDate = calculateSharesOwnedOnDate(sortedTransactions, dividend.exDate);
-    const dividendIncome = sharesOwnedOnExDate * dividend.amountPerShare;
-    
-    totalDividendIncome += dividendIncome;
-    
-    const status = sharesOwnedOnExDate > 0 ? 
-      (moment().isAfter(moment(dividend.exDate)) ? 'paid' : 'upcoming') : 
-      'not_eligible';
-    
-    dividendDetails.push({
-      exDate: dividend.exDate,
-      payDate: dividend.payDate,
-      amountPerShare: dividend.amountPerShare,
-      sharesOwned: sharesOwnedOnExDate,
-      totalIncome: dividendIncome,
-      year: dividend.year,
-      period: dividend.period,
-      status: status
-    });
-    
-    const statusEmoji = status === 'paid' ? '✅' : status === 'upcoming' ? '🔄' : '❌';
-    console.log(`   ${statusEmoji} ${dividend.exDate}: ${sharesOwnedOnExDate} shares × ${dividend.amountPerShare} = ${dividendIncome.toFixed(2)} (${status})`);
+  console.log(`📊 Backtest complete:`);
+  console.log(`   - ${strategyLabel} ${timeframe} signal periods: ${simulation.signalCount}`);
+  console.log(`   - Shares still held: ${simulation.totalShares}`);
+  console.log(`   - Total investment: ${formatMoney(simulation.totalInvestment, reportedCurrency)}`);
+  console.log(`   - Average cost per share: ${formatMoney(simulation.averageCost, reportedCurrency)}`);
+  if (tradeStats.closedTrades > 0) {
+    console.log(`   - Closed trades: ${tradeStats.closedTrades} (win rate ${tradeStats.winRate.toFixed(1)}%)`);
+    console.log(`   - Realized P&L: ${formatMoney(simulation.realizedPnL, reportedCurrency)}`);
   }
   
-  console.log(`   💎 Total dividend income received: ${totalDividendIncome.toFixed(2)}`);
-  
   return {
-    totalDividendIncome,
-    dividendDetails,
-    totalDividendPeriods: dividendSchedule.length,
-    periodsWithIncome: dividendDetails.filter(d => d.totalIncome > 0).length
+    transactions,
+    trades: simulation.trades,
+    tradeStats,
+    totalShares: simulation.totalShares,
+    totalInvestment: simulation.totalInvestment,
+    totalProceeds: simulation.totalProceeds,
+    openCostBasis: simulation.openCostBasis,
+    realizedPnL: simulation.realizedPnL,
+    unrealizedPnL: simulation.unrealizedPnL,
+    redCandlePeriods: candles.filter(candle => candle.open > candle.close).length,
+    signalPeriods: simulation.signalCount,
+    averageCost: simulation.averageCost,
+    lastPrice: simulation.lastPrice,
+    timeframe: timeframe,
+    strategy: simulation.strategy,
+    strategyParams: simulation.strategyParams,
+    sizing: simulation.sizing,
+    exitRules: simulation.exitRules,
+    portfolio: simulation.portfolio,
+    drip: simulation.drip,
+    costs: simulation.costs,
+    withholding: simulation.withholding,
+    dividendEvents: simulation.dividendEvents,
+    corporateActions: simulation.corporateActions,
+    equityCurve: simulation.equityCurve,
+    currency: reportedCurrency,
+    fx: simulation.fx || null,
+    // Unconverted engine result (benchmark comparisons run in the listing currency)
+    localSimulation
   };
 }
 
-// Generate dividend history for assets that pay dividends
-function generateDividendHistory(frequency, transactions, startDate, endDate, dividends) {
-  if (!dividends || dividends.length === 0) {
+// Generate dividend history for assets that pay dividends, from the engine's dividend events
+function generateDividendHistory(frequency, dividendEvents, startDate, endDate) {
+  if (!dividendEvents || dividendEvents.length === 0) {
     return {
       dividendHistory: [],
       totalDividendIncome: 0,
       dividendCalculation: {
         totalDividendIncome: 0,
+        totalGrossDividendIncome: 0,
+        totalWithheldTax: 0,
         dividendDetails: [],
         totalDividendPeriods: 0,
         periodsWithIncome: 0
@@ -713,8 +724,8 @@ function generateDividendHistory(frequency, transactions, startDate, endDate, di
   
   console.log(`📅 Generating dividend history: ${startDate} to ${endDate}`);
   
-  // Calculate dividend income
-  const dividendCalculation = calculateDividendIncome(transactions, dividends, startDate, endDate);
+  // Dividend income as the engine credited it (net of withholding, DRIP shares included)
+  const dividendCalculation = summarizeDividendEvents(dividendEvents);
   
   for (let year = startYear; year <= endYear; year++) {
     const yearStart = moment().year(year).startOf('year');
@@ -733,7 +744,6 @@ function generateDividendHistory(frequency, transactions, startDate, endDate, di
     
     if (yearDividends.length > 0) {
       let payments = [];
-      let totalAmount = 0;
       
       if (frequency === 'monthly') {
         const labels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -743,8 +753,6 @@ function generateDividendHistory(frequency, transactions, startDate, endDate, di
           const monthlyAmount = monthDividends.reduce((sum, d) => sum + d.totalIncome, 0);
           const status = monthDividends.length > 0 ? monthDividends[0].status : 'pending';
           
-          totalAmount += monthlyAmount;
-          
           payments.push({
             period: m + 1,
             amount: parseFloat(monthlyAmount.toFixed(2)),
@@ -760,8 +768,6 @@ function generateDividendHistory(frequency, transactions, startDate, endDate, di
           const quarterlyAmount = quarterDividends.reduce((sum, d) => sum + d.totalIncome, 0);
           const status = quarterDividends.length > 0 ? quarterDividends[0].status : 'pending';
           
-          totalAmount += quarterlyAmount;
-          
           payments.push({
             period: q,
             amount: parseFloat(quarterlyAmount.toFixed(2)),
@@ -771,10 +777,17 @@ function generateDividendHistory(frequency, transactions, startDate, endDate, di
         }
       }
       
+      // Year totals from every event, whatever the payment frequency
+      const totalAmount = yearDividends.reduce((sum, d) => sum + d.totalIncome, 0);
+      const grossAmount = yearDividends.reduce((sum, d) => sum + d.grossIncome, 0);
+      const withheldTax = yearDividends.reduce((sum, d) => sum + d.withheldTax, 0);
+      
       history.push({
         year: year,
         frequency: frequency,
         totalAmount: parseFloat(totalAmount.toFixed(2)),
+        grossAmount: parseFloat(grossAmount.toFixed(2)),
+        withheldTax: parseFloat(withheldTax.toFixed(2)),
         payments: payments,
         periodStart: periodStart.format('YYYY-MM-DD'),
         periodEnd: periodEnd.format('YYYY-MM-DD'),
@@ -857,7 +870,7 @@ app.post('/api/v1/backtest', async (req, res) => {
   try {
     console.log('📊 Backtest request received:', req.body);
     
-    const { ticker, timeframe = '1D', quantity, startDate, endDate } = req.body;
+    const { ticker, timeframe = '1D', quantity, startDate, endDate, strategy = DEFAULT_STRATEGY, strategyParams = {}, exitRules = {}, sizing = {}, initialCapital, cashInterestRate, reinvestDividends = false, riskFreeRate, benchmark, costs, withholdingTax, reportingCurrency, taxLots, resampling, priceAdjustment, sessionId: requestedSessionId } = req.body;
     
     if (!ticker || !startDate || !endDate) {
       return res.status(400).json({
@@ -867,39 +880,168 @@ app.post('/api/v1/backtest', async (req, res) => {
       });
     }
 
-    const quantityPerTrade = parseInt(quantity) || 10;
+    const quantityPerTrade = parseFloat(quantity) || 10;
     
     // Detect exchange from ticker format
-    let exchangeInfo = 'US Market (Default)';
-    if (ticker.toUpperCase().endsWith('.TO')) {
-      exchangeInfo = '🇨🇦 TSX (Toronto Stock Exchange)';
-    } else if (ticker.toUpperCase().endsWith('.IN')) {
-      if (ticker.toUpperCase().startsWith('BSE:')) {
-        exchangeInfo = '🇮🇳 BSE (Bombay Stock Exchange)';
-      } else {
-        exchangeInfo = '🇮🇳 NSE (National Stock Exchange of India)';
-      }
+    const exchangeInfo = detectExchange(ticker);
+    
+    // Prices come in the listing currency; results can be reported in another one
+    const listingCurrency = currencyFromTicker(ticker);
+    if (reportingCurrency !== undefined && !isValidCurrency(reportingCurrency)) {
+      return res.status(400).json({
+        error: 'Invalid reportingCurrency',
+        message: 'reportingCurrency must be a 3-letter currency code such as USD, CAD or INR',
+        received: reportingCurrency
+      });
     }
+    const targetCurrency = reportingCurrency ? reportingCurrency.toUpperCase() : listingCurrency;
     
     console.log(`🎯 Backtesting Strategy:`);
     console.log(`   - Ticker: ${ticker} (${exchangeInfo})`);
     console.log(`   - Timeframe: ${timeframe} candles`);
     console.log(`   - Period: ${startDate} to ${endDate}`);
-    console.log(`   - Quantity per red ${timeframe} candle: ${quantityPerTrade} shares`);
     
     // Validate timeframe
-    const validTimeframes = ['1D', '1W', '1M', '3M', '6M', '1Y'];
-    if (!validTimeframes.includes(timeframe)) {
+    const validTimeframes = [...Object.keys(INTRADAY_TIMEFRAMES), '1D', '1W', '1M', '3M', '6M', '1Y'];
+    if (!validTimeframes.includes(timeframe) && !parseTimeframe(timeframe)) {
       return res.status(400).json({
         error: 'Invalid timeframe',
+        message: 'Use one of validTimeframes or a custom length such as 10D, 2W or 2M',
         validTimeframes: validTimeframes,
         received: timeframe
       });
     }
     
-    // Step 1: Get historical price data
-    console.log(`📈 Step 1: Fetching price data...`);
-    const candles = await getStockPriceData(ticker, startDate, endDate, timeframe);
+    // Validate strategy
+    if (!getStrategy(strategy)) {
+      return res.status(400).json({
+        error: 'Invalid strategy',
+        validStrategies: listStrategies().map(s => s.key),
+        received: strategy
+      });
+    }
+    const strategyParamsError = validateStrategyParams(strategy, strategyParams);
+    if (strategyParamsError) {
+      return res.status(400).json({
+        error: 'Invalid strategyParams',
+        message: strategyParamsError,
+        defaultParams: getStrategy(strategy).defaultParams,
+        received: strategyParams
+      });
+    }
+    const resolvedStrategyParams = resolveStrategyParams(strategy, strategyParams);
+    console.log(`   - Strategy: ${strategy}`, resolvedStrategyParams);
+    
+    // Validate optional cash-constrained mode
+    const startingCapital = initialCapital !== undefined && initialCapital !== null ? parseFloat(initialCapital) : null;
+    if (startingCapital !== null && (isNaN(startingCapital) || startingCapital <= 0)) {
+      return res.status(400).json({
+        error: 'Invalid initialCapital',
+        message: 'initialCapital must be a positive number',
+        received: initialCapital
+      });
+    }
+    const interestRate = parseFloat(cashInterestRate) || 0;
+    if (startingCapital !== null) {
+      console.log(`   - Starting capital: ${formatMoney(startingCapital, listingCurrency)} (cash interest ${interestRate}%/yr)`);
+    }
+    
+    // Validate position sizing mode
+    const resolvedSizing = resolveSizing(sizing, quantityPerTrade);
+    const sizingError = validateSizing(resolvedSizing, { cashMode: startingCapital !== null });
+    if (sizingError) {
+      return res.status(400).json({
+        error: 'Invalid sizing',
+        message: sizingError,
+        validModes: SIZING_MODES,
+        received: sizing
+      });
+    }
+    
+    // Validate optional trading costs (exchange defaults come from the ticker)
+    const resolvedCosts = resolveCosts(costs, ticker);
+    const costsError = validateCosts(resolvedCosts);
+    if (costsError) {
+      return res.status(400).json({
+        error: 'Invalid costs',
+        message: costsError,
+        validExchanges: Object.keys(EXCHANGE_COST_DEFAULTS),
+        received: costs
+      });
+    }
+    
+    // Validate optional dividend withholding tax (the payer's country comes from the ticker)
+    const resolvedWithholding = resolveWithholding(withholdingTax, ticker);
+    const withholdingError = validateWithholding(resolvedWithholding);
+    if (withholdingError) {
+      return res.status(400).json({
+        error: 'Invalid withholdingTax',
+        message: withholdingError,
+        validAccountTypes: ACCOUNT_TYPES,
+        received: withholdingTax
+      });
+    }
+
+    // Validate optional resampling (week anchor, fiscal year start, bar labels, partial periods)
+    const { options: resampleOptions, error: resamplingError } = resolveResampleOptions(resampling);
+    if (resamplingError) {
+      return res.status(400).json({
+        error: 'Invalid resampling',
+        message: resamplingError,
+        validWeekEnds: WEEKDAYS,
+        received: resampling
+      });
+    }
+
+    // Validate optional price basis: adjusted for corporate actions (default) or raw as traded
+    const { mode: adjustment, error: adjustmentError } = resolvePriceAdjustment(priceAdjustment);
+    if (adjustmentError) {
+      return res.status(400).json({
+        error: 'Invalid priceAdjustment',
+        message: adjustmentError,
+        validAdjustments: PRICE_ADJUSTMENTS,
+        received: priceAdjustment
+      });
+    }
+    const sessionIdError = validateSessionId(requestedSessionId);
+    if (sessionIdError) {
+      return res.status(400).json({
+        error: 'Invalid sessionId',
+        message: sessionIdError,
+        received: requestedSessionId
+      });
+    }
+    console.log(`   - Sizing per ${timeframe} signal: ${describeSizing(resolvedSizing, quantityPerTrade, listingCurrency)}`);
+    
+    // Validate optional benchmark comparison
+    const dcaFrequency = benchmark?.dcaFrequency || 'monthly';
+    if (benchmark && !DCA_FREQUENCIES.includes(dcaFrequency)) {
+      return res.status(400).json({
+        error: 'Invalid benchmark',
+        message: 'benchmark.dcaFrequency must be weekly or monthly',
+        validFrequencies: DCA_FREQUENCIES,
+        received: benchmark
+      });
+    }
+    
+    // Validate optional tax lot tracking (user-supplied transactions are in the listing currency)
+    const taxLotConfig = resolveTaxLotOptions(taxLots);
+    if (taxLotConfig.error) {
+      return res.status(400).json({
+        error: 'Invalid taxLots',
+        message: taxLotConfig.error,
+        validMethods: LOT_METHODS,
+        received: taxLots
+      });
+    }
+    
+    // Step 1: Get historical price data. Adjusted runs rebase prices and dividends for the
+    // period's corporate actions; raw runs keep them as traded and the engine rebases the shares held.
+    console.log(`📈 Step 1: Fetching price data (${adjustment} prices)...`);
+    const corporateActions = await getCorporateActions(ticker, startDate, endDate);
+    const adjustFor = adjustment === 'adjusted' ? corporateActions : [];
+    const rawActions = adjustment === 'raw' ? corporateActions : [];
+    const candles = await getBacktestCandles(ticker, startDate, endDate, timeframe, resampleOptions, adjustFor);
     
     if (candles.length === 0) {
       return res.status(400).json({
@@ -914,28 +1056,67 @@ app.post('/api/v1/backtest', async (req, res) => {
       });
     }
     
-    // Step 2: Run backtest strategy
-    console.log(`📊 Step 2: Running backtest strategy...`);
-    const backtestResults = backtestRedCandleStrategy(candles, quantityPerTrade, timeframe);
+    // FX rates for each transaction and dividend date when reporting in another currency
+    let fx = null;
+    if (targetCurrency !== listingCurrency) {
+      const rateOn = await getFxRates(listingCurrency, targetCurrency, startDate, endDate);
+      if (!rateOn) {
+        return res.status(400).json({
+          error: 'No FX data available',
+          message: `Could not fetch ${fxPairTicker(listingCurrency, targetCurrency)} rates for ${startDate} to ${endDate}`,
+          received: reportingCurrency
+        });
+      }
+      fx = { rateOn, from: listingCurrency, to: targetCurrency };
+    }
+    
+    // Step 2: Check for dividends dynamically (cash mode needs them during the simulation)
+    console.log(`💰 Step 2: Checking dividend data...`);
+    const dividendCheck = await checkDividendData(ticker, startDate, endDate, adjustFor);
+    // Same dividends with amounts in the reporting currency, for income and yield figures
+    const reportedDividendCheck = fx
+      ? { ...dividendCheck, dividends: convertDividends(dividendCheck.dividends, fx.rateOn) }
+      : dividendCheck;
     
-    // Step 3: Check for dividends dynamically
-    console.log(`💰 Step 3: Checking dividend data...`);
-    const dividendCheck = await checkDividendData(ticker, startDate, endDate);
+    // Step 3: Run backtest strategy
+    console.log(`📊 Step 3: Running backtest strategy...`);
+    const backtestResults = backtestStrategy(candles, timeframe, {
+      quantity: quantityPerTrade,
+      sizing: resolvedSizing,
+      strategy,
+      strategyParams: resolvedStrategyParams,
+      exitRules,
+      dividends: dividendCheck.dividends,
+      initialCapital: startingCapital,
+      cashInterestRate: interestRate,
+      reinvestDividends: reinvestDividends === true || reinvestDividends === 'true',
+      costs: resolvedCosts,
+      withholding: resolvedWithholding,
+      corporateActions: rawActions,
+      currency: listingCurrency,
+      fx
+    });
     
     // Calculate basic performance metrics
     const totalShares = backtestResults.totalShares;
     const totalInvestment = backtestResults.totalInvestment;
     const currentPrice = backtestResults.lastPrice;
     const totalValueToday = totalShares * currentPrice;
-    const pnL = totalValueToday - totalInvestment;
+    // Realized gains from closed trades plus the mark-to-market of what is still held
+    const realizedPnL = backtestResults.realizedPnL;
+    const unrealizedPnL = backtestResults.unrealizedPnL;
+    const pnL = realizedPnL + unrealizedPnL;
     const pnLPercent = totalInvestment > 0 ? (pnL / totalInvestment) * 100 : 0;
     
     // Step 4: Calculate comprehensive stock metrics (for both dividend and non-dividend stocks)
     console.log(`📊 Step 4: Calculating comprehensive stock metrics...`);
-    const stockMetrics = calculateStockMetrics(backtestResults, dividendCheck, currentPrice, totalShares, totalInvestment);
+    const stockMetrics = calculateStockMetrics(backtestResults, reportedDividendCheck, currentPrice, totalShares, totalInvestment, targetCurrency);
     
     // Calculate dividend income only if dividends exist
+    // Net of withholding tax when withholdingTax is set (gross otherwise)
     let actualDividendIncome = 0;
+    let grossDividendIncome = 0;
+    let dividendTaxWithheld = 0;
     let dividendResults = { dividendHistory: [], totalDividendIncome: 0, dividendCalculation: null };
     let dividendFrequency = dividendCheck.frequency || 'none';
     let dividendFrequencyConfidence = dividendCheck.confidence || 'high';
@@ -944,15 +1125,13 @@ app.post('/api/v1/backtest', async (req, res) => {
     if (dividendCheck.hasDividends) {
       console.log(`✅ ${ticker} pays dividends - calculating dividend income...`);
       
-      dividendResults = generateDividendHistory(
-        dividendFrequency, 
-        backtestResults.transactions, 
-        startDate, 
-        endDate,
-        dividendCheck.dividends
-      );
+      // Entitlements come from the engine, which counts shares held before each ex-date candle
+      // (after any splits on raw prices) and compounds DRIP shares
+      dividendResults = generateDividendHistory(dividendFrequency, backtestResults.dividendEvents, startDate, endDate);
       
       actualDividendIncome = dividendResults.totalDividendIncome;
+      grossDividendIncome = dividendResults.dividendCalculation.totalGrossDividendIncome;
+      dividendTaxWithheld = dividendResults.dividendCalculation.totalWithheldTax;
       dividendFrequencyConfidence = dividendCheck.confidence || 'medium';
       dividendFrequencyReason = dividendCheck.frequencyReason || `Estimated from dividend data`;
     } else {
@@ -963,22 +1142,91 @@ app.post('/api/v1/backtest', async (req, res) => {
     const pnLWithDividendPercent = totalInvestment > 0 ? (pnLWithDividend / totalInvestment) * 100 : 0;
     const totalDivPercent = totalInvestment > 0 ? (actualDividendIncome / totalInvestment) * 100 : 0;
     
+    // DRIP purchases grouped by year (empty unless reinvestDividends is on)
+    const dripByYear = {};
+    backtestResults.transactions
+      .filter(tx => tx.action === 'DRIP')
+      .forEach(tx => {
+        const year = moment(tx.date).year();
+        dripByYear[year] = dripByYear[year] || { shares: 0, amount: 0 };
+        dripByYear[year].shares += tx.quantity;
+        dripByYear[year].amount += tx.cost;
+      });
+    
     // Generate yearly dividends based on actual ownership
     const yearlyDividends = [];
     if (dividendCheck.hasDividends) {
       for (const yearData of dividendResults.dividendHistory) {
+        const drip = dripByYear[yearData.year] || { shares: 0, amount: 0 };
         yearlyDividends.push({
           year: yearData.year,
           totalDividend: yearData.totalAmount,
+          grossDividend: yearData.grossAmount,
+          withheldTax: yearData.withheldTax,
           periodStart: yearData.periodStart,
           periodEnd: yearData.periodEnd,
           periodsInYear: yearData.periodsInYear,
           periodsWithIncome: yearData.periodsWithIncome,
+          reinvestedAmount: parseFloat(drip.amount.toFixed(2)),
+          reinvestedShares: parseFloat(drip.shares.toFixed(6)),
           actualDividends: true
         });
       }
     }
     
+    // Time-weighted performance statistics from the equity curve
+    const performance = calculatePerformanceMetrics(backtestResults.equityCurve, {
+      riskFreeRate: parseFloat(riskFreeRate) || 0
+    });
+    
+    // Step 5: Compare against lump-sum, DCA and an optional benchmark ticker on the same capital
+    // (in the listing currency, from the unconverted strategy run)
+    let benchmarks = null;
+    if (benchmark) {
+      console.log(`📊 Step 5: Running benchmark comparison...`);
+      let benchmarkCandles = null;
+      let benchmarkDividends = [];
+      let benchmarkActions = [];
+      if (benchmark.ticker) {
+        benchmarkActions = await getCorporateActions(benchmark.ticker, startDate, endDate);
+        const benchmarkAdjustFor = adjustment === 'adjusted' ? benchmarkActions : [];
+        benchmarkCandles = await getBacktestCandles(benchmark.ticker, startDate, endDate, timeframe, resampleOptions, benchmarkAdjustFor);
+        benchmarkDividends = (await checkDividendData(benchmark.ticker, startDate, endDate, benchmarkAdjustFor)).dividends;
+      }
+      benchmarks = compareWithBenchmarks(candles, backtestResults.localSimulation, {
+        dividends: dividendCheck.dividends,
+        reinvestDividends: backtestResults.drip.enabled,
+        riskFreeRate: parseFloat(riskFreeRate) || 0,
+        dcaFrequency,
+        costs: resolvedCosts,
+        withholding: resolvedWithholding,
+        corporateActions: rawActions,
+        benchmarkTicker: benchmark.ticker || null,
+        benchmarkCandles,
+        benchmarkDividends,
+        benchmarkCosts: benchmark.ticker ? resolveCosts(costs, benchmark.ticker) : null,
+        benchmarkWithholding: benchmark.ticker ? resolveWithholding(withholdingTax, benchmark.ticker) : null,
+        benchmarkCorporateActions: adjustment === 'raw' ? benchmarkActions : []
+      });
+    }
+    
+    // Step 6: Capital-gains lots from the simulated (plus any user-supplied) transactions, matched
+    // on the latest share count (user transactions are as traded, like simulated ones on raw prices)
+    let taxLotReport = null;
+    if (taxLotConfig.options) {
+      console.log(`🧮 Step 6: Tracking tax lots (${taxLotConfig.options.method})...`);
+      const { transactions: userTransactions, ...lotOptions } = taxLotConfig.options;
+      const toReported = (amount, date) => fx ? amount * fx.rateOn(date) : amount;
+      taxLotReport = trackTaxLots([
+        ...adjustTransactions(backtestResults.transactions, rawActions),
+        ...adjustTransactions(userTransactions, corporateActions).map(tx => ({ ...tx, price: toReported(tx.price, tx.date), totalCost: toReported(tx.totalCost, tx.date) }))
+      ], {
+        ...lotOptions,
+        prices: adjustCandles(candles, rawActions, { sharesOnly: true }).map(candle => ({ date: candle.date, close: toReported(candle.close, candle.date) }))
+      });
+      taxLotReport.warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+    }
+    
     // Calculate period-specific metrics
     const periodDuration = moment(endDate).diff(moment(startDate), 'days') + 1;
     const monthsInPeriod = moment(endDate).diff(moment(startDate), 'months', true);
@@ -989,6 +1237,96 @@ app.post('/api/v1/backtest', async (req, res) => {
       "pnLPercent": parseFloat(pnLPercent.toFixed(2)),
       "pnLWithDividend": parseFloat(pnLWithDividend.toFixed(2)),
       "pnLWithDividendPercent": parseFloat(pnLWithDividendPercent.toFixed(2)),
+      "realizedPnL": parseFloat(realizedPnL.toFixed(2)),
+      "unrealizedPnL": parseFloat(unrealizedPnL.toFixed(2)),
+      
+      // Round-trip trade results (exit rules)
+      "exitRules": backtestResults.exitRules,
+      "tradeStats": {
+        ...backtestResults.tradeStats,
+        winRate: parseFloat(backtestResults.tradeStats.winRate.toFixed(2)),
+        averageTradeReturn: parseFloat(backtestResults.tradeStats.averageTradeReturn.toFixed(2)),
+        bestTradeReturn: parseFloat(backtestResults.tradeStats.bestTradeReturn.toFixed(2)),
+        worstTradeReturn: parseFloat(backtestResults.tradeStats.worstTradeReturn.toFixed(2))
+      },
+      // Cash-constrained portfolio (only when initialCapital is supplied)
+      "portfolio": backtestResults.portfolio ? {
+        ...backtestResults.portfolio,
+        finalCash: parseFloat(backtestResults.portfolio.finalCash.toFixed(2)),
+        finalMarketValue: parseFloat(backtestResults.portfolio.finalMarketValue.toFixed(2)),
+        finalEquity: parseFloat(backtestResults.portfolio.finalEquity.toFixed(2)),
+        returnOnCapital: parseFloat(backtestResults.portfolio.returnOnCapital.toFixed(2)),
+        interestEarned: parseFloat(backtestResults.portfolio.interestEarned.toFixed(2)),
+        dividendsReceived: parseFloat(backtestResults.portfolio.dividendsReceived.toFixed(2)),
+        pendingDividends: parseFloat(backtestResults.portfolio.pendingDividends.toFixed(2))
+      } : null,
+      
+      // Per-candle equity curve and derived risk/return statistics
+      "performance": roundNumbers(performance),
+      "equityCurve": backtestResults.equityCurve.map(point => roundNumbers(point, 4)),
+      
+      // Lump-sum / DCA / benchmark ticker comparison (only when benchmark is requested)
+      "benchmarks": benchmarks ? {
+        currency: listingCurrency,
+        capital: parseFloat(benchmarks.capital.toFixed(2)),
+        dcaFrequency: benchmarks.dcaFrequency,
+        strategy: roundNumbers(benchmarks.strategy),
+        lumpSum: roundNumbers(benchmarks.lumpSum),
+        dca: roundNumbers(benchmarks.dca),
+        benchmark: benchmarks.benchmark ? roundNumbers(benchmarks.benchmark) : null,
+        excessReturnPercent: roundNumbers(benchmarks.excessReturnPercent)
+      } : null,
+      
+      // Splits, bonus issues and spin-offs in the period and how prices were treated; on raw
+      // prices events show the shares held before and after each one and any spin-off cash
+      "corporateActions": {
+        priceAdjustment: adjustment,
+        actions: corporateActions,
+        events: backtestResults.corporateActions.events.map(event => roundNumbers(event, 6)),
+        cashReceived: parseFloat(backtestResults.corporateActions.cashReceived.toFixed(2))
+      },
+      
+      // Bars built locally from daily candles (custom lengths or resampling options), with the
+      // partial first/last periods that were kept rather than dropped
+      "resampling": candles[0]?.periodEnd ? {
+        options: resampleOptions,
+        partialBars: candles.filter(candle => candle.partial).map(({ date, periodStart, periodEnd, tradingDays }) => ({ date, periodStart, periodEnd, tradingDays }))
+      } : null,
+      
+      // Realized gains per tax year and year-end unrealized gains by lot method (only when taxLots is requested)
+      "taxLots": taxLotReport ? {
+        method: taxLotReport.method,
+        taxYearStartMonth: taxLotReport.taxYearStartMonth,
+        longTermDays: taxLotReport.longTermDays,
+        totals: roundNumbers(taxLotReport.totals),
+        realizedByTaxYear: taxLotReport.realizedByTaxYear.map(year => roundNumbers(year)),
+        yearEndUnrealized: taxLotReport.yearEndUnrealized.map(year => roundNumbers(year)),
+        disposals: taxLotReport.disposals.map(disposal => ({
+          ...roundNumbers(disposal),
+          lots: disposal.lots.map(lot => roundNumbers(lot))
+        })),
+        openLots: taxLotReport.openLots.map(lot => roundNumbers(lot)),
+        warnings: taxLotReport.warnings
+      } : null,
+      
+      // Commission, charges and slippage paid (null config when costs were not requested)
+      "costs": {
+        ...roundNumbers(backtestResults.costs),
+        config: backtestResults.costs.config
+      },
+      
+      // Dividend reinvestment (DRIP)
+      "drip": {
+        enabled: backtestResults.drip.enabled,
+        dividendsReinvested: parseFloat(backtestResults.drip.dividendsReinvested.toFixed(2)),
+        sharesAcquired: parseFloat(backtestResults.drip.sharesAcquired.toFixed(6)),
+        transactions: backtestResults.transactions.filter(tx => tx.action === 'DRIP')
+      },
+      "trades": backtestResults.trades.map(trade => ({
+        ...trade,
+        pnl: parseFloat(trade.pnl.toFixed(2)),
+        returnPercent: parseFloat(trade.returnPercent.toFixed(2))
+      })),
       
       // Enhanced stock metrics (available for all stocks)
       "currentPrice": stockMetrics.currentPrice,
@@ -1001,8 +1339,23 @@ app.post('/api/v1/backtest', async (req, res) => {
       // Exchange information
       "exchangeInfo": exchangeInfo,
       
+      // Currency of every amount above (listing currency unless reportingCurrency was requested)
+      "currency": targetCurrency,
+      "listingCurrency": listingCurrency,
+      // Exchange-rate move over the period and how much of the result it explains
+      "fx": backtestResults.fx ? {
+        pair: fxPairTicker(listingCurrency, targetCurrency),
+        startRate: parseFloat(backtestResults.fx.startRate.toFixed(6)),
+        endRate: parseFloat(backtestResults.fx.endRate.toFixed(6)),
+        rateChangePercent: parseFloat(backtestResults.fx.rateChangePercent.toFixed(2)),
+        attribution: roundNumbers(backtestResults.fx.attribution)
+      } : null,
+      
       // Dividend metrics (only meaningful for dividend-paying stocks)
       "totalDividend": parseFloat(actualDividendIncome.toFixed(2)),
+      "totalDividendGross": parseFloat(grossDividendIncome.toFixed(2)),
+      "dividendTaxWithheld": parseFloat(dividendTaxWithheld.toFixed(2)),
+      "withholdingTax": resolvedWithholding,
       "totalDivPercent": parseFloat(totalDivPercent.toFixed(2)),
       "dividendPerShare": stockMetrics.dividendPerShare,
       "annualDividendPerShare": stockMetrics.annualDividendPerShare,
@@ -1021,6 +1374,9 @@ app.post('/api/v1/backtest', async (req, res) => {
       "redCandlePeriods": backtestResults.redCandlePeriods,
       "totalCandlePeriods": candles.length,
       "redCandleSuccessRate": parseFloat(((backtestResults.redCandlePeriods / candles.length) * 100).toFixed(2)),
+      "strategy": backtestResults.strategy,
+      "strategyParams": backtestResults.strategyParams,
+      "signalPeriods": backtestResults.signalPeriods,
       
       // Analysis period details
       "analysisPeriod": {
@@ -1038,10 +1394,22 @@ app.post('/api/v1/backtest', async (req, res) => {
         ticker,
         timeframe: timeframe,
         quantity: quantityPerTrade,
+        sizing: resolvedSizing,
         startDate,
         endDate,
         processedAt: new Date().toISOString(),
-        backtestStrategy: `red_candle_buying_${timeframe}`,
+        backtestStrategy: `${strategy}_buying_${timeframe}`,
+        strategyParams: resolvedStrategyParams,
+        initialCapital: startingCapital,
+        cashInterestRate: interestRate,
+        reinvestDividends: backtestResults.drip.enabled,
+        benchmark: benchmark || null,
+        costs: resolvedCosts,
+        withholdingTax: resolvedWithholding,
+        taxLots: taxLots || null,
+        resampling: resampleOptions,
+        priceAdjustment: adjustment,
+        reportingCurrency: targetCurrency,
         exchangeDetected: exchangeInfo,
         transactions: backtestResults.transactions.slice(0, 10),
         dividendCheckResult: dividendCheck
@@ -1053,34 +1421,88 @@ app.post('/api/v1/backtest', async (req, res) => {
       "dividendCalculationDetails": dividendCheck.hasDividends ? dividendResults.dividendCalculation : null
     };
 
-    const timeframeLabel = timeframe === '1D' ? 'daily' : timeframe === '1W' ? 'weekly' : timeframe === '1M' ? 'monthly' : timeframe;
+    const timeframeLabel = isIntradayTimeframe(timeframe) ? INTRADAY_TIMEFRAMES[timeframe].label : timeframe === '1D' ? 'daily' : timeframe === '1W' ? 'weekly' : timeframe === '1M' ? 'monthly' : timeframe;
     
     console.log('✅ Backtest Results Summary:');
     console.log(`   🌍 Exchange: ${exchangeInfo}`);
     console.log(`   📅 Analysis Period: ${startDate} to ${endDate} (${monthsInPeriod.toFixed(1)} months)`);
     console.log(`   📊 Timeframe: ${timeframe} (${timeframeLabel} candles)`);
     console.log(`   📈 Red ${timeframeLabel} candle periods: ${backtestResults.redCandlePeriods} out of ${candles.length} total periods`);
+    console.log(`   🎯 ${strategy} signals: ${backtestResults.signalPeriods} buys`);
     console.log(`   🎯 Red candle success rate: ${response.redCandleSuccessRate}%`);
-    console.log(`   💰 Total shares purchased: ${totalShares} shares`);
-    console.log(`   💵 Total investment: $${totalInvestment.toFixed(2)}`);
-    console.log(`   📊 Current price: $${stockMetrics.currentPrice}`);
-    console.log(`   📊 Average buy price: $${stockMetrics.averageBuyPrice}`);
-    console.log(`   📊 Current value: $${stockMetrics.currentValue}`);
-    console.log(`   💹 P&L: $${pnL.toFixed(2)} (${pnLPercent.toFixed(2)}%)`);
+    console.log(`   💰 Shares held: ${totalShares} shares`);
+    console.log(`   💵 Total investment: ${formatMoney(totalInvestment, targetCurrency)}`);
+    console.log(`   📊 Current price: ${formatMoney(stockMetrics.currentPrice, targetCurrency)}`);
+    console.log(`   📊 Average buy price: ${formatMoney(stockMetrics.averageBuyPrice, targetCurrency)}`);
+    console.log(`   📊 Current value: ${formatMoney(stockMetrics.currentValue, targetCurrency)}`);
+    console.log(`   💹 P&L: ${formatMoney(pnL, targetCurrency)} (${pnLPercent.toFixed(2)}%)`);
+    console.log(`   💹 Realized / unrealized: ${formatMoney(realizedPnL, targetCurrency)} / ${formatMoney(unrealizedPnL, targetCurrency)}`);
+    if (backtestResults.tradeStats.closedTrades > 0) {
+      console.log(`   🏁 Closed trades: ${backtestResults.tradeStats.closedTrades} (win rate ${backtestResults.tradeStats.winRate.toFixed(1)}%)`);
+    }
+    if (backtestResults.portfolio) {
+      console.log(`   💼 Portfolio equity: ${formatMoney(backtestResults.portfolio.finalEquity, targetCurrency)} (return on capital ${backtestResults.portfolio.returnOnCapital.toFixed(2)}%)`);
+    }
+    if (backtestResults.fx) {
+      const { attribution } = backtestResults.fx;
+      console.log(`   💱 ${fxPairTicker(listingCurrency, targetCurrency)}: ${backtestResults.fx.rateChangePercent.toFixed(2)}% over the period, currency effect ${formatMoney(attribution.currencyEffect, targetCurrency)} of ${formatMoney(attribution.reportingResult, targetCurrency)}`);
+    }
+    console.log(`   📉 Max drawdown: ${performance.maxDrawdownPercent.toFixed(2)}% (${performance.maxDrawdownDurationDays} days underwater)`);
+    console.log(`   📈 CAGR: ${performance.cagrPercent.toFixed(2)}%, volatility ${performance.annualizedVolatilityPercent.toFixed(2)}%, Sharpe ${performance.sharpeRatio.toFixed(2)}, Sortino ${performance.sortinoRatio.toFixed(2)}`);
+    if (benchmarks) {
+      console.log(`   ⚖️  vs lump sum: ${benchmarks.excessReturnPercent.vsLumpSum.toFixed(2)}%, vs ${dcaFrequency} DCA: ${benchmarks.excessReturnPercent.vsDca.toFixed(2)}%`);
+      if (benchmarks.benchmark) {
+        console.log(`   ⚖️  vs ${benchmarks.benchmark.ticker} buy-and-hold: ${benchmarks.excessReturnPercent.vsBenchmark.toFixed(2)}%`);
+      }
+    }
+    if (taxLotReport) {
+      taxLotReport.realizedByTaxYear.forEach(year => {
+        console.log(`   🧮 Tax year ${year.taxYear}: ${formatMoney(year.gain, targetCurrency)} realized (${taxLotReport.method}, ${year.disposals} sales)`);
+      });
+      console.log(`   🧮 Unrealized at end: ${formatMoney(taxLotReport.totals.unrealizedGain, targetCurrency)} on ${taxLotReport.openLots.length} open lots`);
+    }
     console.log(`   💎 Has dividends: ${dividendCheck.hasDividends}`);
     console.log(`   💎 Dividend reason: ${dividendCheck.reason}`);
     
     if (dividendCheck.hasDividends) {
-      console.log(`   💎 Dividend per share: $${stockMetrics.dividendPerShare}`);
-      console.log(`   💎 Annual dividend per share: $${stockMetrics.annualDividendPerShare}`);
-      console.log(`   💎 Dividend income: $${actualDividendIncome.toFixed(2)}`);
-      console.log(`   🎯 With dividends: $${pnLWithDividend.toFixed(2)} (${pnLWithDividendPercent.toFixed(2)}%)`);
+      console.log(`   💎 Dividend per share: ${stockMetrics.dividendPerShare} ${targetCurrency}`);
+      console.log(`   💎 Annual dividend per share: ${stockMetrics.annualDividendPerShare} ${targetCurrency}`);
+      console.log(`   💎 Dividend income: ${formatMoney(actualDividendIncome, targetCurrency)}`);
+      if (resolvedWithholding) {
+        console.log(`   🧾 Withholding (${resolvedWithholding.sourceCountry} payer, ${resolvedWithholding.residence} ${resolvedWithholding.accountType}, ${resolvedWithholding.ratePercent}%): ${formatMoney(dividendTaxWithheld, targetCurrency)} of ${formatMoney(grossDividendIncome, targetCurrency)} gross`);
+      }
+      if (backtestResults.drip.enabled) {
+        console.log(`   💧 Reinvested: ${formatMoney(backtestResults.drip.dividendsReinvested, targetCurrency)} into ${backtestResults.drip.sharesAcquired.toFixed(4)} shares`);
+      }
+      console.log(`   🎯 With dividends: ${formatMoney(pnLWithDividend, targetCurrency)} (${pnLWithDividendPercent.toFixed(2)}%)`);
       console.log(`   📊 Last Dividend Yield: ${stockMetrics.lastDividendYield}%`);
       console.log(`   📊 TTM Dividend Yield: ${stockMetrics.ttmDividendYield}%`);
       console.log(`   📊 Yield on Cost: ${stockMetrics.yieldOnCost}%`);
     }
     
-    res.json(response);
+    // Saved to the backtest history when the database is connected (runId is null otherwise)
+    const sessionId = requestedSessionId || uuid();
+    const runId = await saveBacktestRun({
+      sessionId,
+      type: 'single',
+      tickers: [ticker],
+      strategy,
+      timeframe,
+      startDate: moment(startDate).toDate(),
+      endDate: moment(endDate).toDate(),
+      currency: targetCurrency,
+      request: req.body,
+      summary: summarizeResult(response),
+      transactions: backtestResults.transactions,
+      dividends: {
+        events: backtestResults.dividendEvents,
+        yearly: yearlyDividends,
+        history: response.dividendHistory,
+        calculation: response.dividendCalculationDetails
+      }
+    });
+    
+    res.json({ runId, sessionId, ...response });
     
   } catch (error) {
     console.error('❌ Backtest error:', error);
@@ -1092,6 +1514,435 @@ app.post('/api/v1/backtest', async (req, res) => {
   }
 });
 
+// Portfolio, parameter sweep, rolling-window and Monte Carlo backtests run in the backtesting
+// service; routes/backtest.js forwards them
+app.use('/api/v1', routes);
+
+// Backtest history and portfolio tracking are stored in the database shared with the other
+// services, so their endpoints need MONGODB_URI; without a connection they answer 503.
+function storeUnavailable(res, feature) {
+  return res.status(503).json({
+    error: `${feature} unavailable`,
+    message: `${feature} needs a database connection (set MONGODB_URI)`
+  });
+}
+
+function storeError(res, error, feature) {
+  console.error(`❌ ${feature} error:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Saved runs, newest first, filtered by ticker, strategy, type, backtest period
+// (startDate/endDate) or when they ran (from/to), paged with page and limit
+app.get('/api/v1/backtests', async (req, res) => {
+  if (!isCacheAvailable()) return storeUnavailable(res, 'Backtest history');
+  try {
+    const query = buildRunQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: query.error,
+        received: req.query
+      });
+    }
+    res.json(await listBacktestRuns(query));
+  } catch (error) {
+    storeError(res, error, 'Backtest history');
+  }
+});
+
+// One run with its transactions and dividend details, by run id or sessionId
+app.get('/api/v1/backtests/:id', async (req, res) => {
+  if (!isCacheAvailable()) return storeUnavailable(res, 'Backtest history');
+  try {
+    const run = await getBacktestRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Backtest run not found',
+        message: `No saved backtest run with id ${req.params.id}`
+      });
+    }
+    res.json(run);
+  } catch (error) {
+    storeError(res, error, 'Backtest history');
+  }
+});
+
+app.delete('/api/v1/backtests/:id', async (req, res) => {
+  if (!isCacheAvailable()) return storeUnavailable(res, 'Backtest history');
+  try {
+    const result = await deleteBacktestRun(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Backtest run not found',
+        message: `No saved backtest run with id ${req.params.id}`
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    storeError(res, error, 'Backtest history');
+  }
+});
+
+// Every run matching the same filters as the list; at least one filter is required
+app.delete('/api/v1/backtests', async (req, res) => {
+  if (!isCacheAvailable()) return storeUnavailable(res, 'Backtest history');
+  try {
+    if (!hasRunFilters(req.query)) {
+      return res.status(400).json({
+        error: 'Missing filter',
+        message: 'Pass at least one filter (ticker, strategy, type, startDate, endDate, from, to) to delete runs'
+      });
+    }
+    const query = buildRunQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: query.error,
+        received: req.query
+      });
+    }
+    res.json(await deleteBacktestRuns(query));
+  } catch (error) {
+    storeError(res, error, 'Backtest history');
+  }
+});
+
+// Portfolio tracking: users record their real trades and dividend receipts, and holdings, cost
+// basis and dividend income are computed from them with the backtester's dividend logic
+// (see portfolioTracking.js). Each holding stays in its listing currency; totals are converted
+// into the portfolio's currency at the latest rate.
+const PORTFOLIO_FEATURE = 'Portfolio tracking';
+
+async function findPortfolio(id) {
+  return mongoose.isValidObjectId(id) ? Portfolio.findById(id) : null;
+}
+
+function portfolioNotFound(res, id) {
+  return res.status(404).json({
+    error: 'Portfolio not found',
+    message: `No portfolio with id ${id}`
+  });
+}
+
+function formatPortfolio(portfolio) {
+  const { _id, __v, ...fields } = portfolio.toObject();
+  return { id: String(_id), ...fields };
+}
+
+// Request fields as stored: tickers and types uppercase, numbers parsed
+function portfolioTransactionFromBody(body) {
+  const number = value => value === undefined || value === null || value === '' ? undefined : parseFloat(value);
+  return {
+    ticker: body.ticker ? String(body.ticker).toUpperCase() : body.ticker,
+    date: body.date,
+    type: body.type ? String(body.type).toUpperCase() : body.type,
+    quantity: number(body.quantity),
+    price: number(body.price),
+    fees: number(body.fees),
+    amount: number(body.amount),
+    notes: body.notes
+  };
+}
+
+// The first sale of more shares than were held at the time (after splits), or null
+async function findPortfolioOversell(transactions) {
+  const today = moment().format('YYYY-MM-DD');
+  for (const [ticker, rows] of Object.entries(groupByTicker(transactions))) {
+    const trades = tradesFromPortfolioTransactions(rows);
+    if (trades.length === 0) continue;
+    const actions = await getCorporateActions(ticker, trades[0].transactionDate, today);
+    const oversell = findOversell(adjustTransactions(trades, actions));
+    if (oversell) return oversell;
+  }
+  return null;
+}
+
+function groupByTicker(transactions) {
+  return transactions.reduce((groups, tx) => {
+    (groups[tx.ticker] = groups[tx.ticker] || []).push(tx);
+    return groups;
+  }, {});
+}
+
+// Every position in the portfolio with prices, dividends and splits from the market data provider
+async function buildPortfolioHoldings(portfolio, transactions) {
+  const today = moment().format('YYYY-MM-DD');
+  const until = moment().add(UPCOMING_MONTHS, 'months').format('YYYY-MM-DD');
+  const warnings = [];
+  const holdings = [];
+  const fxRates = {};
+  
+  for (const [ticker, rows] of Object.entries(groupByTicker(transactions)).sort(([a], [b]) => a.localeCompare(b))) {
+    const firstDate = moment(rows.map(tx => tx.date).sort((a, b) => a - b)[0]).format('YYYY-MM-DD');
+    const listingCurrency = currencyFromTicker(ticker);
+    console.log(`📒 ${portfolio.name}: ${ticker} (${rows.length} transactions since ${firstDate})`);
+    
+    // Trades are recorded as traded; share counts and per-share dividends are put on the
+    // latest share basis so they match today's price
+    const corporateActions = await getCorporateActions(ticker, firstDate, today);
+    const trades = adjustTransactions(tradesFromPortfolioTransactions(rows), corporateActions);
+    const dividendCheck = await checkDividendData(ticker, firstDate, until);
+    const dividends = adjustDividends(dividendCheck.dividends, corporateActions, { sharesOnly: true });
+    
+    const shares = trades.reduce((total, tx) => total + (tx.type === 'SELL' ? -tx.quantity : tx.quantity), 0);
+    // Real prices only: a position is never valued at a generated price
+    let currentPrice = 0;
+    if (shares > 0) {
+      try {
+        const candles = await fetchPriceData(ticker, moment().subtract(14, 'days').format('YYYY-MM-DD'), today, '1D');
+        if (candles.length > 0) {
+          currentPrice = candles[candles.length - 1].close;
+        } else {
+          warnings.push(`No recent price for ${ticker}; its market value is shown as 0`);
+        }
+      } catch (error) {
+        console.error(`❌ Error fetching ${ticker} price:`, error.message);
+        warnings.push(`Price for ${ticker} is unavailable (${error.message}); its market value is shown as 0`);
+      }
+    }
+    
+    const position = summarizePosition({
+      ticker,
+      trades,
+      receipts: rows.filter(tx => tx.type === 'DIVIDEND'),
+      dividends,
+      frequency: dividendCheck.frequency,
+      currentPrice,
+      withholding: resolveWithholding(portfolio.withholdingTax, ticker),
+      currency: listingCurrency
+    });
+    
+    // Latest rate into the portfolio currency, for the totals
+    let rate = 1;
+    if (listingCurrency !== portfolio.currency) {
+      if (fxRates[listingCurrency] === undefined) {
+        const rateOn = await getFxRates(listingCurrency, portfolio.currency, moment().subtract(7, 'days').format('YYYY-MM-DD'), today);
+        fxRates[listingCurrency] = rateOn ? rateOn(today) : null;
+      }
+      rate = fxRates[listingCurrency];
+      if (rate === null) {
+        warnings.push(`No ${fxPairTicker(listingCurrency, portfolio.currency)} rate; ${ticker} is left out of the totals`);
+      }
+    }
+    
+    holdings.push({ ...position, exchangeInfo: detectExchange(ticker), corporateActions, rate });
+  }
+  
+  const inTotals = holdings.filter(holding => holding.rate !== null);
+  const total = value => inTotals.reduce((sum, holding) => sum + value(holding) * holding.rate, 0);
+  const totals = {
+    currency: portfolio.currency,
+    costBasis: total(holding => holding.costBasis),
+    marketValue: total(holding => holding.marketValue),
+    unrealizedPnL: total(holding => holding.unrealizedPnL),
+    realizedPnL: total(holding => holding.realizedPnL),
+    fees: total(holding => holding.fees),
+    dividendIncomeToDate: total(holding => holding.dividendIncome.toDate),
+    expectedDividendIncome: total(holding => holding.expectedDividendIncome)
+  };
+  totals.unrealizedPnLPercent = totals.costBasis > 0 ? (totals.unrealizedPnL / totals.costBasis) * 100 : 0;
+  
+  const upcomingDividends = holdings
+    .flatMap(holding => holding.upcomingDividends.map(dividend => ({ ticker: holding.ticker, currency: holding.currency, ...dividend })))
+    .sort((a, b) => new Date(a.exDate) - new Date(b.exDate));
+  
+  return { holdings, totals, upcomingDividends, warnings };
+}
+
+app.post('/api/v1/portfolios', async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res, PORTFOLIO_FEATURE);
+  try {
+    const { name, currency = 'USD', withholdingTax, description } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        error: 'Missing name',
+        message: 'A portfolio needs a name'
+      });
+    }
+    if (!isValidCurrency(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        message: 'currency must be a 3-letter currency code such as USD, CAD or INR',
+        received: currency
+      });
+    }
+    // Residence, account type and any rate overrides are checked here; the rate that applies is
+    // looked up per holding from its listing
+    const overrides = withholdingTax && withholdingTax.rates ? Object.values(withholdingTax.rates).map(parseFloat) : [];
+    const withholdingError = validateWithholding(resolveWithholding(withholdingTax, 'AAPL')) ||
+      (overrides.some(rate => isNaN(rate) || rate < 0 || rate > 100) ? 'Withholding rates must be between 0 and 100' : null);
+    if (withholdingError) {
+      return res.status(400).json({
+        error: 'Invalid withholdingTax',
+        message: withholdingError,
+        validAccountTypes: ACCOUNT_TYPES,
+        received: withholdingTax
+      });
+    }
+    
+    const portfolio = await Portfolio.create({ name, currency, withholdingTax: withholdingTax || null, description });
+    console.log(`📒 Created portfolio ${portfolio.name} (${portfolio._id})`);
+    res.status(201).json(formatPortfolio(portfolio));
+  } catch (error) {
+    storeError(res, error, PORTFOLIO_FEATURE);
+  }
+});
+
+app.get('/api/v1/portfolios', async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res, PORTFOLIO_FEATURE);
+  try {
+    const portfolios = await Portfolio.find().sort({ createdAt: -1 });
+    res.json(portfolios.map(formatPortfolio));
+  } catch (error) {
+    storeError(res, error, PORTFOLIO_FEATURE);
+  }
+});
+
+// Current holdings, cost basis, dividend income to date and upcoming dividends
+app.get('/api/v1/portfolios/:id', async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res, PORTFOLIO_FEATURE);
+  try {
+    const portfolio = await findPortfolio(req.params.id);
+    if (!portfolio) return portfolioNotFound(res, req.params.id);
+    
+    const transactions = await PortfolioTransaction.find({ portfolioId: portfolio._id }).sort({ date: 1 });
+    const { holdings, totals, upcomingDividends, warnings } = await buildPortfolioHoldings(portfolio, transactions);
+    warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+    
+    res.json({
+      ...formatPortfolio(portfolio),
+      asOf: moment().format('YYYY-MM-DD'),
+      totals: roundNumbers(totals),
+      holdings: holdings.map(({ rate, ...holding }) => ({
+        ...roundNumbers(holding, 4),
+        dividendIncome: {
+          ...holding.dividendIncome,
+          recorded: roundNumbers(holding.dividendIncome.recorded),
+          calculated: roundNumbers(holding.dividendIncome.calculated),
+          toDate: parseFloat(holding.dividendIncome.toDate.toFixed(2))
+        },
+        upcomingDividends: holding.upcomingDividends.map(dividend => roundNumbers(dividend, 4))
+      })),
+      upcomingDividends: upcomingDividends.map(dividend => roundNumbers(dividend, 4)),
+      transactionCount: transactions.length,
+      warnings
+    });
+  } catch (error) {
+    storeError(res, error, PORTFOLIO_FEATURE);
+  }
+});
+
+// Removes the portfolio with all of its transactions
+app.delete('/api/v1/portfolios/:id', async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res, PORTFOLIO_FEATURE);
+  try {
+    const portfolio = await findPortfolio(req.params.id);
+    if (!portfolio) return portfolioNotFound(res, req.params.id);
+    
+    const transactions = await PortfolioTransaction.deleteMany({ portfolioId: portfolio._id });
+    await portfolio.deleteOne();
+    console.log(`🗑️  Deleted portfolio ${portfolio.name} and ${transactions.deletedCount} transactions`);
+    res.json({ id: req.params.id, deleted: 1, transactionsDeleted: transactions.deletedCount });
+  } catch (error) {
+    storeError(res, error, PORTFOLIO_FEATURE);
+  }
+});
+
+// Record one transaction, or several as { transactions: [...] }:
+//   { ticker, date, type: BUY|SELL, quantity, price, fees }   a trade, as traded
+//   { ticker, date, type: DIVIDEND, amount }                  cash dividend received
+app.post('/api/v1/portfolios/:id/transactions', async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res, PORTFOLIO_FEATURE);
+  try {
+    const portfolio = await findPortfolio(req.params.id);
+    if (!portfolio) return portfolioNotFound(res, req.params.id);
+    
+    const entries = (Array.isArray(req.body.transactions) ? req.body.transactions : [req.body]).map(portfolioTransactionFromBody);
+    for (const [index, entry] of entries.entries()) {
+      const error = validatePortfolioTransaction(entry);
+      if (error) {
+        return res.status(400).json({
+          error: 'Invalid transaction',
+          message: entries.length > 1 ? `Transaction ${index}: ${error}` : error,
+          validTypes: PORTFOLIO_TRANSACTION_TYPES,
+          received: entries.length > 1 ? req.body.transactions[index] : req.body
+        });
+      }
+    }
+    
+    // A sale can only come from shares already held
+    const tickers = [...new Set(entries.map(entry => entry.ticker))];
+    const existing = await PortfolioTransaction.find({ portfolioId: portfolio._id, ticker: { $in: tickers } });
+    const oversell = await findPortfolioOversell([...existing.map(tx => tx.toObject()), ...entries.map(entry => ({ ...entry, date: moment(entry.date).toDate() }))]);
+    if (oversell) {
+      return res.status(400).json({
+        error: 'Insufficient shares',
+        message: `The ${oversell.ticker} sale on ${moment(oversell.transactionDate).format('YYYY-MM-DD')} is more shares than were held at the time`
+      });
+    }
+    
+    const saved = await PortfolioTransaction.insertMany(entries.map(entry => ({ ...entry, portfolioId: portfolio._id })));
+    console.log(`📒 Recorded ${saved.length} transactions in ${portfolio.name}`);
+    res.status(201).json(saved);
+  } catch (error) {
+    storeError(res, error, PORTFOLIO_FEATURE);
+  }
+});
+
+// Transactions oldest first, optionally for one ticker or type
+app.get('/api/v1/portfolios/:id/transactions', async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res, PORTFOLIO_FEATURE);
+  try {
+    const portfolio = await findPortfolio(req.params.id);
+    if (!portfolio) return portfolioNotFound(res, req.params.id);
+    
+    const filter = { portfolioId: portfolio._id };
+    if (req.query.ticker) filter.ticker = String(req.query.ticker).toUpperCase();
+    if (req.query.type) filter.type = String(req.query.type).toUpperCase();
+    res.json(await PortfolioTransaction.find(filter).sort({ date: 1, _id: 1 }));
+  } catch (error) {
+    storeError(res, error, PORTFOLIO_FEATURE);
+  }
+});
+
+app.delete('/api/v1/portfolios/:id/transactions/:transactionId', async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res, PORTFOLIO_FEATURE);
+  try {
+    const portfolio = await findPortfolio(req.params.id);
+    if (!portfolio) return portfolioNotFound(res, req.params.id);
+    
+    const transaction = mongoose.isValidObjectId(req.params.transactionId)
+      ? await PortfolioTransaction.findOne({ _id: req.params.transactionId, portfolioId: portfolio._id })
+      : null;
+    if (!transaction) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: `No transaction with id ${req.params.transactionId} in this portfolio`
+      });
+    }
+    
+    // Removing a buy must not leave a later sale without shares
+    const remaining = await PortfolioTransaction.find({ portfolioId: portfolio._id, ticker: transaction.ticker, _id: { $ne: transaction._id } });
+    const oversell = await findPortfolioOversell(remaining.map(tx => tx.toObject()));
+    if (oversell) {
+      return res.status(400).json({
+        error: 'Insufficient shares',
+        message: `Without this transaction, the ${oversell.ticker} sale on ${moment(oversell.transactionDate).format('YYYY-MM-DD')} is more shares than were held at the time`
+      });
+    }
+    
+    await transaction.deleteOne();
+    res.json({ id: req.params.transactionId, deleted: 1 });
+  } catch (error) {
+    storeError(res, error, PORTFOLIO_FEATURE);
+  }
+});
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -1100,7 +1951,23 @@ app.use('*', (req, res) => {
     availableRoutes: [
       'GET /health',
       'GET /api/v1/test',
-      'POST /api/v1/backtest'
+      'GET /api/v1/strategies',
+      'POST /api/v1/backtest',
+      'POST /api/v1/backtest/portfolio',
+      'POST /api/v1/backtest/sweep',
+      'POST /api/v1/backtest/rolling',
+      'POST /api/v1/backtest/montecarlo',
+      'GET /api/v1/backtests',
+      'GET /api/v1/backtests/:id',
+      'DELETE /api/v1/backtests/:id',
+      'DELETE /api/v1/backtests',
+      'POST /api/v1/portfolios',
+      'GET /api/v1/portfolios',
+      'GET /api/v1/portfolios/:id',
+      'DELETE /api/v1/portfolios/:id',
+      'POST /api/v1/portfolios/:id/transactions',
+      'GET /api/v1/portfolios/:id/transactions',
+      'DELETE /api/v1/portfolios/:id/transactions/:transactionId'
     ]
   });
 });
@@ -1124,6 +1991,13 @@ app.listen(PORT, () => {
   console.log(`🔗 Health: http://localhost:${PORT}/health`);
   console.log(`🧪 Test: http://localhost:${PORT}/api/v1/test`);
   console.log(`📊 Backtest: POST http://localhost:${PORT}/api/v1/backtest`);
+  console.log(`💼 Portfolio backtest: POST http://localhost:${PORT}/api/v1/backtest/portfolio`);
+  console.log(`🔬 Parameter sweep: POST http://localhost:${PORT}/api/v1/backtest/sweep`);
+  console.log(`🪟 Rolling windows: POST http://localhost:${PORT}/api/v1/backtest/rolling`);
+  console.log(`🎲 Monte Carlo: POST http://localhost:${PORT}/api/v1/backtest/montecarlo`);
+  console.log(`🗄️  History: http://localhost:${PORT}/api/v1/backtests`);
+  console.log(`📒 Portfolios: http://localhost:${PORT}/api/v1/portfolios`);
+  console.log(`🧠 Strategies: http://localhost:${PORT}/api/v1/strategies`);
   console.log('🌐 CORS enabled for all origins');
   console.log('🎯 Dynamic Dividend Detection enabled');
   console.log('🌍 Multi-Exchange Support:');
@@ -1132,7 +2006,7 @@ app.listen(PORT, () => {
   console.log('   🇮🇳 NSE: RELIANCE.IN, TCS.IN, INFY.IN');
   console.log('   🇮🇳 BSE: BSE:RELIANCE.IN, BSE:TCS.IN');
   console.log('📋 Supported timeframes: 1D, 1W, 1M, 3M, 6M, 1Y');
-  console.log('📈 Strategy: Buy X shares on each red candle period');
+  console.log(`📈 Strategies: ${listStrategies().map(s => s.key).join(', ')} (default: ${DEFAULT_STRATEGY})`);
   console.log('💎 Dividend sections shown only if dividends found');
   console.log('💰 Enhanced stock metrics for all stocks');
   console.log('📊 Yield on Cost using (dividend * 12) / Average cost');
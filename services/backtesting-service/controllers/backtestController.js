@@ -3,29 +3,60 @@ const moment = require('moment-timezone');
 const _ = require('lodash');
 const { v4: uuid } = require('uuid');
 const config = require('../../../config/config');
-const Candle = require('../../../shared/models/Candle');
 const Dividend = require('../../../shared/models/Dividend');
 const SmartDividendFrequencyService = require('../../dividend-service/utils/smartFrequencyService');
-const { resampleCandles } = require('../utils/resampleUtils');
+const { parseTimeframe, resolveResampleOptions, resampleCandles } = require('../../../shared/utils/resampleUtils');
+const { DEFAULT_STRATEGY, getStrategy, listStrategies, validateStrategyParams } = require('../../../shared/utils/strategies');
+const { simulateStrategy } = require('../../../shared/utils/backtestEngine');
+const { resolveSizing, validateSizing } = require('../../../shared/utils/positionSizing');
+const { resolveCosts, validateCosts } = require('../../../shared/utils/tradingCosts');
+const { resolveWithholding, validateWithholding } = require('../../../shared/utils/withholdingTax');
+const { calculatePerformanceMetrics } = require('../../../shared/utils/performanceMetrics');
+const { DCA_FREQUENCIES, compareWithBenchmarks } = require('../../../shared/utils/benchmarks');
+const { normalizeHoldings, aggregatePortfolio } = require('../../../shared/utils/portfolioBacktest');
+const { SWEEP_OBJECTIVES, DEFAULT_OBJECTIVE, buildSweepGrid, runParameterSweep } = require('../../../shared/utils/parameterSweep');
+const { buildWindows, runRollingWindows } = require('../../../shared/utils/rollingWindows');
+const { MONTE_CARLO_METHODS, DEFAULT_SIMULATIONS, MAX_SIMULATIONS, MAX_SIMULATED_CANDLES, simulationLimit, runMonteCarlo } = require('../../../shared/utils/monteCarlo');
+const { resolveTaxLotOptions, trackTaxLots } = require('../../../shared/utils/taxLots');
+const { currencyFromTicker, isValidCurrency, fxPairTicker, invertFxCandles, createRateLookup, convertDividends, convertSimulation } = require('../../../shared/utils/currency');
+const { isIntradayTimeframe } = require('../../../shared/utils/marketSessions');
+const { readCachedCandles } = require('../../../shared/utils/candleCache');
+const { readCachedCorporateActions } = require('../../../shared/utils/corporateActionCache');
+const { PRICE_ADJUSTMENTS, resolvePriceAdjustment, normalizeCorporateActions, adjustCandles, adjustDividends, adjustTransactions } = require('../../../shared/utils/corporateActions');
+const { validateSessionId, buildRunQuery, hasRunFilters, summarizeResult, saveBacktestRun, listBacktestRuns, getBacktestRun, deleteBacktestRun, deleteBacktestRuns } = require('../../../shared/utils/backtestRuns');
 
 const marketUrl = config.services.marketData.url;
 const dividendUrl = config.services.dividend.url;
 const transactionUrl = config.services.transaction.url;
 
+// Candles straight from the shared candle store when it has every session in the range;
+// otherwise the market data service fetches the missing ranges into the store and returns all of it
+async function getStoredCandles(ticker, startDate, endDate, timeframe) {
+  const { candles, missingRanges } = await readCachedCandles(ticker, timeframe, startDate, endDate);
+  if (missingRanges.length === 0) {
+    return candles;
+  }
+
+  const response = await axios.get(`${marketUrl}/candles`, {
+    params: { ticker, startDate: moment(startDate).format('YYYY-MM-DD'), endDate: moment(endDate).format('YYYY-MM-DD'), timeframe }
+  });
+  return response.data;
+}
+
 async function getDailyCandles(ticker, startDate, endDate) {
-  let candles = await Candle.find({
-    ticker: ticker.toUpperCase(),
-    timeframe: '1D',
-    date: { $gte: new Date(startDate), $lte: new Date(endDate) }
-  }).sort({ date: 1 });
+  return getStoredCandles(ticker, startDate, endDate, '1D');
+}
 
-  if (candles.length === 0) {
-    const response = await axios.get(`${marketUrl}/candles`, {
-      params: { ticker, startDate, endDate }
-    });
-    candles = response.data;
+// Candles for a backtest timeframe: intraday bars are stored per timeframe, daily and
+// longer timeframes (including custom lengths like 10D or 2W) are resampled from the daily series.
+// Candles are adjusted for corporateActions (see corporateActions.js) before resampling.
+async function getCandles(ticker, startDate, endDate, timeframe = '1D', resampleOptions = null, corporateActions = []) {
+  if (!isIntradayTimeframe(timeframe)) {
+    const dailyCandles = adjustCandles(await getDailyCandles(ticker, startDate, endDate), corporateActions);
+    return timeframe === '1D' ? dailyCandles : resampleCandles(dailyCandles, timeframe, resampleOptions || {});
   }
-  return candles;
+
+  return adjustCandles(await getStoredCandles(ticker, startDate, endDate, timeframe), corporateActions);
 }
 
 async function getDividends(ticker, startDate, endDate) {
@@ -43,6 +74,104 @@ async function getDividends(ticker, startDate, endDate) {
   return dividends;
 }
 
+// Splits, bonus issues and spin-offs straight from the store when every day of the range has
+// been fetched; otherwise the market data service fetches the missing ranges into the store
+// and returns all of it. A failed lookup is logged and treated as no actions rather than
+// failing the backtest.
+async function getCorporateActions(ticker, startDate, endDate) {
+  const { actions, missingRanges } = await readCachedCorporateActions(ticker, startDate, endDate);
+  if (missingRanges.length === 0) {
+    return actions;
+  }
+
+  try {
+    const response = await axios.get(`${marketUrl}/corporate-actions`, {
+      params: { ticker, startDate: moment(startDate).format('YYYY-MM-DD'), endDate: moment(endDate).format('YYYY-MM-DD') }
+    });
+    return normalizeCorporateActions(response.data);
+  } catch (error) {
+    console.error(`❌ Error fetching corporate actions for ${ticker}: ${error.message}`);
+    return [];
+  }
+}
+
+// Daily FX candles live in the candle store like any ticker (e.g. CAD/USD); the inverse
+// pair is used when the direct one is not available. Returns a rate lookup or null.
+async function getFxRates(from, to, startDate, endDate) {
+  // Start a little early so the first candle has a rate to carry forward
+  const fxStart = moment(startDate).subtract(14, 'days').toDate();
+  const fetchPair = async pair => {
+    try {
+      return await getDailyCandles(pair, fxStart, endDate);
+    } catch (error) {
+      console.error(`❌ Error fetching ${pair} rates: ${error.message}`);
+      return [];
+    }
+  };
+
+  let fxCandles = await fetchPair(fxPairTicker(from, to));
+  if (fxCandles.length === 0) {
+    fxCandles = invertFxCandles((await fetchPair(fxPairTicker(to, from))).map(candle => ({
+      date: candle.date,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close
+    })));
+  }
+  return createRateLookup(fxCandles);
+}
+
+// Simulated transactions as stored by the transaction service, in the listing currency
+function toStoredTransactions(sessionId, ticker, simulation) {
+  return simulation.transactions.map(trade => ({
+    sessionId,
+    ticker: ticker.toUpperCase(),
+    transactionDate: trade.transactionDate,
+    type: trade.type,
+    quantity: trade.quantity,
+    price: trade.price,
+    fees: trade.fees || 0,
+    totalCost: trade.totalCost,
+    lotId: trade.tradeId !== undefined ? String(trade.tradeId) : undefined
+  }));
+}
+
+// Persist a run's transactions to the transaction service under one backtest session, in
+// bulk requests of up to TRANSACTION_BATCH_SIZE sharing one saveId. The last request replaces
+// whatever the session stored before, so a rerun session (same sessionId) keeps only this
+// run's trades - and keeps the previous ones if a batch fails.
+const TRANSACTION_BATCH_SIZE = 5000;
+
+async function saveTransactions(sessionId, transactions) {
+  const batches = transactions.length > 0 ? _.chunk(transactions, TRANSACTION_BATCH_SIZE) : [[]];
+  const saveId = uuid();
+  for (const [index, batch] of batches.entries()) {
+    const { data } = await axios.post(`${transactionUrl}/transactions/bulk`, { sessionId, saveId, transactions: batch, replace: index === batches.length - 1 });
+    console.log(`💾 Saved ${data.inserted} transactions for session ${sessionId} (${data.duplicates} already stored, ${data.replaced} replaced)`);
+  }
+}
+
+// 500 for a run that failed after validation (a data fetch or the engine), so the gateway
+// relays an answer instead of waiting for its request to time out
+function serverError(res, error, label) {
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Daily and longer timeframes are resampled from daily candles, including custom lengths
+// such as 10D, 2W or 2M; intraday timeframes only where the backtest allows them
+function validateTimeframe(timeframe, { intraday = false } = {}) {
+  if (isIntradayTimeframe(timeframe)) {
+    return intraday ? null : `Intraday timeframe ${timeframe} is only supported for single and portfolio backtests`;
+  }
+  return parseTimeframe(timeframe) ? null : `Unknown timeframe: ${timeframe}. Use 1D, 1W, 1M, 3M, 6M, 1Y or a custom length such as 10D, 2W or 2M`;
+}
+
 // Helper function to convert frequency to payments per year
 function getPaymentsPerYear(frequency) {
   switch (frequency) {
@@ -56,135 +185,856 @@ function getPaymentsPerYear(frequency) {
 }
 
 async function runBacktest(req, res) {
-  const { ticker, timeframe, quantity, startDate, endDate } = req.body;
-  const start = startDate ? moment(startDate).toDate() : moment().subtract(5, 'years').toDate();
-  const end = endDate ? moment(endDate).toDate() : moment().toDate();
-  const sessionId = uuid();
+  try {
+    const { ticker, timeframe, quantity, startDate, endDate, strategy = DEFAULT_STRATEGY, strategyParams = {}, exitRules = {}, sizing = {}, initialCapital, cashInterestRate, reinvestDividends = false, riskFreeRate, costs, withholdingTax, benchmark, reportingCurrency, taxLots, resampling, priceAdjustment, sessionId: requestedSessionId } = req.body;
+
+    if (!getStrategy(strategy)) {
+      return res.status(400).json({
+        message: `Unknown strategy: ${strategy}`,
+        validStrategies: listStrategies().map(s => s.key)
+      });
+    }
+    const strategyParamsError = validateStrategyParams(strategy, strategyParams);
+    if (strategyParamsError) {
+      return res.status(400).json({ message: strategyParamsError, defaultParams: getStrategy(strategy).defaultParams });
+    }
+
+    const startingCapital = initialCapital ? parseFloat(initialCapital) : null;
+    if (startingCapital !== null && !(startingCapital > 0)) {
+      return res.status(400).json({ message: 'initialCapital must be a positive number' });
+    }
+    const resolvedSizing = resolveSizing(sizing, parseFloat(quantity) || 1);
+    const sizingError = validateSizing(resolvedSizing, { cashMode: startingCapital !== null });
+    if (sizingError) {
+      return res.status(400).json({ message: sizingError });
+    }
+
+    const resolvedCosts = resolveCosts(costs, ticker);
+    const costsError = validateCosts(resolvedCosts);
+    if (costsError) {
+      return res.status(400).json({ message: costsError });
+    }
 
-  console.log(`🚀 Starting backtest for ${ticker} from ${startDate} to ${endDate}`);
+    const resolvedWithholding = resolveWithholding(withholdingTax, ticker);
+    const withholdingError = validateWithholding(resolvedWithholding);
+    if (withholdingError) {
+      return res.status(400).json({ message: withholdingError });
+    }
+
+    const { options: resampleOptions, error: resamplingError } = resolveResampleOptions(resampling);
+    if (resamplingError) {
+      return res.status(400).json({ message: resamplingError });
+    }
 
-  const dailyCandles = await getDailyCandles(ticker, start, end);
+    const { mode: adjustment, error: adjustmentError } = resolvePriceAdjustment(priceAdjustment);
+    if (adjustmentError) {
+      return res.status(400).json({ message: adjustmentError, validAdjustments: PRICE_ADJUSTMENTS });
+    }
 
-  if (dailyCandles.length === 0) {
-    return res.status(404).json({ message: 'No data available for the symbol in the given period' });
+    const sessionIdError = validateSessionId(requestedSessionId);
+    if (sessionIdError) {
+      return res.status(400).json({ message: sessionIdError });
+    }
+
+    const dcaFrequency = benchmark?.dcaFrequency || 'monthly';
+    if (benchmark && !DCA_FREQUENCIES.includes(dcaFrequency)) {
+      return res.status(400).json({ message: `Unknown DCA frequency: ${dcaFrequency}`, validFrequencies: DCA_FREQUENCIES });
+    }
+
+    if (reportingCurrency !== undefined && !isValidCurrency(reportingCurrency)) {
+      return res.status(400).json({ message: 'reportingCurrency must be a 3-letter currency code such as USD, CAD or INR' });
+    }
+    const taxLotConfig = resolveTaxLotOptions(taxLots);
+    if (taxLotConfig.error) {
+      return res.status(400).json({ message: taxLotConfig.error });
+    }
+    const listingCurrency = currencyFromTicker(ticker);
+    const targetCurrency = reportingCurrency ? reportingCurrency.toUpperCase() : listingCurrency;
+
+    const start = startDate ? moment(startDate).toDate() : moment().subtract(5, 'years').toDate();
+    const end = endDate ? moment(endDate).toDate() : moment().toDate();
+    const sessionId = requestedSessionId || uuid();
+
+    console.log(`🚀 Starting ${strategy} backtest for ${ticker} from ${startDate} to ${endDate}`);
+
+    // Adjusted runs rebase candles and dividends for the period's corporate actions; raw runs
+    // trade the prices as quoted and the engine applies the actions to the shares held
+    const corporateActions = await getCorporateActions(ticker, start, end);
+    const adjustFor = adjustment === 'adjusted' ? corporateActions : [];
+
+    let candles = await getCandles(ticker, start, end, timeframe, resampleOptions, adjustFor);
+
+    if (candles.length === 0) {
+      return res.status(404).json({ message: 'No data available for the symbol in the given period' });
+    }
+
+    let rateOn = null;
+    if (targetCurrency !== listingCurrency) {
+      rateOn = await getFxRates(listingCurrency, targetCurrency, start, end);
+      if (!rateOn) {
+        return res.status(404).json({ message: `No ${fxPairTicker(listingCurrency, targetCurrency)} rates available for the given period` });
+      }
+    }
+
+    const dividends = adjustDividends(await getDividends(ticker, start, end), adjustFor);
+
+    // Simulate buys (and sells when exit rules are set) using the shared strategy engine
+    const localSimulation = simulateStrategy(candles, {
+      strategy,
+      strategyParams,
+      quantity,
+      sizing: resolvedSizing,
+      exitRules,
+      dividends,
+      initialCapital: startingCapital,
+      cashInterestRate: parseFloat(cashInterestRate) || 0,
+      reinvestDividends: reinvestDividends === true || reinvestDividends === 'true',
+      costs: resolvedCosts,
+      withholding: resolvedWithholding,
+      corporateActions: adjustment === 'raw' ? corporateActions : []
+    });
+    // Transactions are stored as traded, in the listing currency
+    await saveTransactions(sessionId, toStoredTransactions(sessionId, ticker, localSimulation));
+
+    // Everything reported below is in the reporting currency, converted at each transaction's and dividend's date
+    const simulation = rateOn
+      ? convertSimulation(localSimulation, rateOn, { from: listingCurrency, to: targetCurrency })
+      : localSimulation;
+    const reportedDividends = rateOn ? convertDividends(dividends, rateOn) : dividends;
+
+    // Get dividend frequency using smart analysis (analyzes 2+ years of data)
+    console.log(`🔍 Analyzing dividend frequency for ${ticker}...`);
+    const frequencyAnalysis = await SmartDividendFrequencyService.analyzeDividendFrequency(ticker, startDate, endDate);
+    const dividendFrequency = frequencyAnalysis.frequency;
+    const paymentsPerYear = getPaymentsPerYear(dividendFrequency);
+
+    console.log(`🎯 Dividend frequency: ${dividendFrequency} (confidence: ${frequencyAnalysis.confidence})`);
+    console.log(`📊 Payments per year: ${paymentsPerYear}`);
+
+    // Calculations
+    const totalShares = simulation.totalShares;
+    const totalInvestment = simulation.totalInvestment;
+    const lastClose = simulation.lastPrice;
+    const totalValueToday = totalShares * lastClose;
+    const { realizedPnL, unrealizedPnL, tradeStats } = simulation;
+    const pnL = realizedPnL + unrealizedPnL;
+
+    // Dividend income with year-based grouping (entitlements come from the engine so DRIP shares compound).
+    // Income is net of withholding tax; gross and withheld amounts are tracked alongside.
+    let totalDividend = 0;
+    let totalDividendGross = 0;
+    let dividendTaxWithheld = 0;
+    const yearlyDividendMap = {};
+    for (const event of simulation.dividendEvents) {
+      totalDividend += event.income;
+      totalDividendGross += event.grossIncome;
+      dividendTaxWithheld += event.withheldTax;
+
+      const year = moment(event.exDate).year();
+      if (!yearlyDividendMap[year]) {
+        yearlyDividendMap[year] = { net: 0, gross: 0, withheld: 0 };
+      }
+      yearlyDividendMap[year].net += event.income;
+      yearlyDividendMap[year].gross += event.grossIncome;
+      yearlyDividendMap[year].withheld += event.withheldTax;
+    }
+
+    const yearlyReinvestedMap = _.groupBy(simulation.transactions.filter(tx => tx.type === 'DRIP'), tx => moment(tx.transactionDate).year());
+    const pnLWithDividend = pnL + totalDividend;
+
+    // Generate years from start to end
+    const years = [];
+    for (let y = moment(start).year(); y <= moment(end).year(); y++) {
+      years.push(y);
+    }
+    const yearlyDividends = years.map(year => ({
+      year,
+      totalDividend: yearlyDividendMap[year] ? yearlyDividendMap[year].net : 0,
+      grossDividend: yearlyDividendMap[year] ? yearlyDividendMap[year].gross : 0,
+      withheldTax: yearlyDividendMap[year] ? yearlyDividendMap[year].withheld : 0,
+      reinvestedAmount: _.sumBy(yearlyReinvestedMap[year] || [], 'totalCost'),
+      reinvestedShares: _.sumBy(yearlyReinvestedMap[year] || [], 'quantity')
+    }));
+
+    // Dividend yields using smart-detected frequency
+    let lastDividendYield = 0;
+    let ttmDividendYield = 0;
+    let yieldOnCost = 0;
+    if (reportedDividends.length > 0) {
+      const lastDiv = reportedDividends[reportedDividends.length - 1];
+      const annualDiv = lastDiv.amount * paymentsPerYear;
+      lastDividendYield = (annualDiv / lastClose) * 100;
+
+      const oneYearAgo = moment(end).subtract(12, 'months').toDate();
+      const ttmDivs = reportedDividends.filter(d => d.exDate > oneYearAgo);
+      const ttmSum = _.sumBy(ttmDivs, 'amount');
+      ttmDividendYield = (ttmSum / lastClose) * 100;
+
+      const avgCost = simulation.averageCost;
+      yieldOnCost = avgCost > 0 ? (annualDiv / avgCost) * 100 : 0;
+    }
+
+    const totalDivPercent = (totalDividend / totalInvestment) * 100 || 0;
+    const pnLPercent = (pnL / totalInvestment) * 100 || 0;
+    const pnLWithDividendPercent = (pnLWithDividend / totalInvestment) * 100 || 0;
+    const averageCost = simulation.averageCost;
+
+    const performance = calculatePerformanceMetrics(simulation.equityCurve, {
+      riskFreeRate: parseFloat(riskFreeRate) || 0
+    });
+
+    // Lump-sum, DCA and optional benchmark ticker on the same candles and capital (listing currency)
+    let benchmarks = null;
+    if (benchmark) {
+      let benchmarkCandles = null;
+      let benchmarkDividends = [];
+      let benchmarkActions = [];
+      if (benchmark.ticker) {
+        benchmarkActions = await getCorporateActions(benchmark.ticker, start, end);
+        const benchmarkAdjustFor = adjustment === 'adjusted' ? benchmarkActions : [];
+        benchmarkCandles = await getCandles(benchmark.ticker, start, end, timeframe, resampleOptions, benchmarkAdjustFor);
+        benchmarkDividends = adjustDividends(await getDividends(benchmark.ticker, start, end), benchmarkAdjustFor);
+      }
+      benchmarks = compareWithBenchmarks(candles, localSimulation, {
+        dividends,
+        reinvestDividends: simulation.drip.enabled,
+        riskFreeRate: parseFloat(riskFreeRate) || 0,
+        dcaFrequency,
+        costs: resolvedCosts,
+        withholding: resolvedWithholding,
+        corporateActions: adjustment === 'raw' ? corporateActions : [],
+        benchmarkTicker: benchmark.ticker ? benchmark.ticker.toUpperCase() : null,
+        benchmarkCandles,
+        benchmarkDividends,
+        benchmarkCosts: benchmark.ticker ? resolveCosts(costs, benchmark.ticker) : null,
+        benchmarkWithholding: benchmark.ticker ? resolveWithholding(withholdingTax, benchmark.ticker) : null,
+        benchmarkCorporateActions: adjustment === 'raw' ? benchmarkActions : []
+      });
+    }
+
+    // Capital-gains lots over the simulated and any user-supplied transactions (listing currency in, reporting currency out).
+    // Lots are matched on the latest share count: user transactions are as traded, and so are the
+    // simulated ones on raw prices.
+    let taxLotReport = null;
+    if (taxLotConfig.options) {
+      const { transactions: userTransactions, ...lotOptions } = taxLotConfig.options;
+      const toReported = (amount, date) => rateOn ? amount * rateOn(date) : amount;
+      const rawActions = adjustment === 'raw' ? corporateActions : [];
+      taxLotReport = trackTaxLots([
+        ...adjustTransactions(simulation.transactions, rawActions),
+        ...adjustTransactions(userTransactions, corporateActions).map(tx => ({ ...tx, price: toReported(tx.price, tx.date), totalCost: toReported(tx.totalCost, tx.date) }))
+      ], {
+        ...lotOptions,
+        prices: adjustCandles(candles, rawActions, { sharesOnly: true }).map(candle => ({ date: candle.date, close: toReported(candle.close, candle.date) }))
+      });
+    }
+
+    // Generate dividend history using smart-detected frequency
+    const dividendHistory = generateDividendHistory(dividendFrequency, reportedDividends, start, end);
+
+    const result = {
+      strategy: simulation.strategy,
+      strategyParams: simulation.strategyParams,
+      sizing: simulation.sizing,
+      pnL,
+      pnLPercent,
+      pnLWithDividend,
+      pnLWithDividendPercent,
+      realizedPnL,
+      unrealizedPnL,
+      exitRules: simulation.exitRules,
+      tradeStats,
+      trades: simulation.trades,
+      portfolio: simulation.portfolio,
+      costs: simulation.costs,
+      drip: simulation.drip,
+      totalDividend,
+      totalDividendGross,
+      dividendTaxWithheld,
+      withholdingTax: resolvedWithholding,
+      totalDivPercent,
+      lastDividendYield,
+      ttmDividendYield,
+      yieldOnCost,
+      dividendFrequency, // Smart-detected frequency
+      dividendFrequencyConfidence: frequencyAnalysis.confidence,
+      dividendFrequencyReason: frequencyAnalysis.reason,
+      totalShares,
+      totalInvestment,
+      totalValueToday,
+      averageCost,
+      yearlyDividends,
+      dividendHistory,
+      performance,
+      equityCurve: simulation.equityCurve,
+      benchmarks: benchmarks ? { currency: listingCurrency, ...benchmarks } : null,
+      taxLots: taxLotReport,
+      corporateActions: {
+        priceAdjustment: adjustment,
+        actions: corporateActions,
+        events: simulation.corporateActions.events,
+        cashReceived: simulation.corporateActions.cashReceived
+      },
+      resampling: candles[0]?.periodEnd ? {
+        options: resampleOptions,
+        partialBars: candles.filter(candle => candle.partial).map(({ date, periodStart, periodEnd, tradingDays }) => ({ date, periodStart, periodEnd, tradingDays }))
+      } : null,
+      currency: targetCurrency,
+      listingCurrency,
+      fx: simulation.fx ? { pair: fxPairTicker(listingCurrency, targetCurrency), ...simulation.fx } : null
+    };
+
+    const runId = await saveBacktestRun({
+      sessionId,
+      type: 'single',
+      tickers: [ticker],
+      strategy: simulation.strategy,
+      timeframe,
+      startDate: start,
+      endDate: end,
+      currency: targetCurrency,
+      request: req.body,
+      summary: summarizeResult(result),
+      transactions: simulation.transactions,
+      dividends: { events: simulation.dividendEvents, yearly: yearlyDividends, history: dividendHistory }
+    });
+
+    res.json({ runId, sessionId, ...result });
+  } catch (error) {
+    serverError(res, error, 'Backtest');
   }
+}
+
+// Multi-ticker backtest: initialCapital is split by weight and each holding trades its own cash sleeve
+async function runPortfolioBacktest(req, res) {
+  try {
+    const { holdings, timeframe = '1D', quantity, startDate, endDate, strategy = DEFAULT_STRATEGY, strategyParams = {}, exitRules = {}, sizing = {}, initialCapital, cashInterestRate, reinvestDividends = false, riskFreeRate, costs, withholdingTax, reportingCurrency, resampling, priceAdjustment, sessionId: requestedSessionId } = req.body;
+
+    const normalized = normalizeHoldings(holdings);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error });
+    }
+    if (reportingCurrency !== undefined && !isValidCurrency(reportingCurrency)) {
+      return res.status(400).json({ message: 'reportingCurrency must be a 3-letter currency code such as USD, CAD or INR' });
+    }
+    // One valuation currency for all holdings: the requested one, else the first holding's
+    const targetCurrency = reportingCurrency
+      ? reportingCurrency.toUpperCase()
+      : currencyFromTicker(normalized.holdings[0].ticker);
+    const timeframeError = validateTimeframe(timeframe, { intraday: true });
+    if (timeframeError) {
+      return res.status(400).json({ message: timeframeError });
+    }
+    if (!getStrategy(strategy)) {
+      return res.status(400).json({
+        message: `Unknown strategy: ${strategy}`,
+        validStrategies: listStrategies().map(s => s.key)
+      });
+    }
+    const strategyParamsError = validateStrategyParams(strategy, strategyParams);
+    if (strategyParamsError) {
+      return res.status(400).json({ message: strategyParamsError, defaultParams: getStrategy(strategy).defaultParams });
+    }
+
+    const startingCapital = parseFloat(initialCapital);
+    if (isNaN(startingCapital) || startingCapital <= 0) {
+      return res.status(400).json({ message: 'initialCapital must be a positive number' });
+    }
+    const resolvedSizing = resolveSizing(sizing, parseFloat(quantity) || 1);
+    const sizingError = validateSizing(resolvedSizing, { cashMode: true });
+    if (sizingError) {
+      return res.status(400).json({ message: sizingError });
+    }
+
+    // Each holding uses its own exchange's cost defaults and its payer country's withholding rate
+    const holdingCosts = {};
+    const holdingWithholding = {};
+    for (const holding of normalized.holdings) {
+      holdingCosts[holding.ticker] = resolveCosts(costs, holding.ticker);
+      const costsError = validateCosts(holdingCosts[holding.ticker]);
+      if (costsError) {
+        return res.status(400).json({ message: costsError });
+      }
+      holdingWithholding[holding.ticker] = resolveWithholding(withholdingTax, holding.ticker);
+      const withholdingError = validateWithholding(holdingWithholding[holding.ticker]);
+      if (withholdingError) {
+        return res.status(400).json({ message: withholdingError });
+      }
+    }
+
+    const { options: resampleOptions, error: resamplingError } = resolveResampleOptions(resampling);
+    if (resamplingError) {
+      return res.status(400).json({ message: resamplingError });
+    }
+
+    const { mode: adjustment, error: adjustmentError } = resolvePriceAdjustment(priceAdjustment);
+    if (adjustmentError) {
+      return res.status(400).json({ message: adjustmentError, validAdjustments: PRICE_ADJUSTMENTS });
+    }
+
+    const sessionIdError = validateSessionId(requestedSessionId);
+    if (sessionIdError) {
+      return res.status(400).json({ message: sessionIdError });
+    }
+
+    const start = startDate ? moment(startDate).toDate() : moment().subtract(5, 'years').toDate();
+    const end = endDate ? moment(endDate).toDate() : moment().toDate();
+    const sessionId = requestedSessionId || uuid();
+
+    console.log(`🚀 Starting ${strategy} portfolio backtest for ${normalized.holdings.map(h => h.ticker).join(', ')}`);
+
+    const runs = [];
+    const fxRates = {};
+    let transactions = [];
+    for (const holding of normalized.holdings) {
+      const corporateActions = await getCorporateActions(holding.ticker, start, end);
+      const adjustFor = adjustment === 'adjusted' ? corporateActions : [];
+      const candles = await getCandles(holding.ticker, start, end, timeframe, resampleOptions, adjustFor);
+      if (candles.length === 0) {
+        return res.status(404).json({ message: `No data available for ${holding.ticker} in the given period` });
+      }
+
+      const dividends = adjustDividends(await getDividends(holding.ticker, start, end), adjustFor);
+      const capital = startingCapital * holding.weight;
+      const listingCurrency = currencyFromTicker(holding.ticker);
+
+      // The sleeve trades in its listing currency; its capital is converted at the first candle
+      let rateOn = null;
+      if (listingCurrency !== targetCurrency) {
+        if (!fxRates[listingCurrency]) {
+          fxRates[listingCurrency] = await getFxRates(listingCurrency, targetCurrency, start, end);
+        }
+        rateOn = fxRates[listingCurrency];
+        if (!rateOn) {
+          return res.status(404).json({ message: `No ${fxPairTicker(listingCurrency, targetCurrency)} rates available for the given period` });
+        }
+      }
 
-  let candles = timeframe === '1D' ? dailyCandles : resampleCandles(dailyCandles, timeframe);
-
-  // Simulate buys
-  let transactions = [];
-  for (const candle of candles) {
-    if (candle.open > candle.close) { // red candle
-      const tx = {
-        sessionId,
-        ticker: ticker.toUpperCase(),
-        transactionDate: candle.date,
-        type: 'BUY',
+      const localSimulation = simulateStrategy(candles, {
+        strategy,
+        strategyParams,
         quantity,
-        price: candle.close,
-        totalCost: quantity * candle.close
-      };
-      await axios.post(`${transactionUrl}/transactions`, tx);
-      transactions.push(tx);
+        sizing: resolvedSizing,
+        exitRules,
+        dividends,
+        initialCapital: rateOn ? capital / rateOn(candles[0].date) : capital,
+        cashInterestRate: parseFloat(cashInterestRate) || 0,
+        reinvestDividends: reinvestDividends === true || reinvestDividends === 'true',
+        costs: holdingCosts[holding.ticker],
+        withholding: holdingWithholding[holding.ticker],
+        corporateActions: adjustment === 'raw' ? corporateActions : []
+      });
+
+      const stored = toStoredTransactions(sessionId, holding.ticker, localSimulation);
+      transactions = transactions.concat(stored.map(tx => ({ ...tx, currency: listingCurrency })));
+      const simulation = rateOn
+        ? convertSimulation(localSimulation, rateOn, { from: listingCurrency, to: targetCurrency })
+        : localSimulation;
+      runs.push({ ticker: holding.ticker, weight: holding.weight, capital, currency: listingCurrency, simulation });
     }
-  }
 
-  const dividends = await getDividends(ticker, start, end);
-
-  // Get dividend frequency using smart analysis (analyzes 2+ years of data)
-  console.log(`🔍 Analyzing dividend frequency for ${ticker}...`);
-  const frequencyAnalysis = await SmartDividendFrequencyService.analyzeDividendFrequency(ticker, startDate, endDate);
-  const dividendFrequency = frequencyAnalysis.frequency;
-  const paymentsPerYear = getPaymentsPerYear(dividendFrequency);
-
-  console.log(`🎯 Dividend frequency: ${dividendFrequency} (confidence: ${frequencyAnalysis.confidence})`);
-  console.log(`📊 Payments per year: ${paymentsPerYear}`);
-
-  // Calculations
-  const totalShares = transactions.length * quantity;
-  const totalInvestment = _.sumBy(transactions, 'totalCost');
-  const lastClose = candles[candles.length - 1]?.close || 0;
-  const totalValueToday = totalShares * lastClose;
-  const pnL = totalValueToday - totalInvestment;
-
-  // Dividend income with year-based grouping
-  let totalDividend = 0;
-  const yearlyDividendMap = {};
-  const sortedTx = _.sortBy(transactions, 'transactionDate');
-  let cumShares = 0;
-  let txIndex = 0;
-  for (const div of dividends) {
-    while (txIndex < sortedTx.length && sortedTx[txIndex].transactionDate < div.exDate) {
-      cumShares += sortedTx[txIndex].quantity;
-      txIndex++;
-    }
-    const dividendIncome = cumShares * div.amount;
-    totalDividend += dividendIncome;
-
-    const year = moment(div.exDate).year();
-    if (!yearlyDividendMap[year]) {
-      yearlyDividendMap[year] = 0;
-    }
-    yearlyDividendMap[year] += dividendIncome;
+    const result = aggregatePortfolio(runs, { riskFreeRate: parseFloat(riskFreeRate) || 0 });
+    transactions = _.sortBy(transactions, tx => new Date(tx.transactionDate).getTime());
+    await saveTransactions(sessionId, transactions.map(tx => _.omit(tx, 'currency')));
+
+    const runId = await saveBacktestRun({
+      sessionId,
+      type: 'portfolio',
+      tickers: normalized.holdings.map(holding => holding.ticker),
+      strategy,
+      timeframe,
+      startDate: start,
+      endDate: end,
+      currency: targetCurrency,
+      request: req.body,
+      summary: summarizeResult({ portfolio: result.summary, performance: result.performance }),
+      transactions,
+      dividends: { events: result.dividendEvents }
+    });
+
+    res.json({
+      runId,
+      sessionId,
+      strategy,
+      strategyParams: runs[0].simulation.strategyParams,
+      sizing: resolvedSizing,
+      exitRules: runs[0].simulation.exitRules,
+      currency: targetCurrency,
+      priceAdjustment: adjustment,
+      portfolio: result.summary,
+      holdings: result.holdings.map((holding, index) => ({
+        ...holding,
+        signalCount: runs[index].simulation.signalCount,
+        corporateActions: runs[index].simulation.corporateActions,
+        listingCurrency: runs[index].currency,
+        fx: runs[index].simulation.fx || null
+      })),
+      transactions,
+      dividends: result.dividendEvents,
+      performance: result.performance,
+      equityCurve: result.equityCurve
+    });
+  } catch (error) {
+    serverError(res, error, 'Portfolio backtest');
   }
-  const pnLWithDividend = pnL + totalDividend;
+}
+
+// Grid search: every combination runs against candles and dividends loaded once.
+// Sweep runs are not persisted to the transaction service.
+async function runSweep(req, res) {
+  try {
+    const { ticker, startDate, endDate, quantity, strategy = DEFAULT_STRATEGY, strategyParams = {}, exitRules = {}, sizing = {}, initialCapital, cashInterestRate, reinvestDividends = false, riskFreeRate, costs, withholdingTax, grid = {}, objective = DEFAULT_OBJECTIVE, limit, resampling, priceAdjustment } = req.body;
+
+    if (!getStrategy(strategy)) {
+      return res.status(400).json({
+        message: `Unknown strategy: ${strategy}`,
+        validStrategies: listStrategies().map(s => s.key)
+      });
+    }
+    const strategyParamsError = validateStrategyParams(strategy, strategyParams);
+    if (strategyParamsError) {
+      return res.status(400).json({ message: strategyParamsError, defaultParams: getStrategy(strategy).defaultParams });
+    }
+    if (!SWEEP_OBJECTIVES[objective]) {
+      return res.status(400).json({ message: `Unknown objective: ${objective}`, validObjectives: Object.keys(SWEEP_OBJECTIVES) });
+    }
+
+    const defaultQuantity = parseFloat(quantity) || 1;
+    const sweepGrid = buildSweepGrid(grid, {
+      strategy,
+      validTimeframes: ['1D', '1W', '1M', '3M', '6M', '1Y'],
+      defaultQuantity
+    });
+    if (sweepGrid.error) {
+      return res.status(400).json({ message: sweepGrid.error });
+    }
+
+    const startingCapital = initialCapital ? parseFloat(initialCapital) : null;
+    if (startingCapital !== null && !(startingCapital > 0)) {
+      return res.status(400).json({ message: 'initialCapital must be a positive number' });
+    }
+    const sizingError = validateSizing(resolveSizing(sizing, defaultQuantity), { cashMode: startingCapital !== null });
+    if (sizingError) {
+      return res.status(400).json({ message: sizingError });
+    }
+
+    const resolvedCosts = resolveCosts(costs, ticker);
+    const costsError = validateCosts(resolvedCosts);
+    if (costsError) {
+      return res.status(400).json({ message: costsError });
+    }
+
+    const resolvedWithholding = resolveWithholding(withholdingTax, ticker);
+    const withholdingError = validateWithholding(resolvedWithholding);
+    if (withholdingError) {
+      return res.status(400).json({ message: withholdingError });
+    }
+
+    const { options: resampleOptions, error: resamplingError } = resolveResampleOptions(resampling);
+    if (resamplingError) {
+      return res.status(400).json({ message: resamplingError });
+    }
+
+    const { mode: adjustment, error: adjustmentError } = resolvePriceAdjustment(priceAdjustment);
+    if (adjustmentError) {
+      return res.status(400).json({ message: adjustmentError, validAdjustments: PRICE_ADJUSTMENTS });
+    }
+
+    const start = startDate ? moment(startDate).toDate() : moment().subtract(5, 'years').toDate();
+    const end = endDate ? moment(endDate).toDate() : moment().toDate();
+
+    console.log(`🔬 Sweeping ${sweepGrid.combinations.length} ${strategy} combinations for ${ticker}`);
 
-  // Generate years from start to end
-  const years = [];
-  for (let y = moment(start).year(); y <= moment(end).year(); y++) {
-    years.push(y);
+    const corporateActions = await getCorporateActions(ticker, start, end);
+    const adjustFor = adjustment === 'adjusted' ? corporateActions : [];
+    const dailyCandles = adjustCandles(await getDailyCandles(ticker, start, end), adjustFor);
+    if (dailyCandles.length === 0) {
+      return res.status(404).json({ message: 'No data available for the symbol in the given period' });
+    }
+    const dividends = adjustDividends(await getDividends(ticker, start, end), adjustFor);
+
+    const candlesByTimeframe = {};
+    _.uniq(sweepGrid.combinations.map(combination => combination.timeframe)).forEach(timeframe => {
+      candlesByTimeframe[timeframe] = timeframe === '1D' ? dailyCandles : resampleCandles(dailyCandles, timeframe, resampleOptions || {});
+    });
+
+    let annualDividendPerShare = 0;
+    if (dividends.length > 0) {
+      const frequencyAnalysis = await SmartDividendFrequencyService.analyzeDividendFrequency(ticker, startDate, endDate);
+      annualDividendPerShare = dividends[dividends.length - 1].amount * getPaymentsPerYear(frequencyAnalysis.frequency);
+    }
+
+    const sweep = runParameterSweep(candlesByTimeframe, sweepGrid.combinations, {
+      strategy,
+      strategyParams,
+      exitRules,
+      sizing,
+      dividends,
+      initialCapital: startingCapital,
+      cashInterestRate: parseFloat(cashInterestRate) || 0,
+      reinvestDividends: reinvestDividends === true || reinvestDividends === 'true',
+      costs: resolvedCosts,
+      withholding: resolvedWithholding,
+      corporateActions: adjustment === 'raw' ? corporateActions : [],
+      riskFreeRate: parseFloat(riskFreeRate) || 0,
+      objective,
+      annualDividendPerShare,
+      limit: parseInt(limit) || 20
+    });
+
+    res.json({
+      ticker: ticker.toUpperCase(),
+      strategy,
+      priceAdjustment: adjustment,
+      corporateActions,
+      ...sweep,
+      candleCounts: _.mapValues(candlesByTimeframe, candles => candles.length)
+    });
+  } catch (error) {
+    serverError(res, error, 'Parameter sweep');
   }
-  const yearlyDividends = years.map(year => ({
-    year,
-    totalDividend: yearlyDividendMap[year] || 0
-  }));
+}
+
+// Rolling-window analysis: the backtest repeated over overlapping windows of windowMonths,
+// each starting stepMonths after the previous one. Windows are not persisted.
+async function runRollingBacktest(req, res) {
+  try {
+    const { ticker, timeframe = '1D', quantity, startDate, endDate, strategy = DEFAULT_STRATEGY, strategyParams = {}, exitRules = {}, sizing = {}, initialCapital, cashInterestRate, reinvestDividends = false, riskFreeRate, costs, withholdingTax, windowMonths = 36, stepMonths = 1, resampling, priceAdjustment } = req.body;
 
-  // Dividend yields using smart-detected frequency
-  let lastDividendYield = 0;
-  let ttmDividendYield = 0;
-  let yieldOnCost = 0;
-  if (dividends.length > 0) {
-    const lastDiv = dividends[dividends.length - 1];
-    const annualDiv = lastDiv.amount * paymentsPerYear;
-    lastDividendYield = (annualDiv / lastClose) * 100;
-
-    const oneYearAgo = moment(end).subtract(12, 'months').toDate();
-    const ttmDivs = dividends.filter(d => d.exDate > oneYearAgo);
-    const ttmSum = _.sumBy(ttmDivs, 'amount');
-    ttmDividendYield = (ttmSum / lastClose) * 100;
-
-    const avgCost = totalInvestment / totalShares || 0;
-    yieldOnCost = (annualDiv / avgCost) * 100;
+    if (!getStrategy(strategy)) {
+      return res.status(400).json({
+        message: `Unknown strategy: ${strategy}`,
+        validStrategies: listStrategies().map(s => s.key)
+      });
+    }
+    const strategyParamsError = validateStrategyParams(strategy, strategyParams);
+    if (strategyParamsError) {
+      return res.status(400).json({ message: strategyParamsError, defaultParams: getStrategy(strategy).defaultParams });
+    }
+    // Windows and synthetic paths are built from daily candles
+    const timeframeError = validateTimeframe(timeframe);
+    if (timeframeError) {
+      return res.status(400).json({ message: timeframeError });
+    }
+
+    const startingCapital = initialCapital ? parseFloat(initialCapital) : null;
+    if (startingCapital !== null && !(startingCapital > 0)) {
+      return res.status(400).json({ message: 'initialCapital must be a positive number' });
+    }
+    const resolvedSizing = resolveSizing(sizing, parseFloat(quantity) || 1);
+    const sizingError = validateSizing(resolvedSizing, { cashMode: startingCapital !== null });
+    if (sizingError) {
+      return res.status(400).json({ message: sizingError });
+    }
+
+    const resolvedCosts = resolveCosts(costs, ticker);
+    const costsError = validateCosts(resolvedCosts);
+    if (costsError) {
+      return res.status(400).json({ message: costsError });
+    }
+
+    const resolvedWithholding = resolveWithholding(withholdingTax, ticker);
+    const withholdingError = validateWithholding(resolvedWithholding);
+    if (withholdingError) {
+      return res.status(400).json({ message: withholdingError });
+    }
+
+    const { options: resampleOptions, error: resamplingError } = resolveResampleOptions(resampling);
+    if (resamplingError) {
+      return res.status(400).json({ message: resamplingError });
+    }
+
+    const { mode: adjustment, error: adjustmentError } = resolvePriceAdjustment(priceAdjustment);
+    if (adjustmentError) {
+      return res.status(400).json({ message: adjustmentError, validAdjustments: PRICE_ADJUSTMENTS });
+    }
+
+    const windowLength = parseInt(windowMonths);
+    const step = parseInt(stepMonths);
+    if (!(windowLength > 0) || !(step > 0)) {
+      return res.status(400).json({ message: 'windowMonths and stepMonths must be positive whole numbers' });
+    }
+
+    const start = startDate ? moment(startDate).toDate() : moment().subtract(10, 'years').toDate();
+    const end = endDate ? moment(endDate).toDate() : moment().toDate();
+    const windows = buildWindows(start, end, { windowMonths: windowLength, stepMonths: step });
+    if (windows.length === 0) {
+      return res.status(400).json({ message: `The period is shorter than one ${windowLength}-month window` });
+    }
+
+    console.log(`🪟 Running ${windows.length} rolling ${windowLength}-month windows of ${strategy} for ${ticker}`);
+
+    const corporateActions = await getCorporateActions(ticker, start, end);
+    const adjustFor = adjustment === 'adjusted' ? corporateActions : [];
+    const dailyCandles = adjustCandles(await getDailyCandles(ticker, start, end), adjustFor);
+    if (dailyCandles.length === 0) {
+      return res.status(404).json({ message: 'No data available for the symbol in the given period' });
+    }
+    const dividends = adjustDividends(await getDividends(ticker, start, end), adjustFor);
+
+    const rolling = runRollingWindows(dailyCandles, windows, {
+      timeframe,
+      resampling: resampleOptions,
+      strategy,
+      strategyParams,
+      quantity,
+      sizing: resolvedSizing,
+      exitRules,
+      dividends,
+      initialCapital: startingCapital,
+      cashInterestRate: parseFloat(cashInterestRate) || 0,
+      reinvestDividends: reinvestDividends === true || reinvestDividends === 'true',
+      costs: resolvedCosts,
+      withholding: resolvedWithholding,
+      corporateActions: adjustment === 'raw' ? corporateActions : [],
+      riskFreeRate: parseFloat(riskFreeRate) || 0
+    });
+
+    res.json({
+      ticker: ticker.toUpperCase(),
+      strategy,
+      timeframe,
+      priceAdjustment: adjustment,
+      corporateActions,
+      windowMonths: windowLength,
+      stepMonths: step,
+      ...rolling
+    });
+  } catch (error) {
+    serverError(res, error, 'Rolling window');
   }
+}
 
-  const totalDivPercent = (totalDividend / totalInvestment) * 100 || 0;
-  const pnLPercent = (pnL / totalInvestment) * 100 || 0;
-  const pnLWithDividendPercent = (pnLWithDividend / totalInvestment) * 100 || 0;
-  const averageCost = totalInvestment / totalShares || 0;
+// Monte Carlo: run the strategy over resampled synthetic price paths and report
+// confidence intervals. Pass the returned seed back in to reproduce a run.
+async function runMonteCarloBacktest(req, res) {
+  try {
+    const { ticker, timeframe = '1D', quantity, startDate, endDate, strategy = DEFAULT_STRATEGY, strategyParams = {}, exitRules = {}, sizing = {}, initialCapital, cashInterestRate, reinvestDividends = false, riskFreeRate, costs, withholdingTax, simulations, method = 'bootstrap', blockSize, seed, confidenceLevel = 90, resampling, priceAdjustment } = req.body;
 
-  // Generate dividend history using smart-detected frequency
-  const dividendHistory = generateDividendHistory(dividendFrequency, dividends, start, end);
+    if (!getStrategy(strategy)) {
+      return res.status(400).json({
+        message: `Unknown strategy: ${strategy}`,
+        validStrategies: listStrategies().map(s => s.key)
+      });
+    }
+    const strategyParamsError = validateStrategyParams(strategy, strategyParams);
+    if (strategyParamsError) {
+      return res.status(400).json({ message: strategyParamsError, defaultParams: getStrategy(strategy).defaultParams });
+    }
+    // Windows and synthetic paths are built from daily candles
+    const timeframeError = validateTimeframe(timeframe);
+    if (timeframeError) {
+      return res.status(400).json({ message: timeframeError });
+    }
+    if (!MONTE_CARLO_METHODS.includes(method)) {
+      return res.status(400).json({ message: `Unknown method: ${method}`, validMethods: MONTE_CARLO_METHODS });
+    }
 
-  res.json({
-    pnL,
-    pnLPercent,
-    pnLWithDividend,
-    pnLWithDividendPercent,
-    totalDividend,
-    totalDivPercent,
-    lastDividendYield,
-    ttmDividendYield,
-    yieldOnCost,
-    dividendFrequency, // Smart-detected frequency
-    dividendFrequencyConfidence: frequencyAnalysis.confidence,
-    dividendFrequencyReason: frequencyAnalysis.reason,
-    totalShares,
-    totalInvestment,
-    totalValueToday,
-    averageCost,
-    yearlyDividends,
-    dividendHistory
-  });
+    // Without simulations, DEFAULT_SIMULATIONS or as many as the period's candles allow
+    const requestedRuns = simulations !== undefined && simulations !== null ? parseInt(simulations) : null;
+    const level = parseFloat(confidenceLevel);
+    if (requestedRuns !== null && !(requestedRuns > 0 && requestedRuns <= MAX_SIMULATIONS)) {
+      return res.status(400).json({ message: `simulations must be between 1 and ${MAX_SIMULATIONS}` });
+    }
+    if (!(level > 0 && level < 100)) {
+      return res.status(400).json({ message: 'confidenceLevel must be between 0 and 100' });
+    }
+    // The seed is reported back so a run can be repeated: it has to be a whole number the PRNG takes as is
+    const hasSeed = seed !== undefined && seed !== null;
+    if (hasSeed && !(/^\d+$/.test(String(seed)) && parseInt(seed, 10) <= 4294967295)) {
+      return res.status(400).json({ message: 'seed must be a whole number from 0 to 4294967295' });
+    }
+
+    const startingCapital = initialCapital ? parseFloat(initialCapital) : null;
+    if (startingCapital !== null && !(startingCapital > 0)) {
+      return res.status(400).json({ message: 'initialCapital must be a positive number' });
+    }
+    const resolvedSizing = resolveSizing(sizing, parseFloat(quantity) || 1);
+    const sizingError = validateSizing(resolvedSizing, { cashMode: startingCapital !== null });
+    if (sizingError) {
+      return res.status(400).json({ message: sizingError });
+    }
+
+    const resolvedCosts = resolveCosts(costs, ticker);
+    const costsError = validateCosts(resolvedCosts);
+    if (costsError) {
+      return res.status(400).json({ message: costsError });
+    }
+
+    const resolvedWithholding = resolveWithholding(withholdingTax, ticker);
+    const withholdingError = validateWithholding(resolvedWithholding);
+    if (withholdingError) {
+      return res.status(400).json({ message: withholdingError });
+    }
+
+    const { options: resampleOptions, error: resamplingError } = resolveResampleOptions(resampling);
+    if (resamplingError) {
+      return res.status(400).json({ message: resamplingError });
+    }
+
+    const { mode: adjustment, error: adjustmentError } = resolvePriceAdjustment(priceAdjustment);
+    if (adjustmentError) {
+      return res.status(400).json({ message: adjustmentError, validAdjustments: PRICE_ADJUSTMENTS });
+    }
+    // Synthetic paths resample daily returns, and a split day on raw prices is not a return
+    if (adjustment === 'raw') {
+      return res.status(400).json({ message: 'Monte Carlo paths are built from adjusted prices; priceAdjustment raw is not supported' });
+    }
+
+    const start = startDate ? moment(startDate).toDate() : moment().subtract(5, 'years').toDate();
+    const end = endDate ? moment(endDate).toDate() : moment().toDate();
+
+    const corporateActions = await getCorporateActions(ticker, start, end);
+    const dailyCandles = adjustCandles(await getDailyCandles(ticker, start, end), corporateActions);
+    if (dailyCandles.length < 2) {
+      return res.status(404).json({ message: 'No data available for the symbol in the given period' });
+    }
+
+    // Paths run on this thread, so a request is capped at MAX_SIMULATED_CANDLES
+    const maxRuns = simulationLimit(dailyCandles.length);
+    const runs = requestedRuns !== null ? requestedRuns : Math.min(DEFAULT_SIMULATIONS, maxRuns);
+    if (runs > maxRuns) {
+      return res.status(400).json({
+        message: `${runs} simulations of ${dailyCandles.length} daily candles is more than the limit of ${MAX_SIMULATED_CANDLES} simulated candles; use at most ${maxRuns} simulations or a shorter period`,
+        maxSimulations: maxRuns
+      });
+    }
+    console.log(`🎲 Running ${runs} ${method} Monte Carlo paths of ${strategy} for ${ticker}`);
+    const dividends = adjustDividends(await getDividends(ticker, start, end), corporateActions);
+
+    const monteCarlo = runMonteCarlo(dailyCandles, {
+      simulations: runs,
+      method,
+      blockSize: parseInt(blockSize) || undefined,
+      seed: hasSeed ? parseInt(seed, 10) : undefined,
+      confidenceLevel: level,
+      timeframe,
+      resampling: resampleOptions,
+      strategy,
+      strategyParams,
+      quantity,
+      sizing: resolvedSizing,
+      exitRules,
+      dividends,
+      initialCapital: startingCapital,
+      cashInterestRate: parseFloat(cashInterestRate) || 0,
+      reinvestDividends: reinvestDividends === true || reinvestDividends === 'true',
+      costs: resolvedCosts,
+      withholding: resolvedWithholding,
+      riskFreeRate: parseFloat(riskFreeRate) || 0
+    });
+
+    res.json({
+      ticker: ticker.toUpperCase(),
+      strategy,
+      timeframe,
+      priceAdjustment: adjustment,
+      corporateActions,
+      ...monteCarlo
+    });
+  } catch (error) {
+    serverError(res, error, 'Monte Carlo');
+  }
 }
 
 function generateDividendHistory(frequency, dividends, startDate, endDate) {
@@ -303,4 +1153,65 @@ function generateDividendHistory(frequency, dividends, startDate, endDate) {
   return dividendHistory;
 }
 
-module.exports = { runBacktest };
\ No newline at end of file
+// Saved runs, newest first, e.g. GET /backtests?ticker=RY.TO&strategy=red_candle&from=2024-01-01
+async function listBacktests(req, res) {
+  try {
+    const query = buildRunQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+    res.json(await listBacktestRuns(query));
+  } catch (error) {
+    serverError(res, error, 'Backtest history');
+  }
+}
+
+// One run with its transactions and dividends, by run id or sessionId
+async function getBacktest(req, res) {
+  try {
+    const run = await getBacktestRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: `Backtest run not found: ${req.params.id}` });
+    }
+    res.json(run);
+  } catch (error) {
+    serverError(res, error, 'Backtest history');
+  }
+}
+
+async function deleteBacktest(req, res) {
+  try {
+    const result = await deleteBacktestRun(req.params.id);
+    if (!result) {
+      return res.status(404).json({ message: `Backtest run not found: ${req.params.id}` });
+    }
+    res.json(result);
+  } catch (error) {
+    serverError(res, error, 'Backtest history');
+  }
+}
+
+// Every run matching the filters; at least one filter is required
+async function deleteBacktests(req, res) {
+  try {
+    if (!hasRunFilters(req.query)) {
+      return res.status(400).json({ message: 'Pass at least one filter (ticker, strategy, type, startDate, endDate, from, to) to delete runs' });
+    }
+    const query = buildRunQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+    res.json(await deleteBacktestRuns(query));
+  } catch (error) {
+    serverError(res, error, 'Backtest history');
+  }
+}
+
+function getStrategies(req, res) {
+  res.json({
+    defaultStrategy: DEFAULT_STRATEGY,
+    strategies: listStrategies()
+  });
+}
+
+module.exports = { runBacktest, runPortfolioBacktest, runSweep, runRollingBacktest, runMonteCarloBacktest, listBacktests, getBacktest, deleteBacktest, deleteBacktests, getStrategies };
\ No newline at end of file
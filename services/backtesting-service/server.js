@@ -1,6 +1,6 @@
 const express = require('express');
 const connectDB = require('../../config/database');
-const { runBacktest } = require('./controllers/backtestController');
+const { runBacktest, runPortfolioBacktest, runSweep, runRollingBacktest, runMonteCarloBacktest, listBacktests, getBacktest, deleteBacktest, deleteBacktests, getStrategies } = require('./controllers/backtestController');
 
 // Load environment variables
 require('dotenv').config();
@@ -37,6 +37,15 @@ app.use((req, res, next) => {
 
 // Routes
 app.post('/backtest', runBacktest);
+app.post('/backtest/portfolio', runPortfolioBacktest);
+app.post('/backtest/sweep', runSweep);
+app.post('/backtest/rolling', runRollingBacktest);
+app.post('/backtest/montecarlo', runMonteCarloBacktest);
+app.get('/backtests', listBacktests);
+app.get('/backtests/:id', getBacktest);
+app.delete('/backtests/:id', deleteBacktest);
+app.delete('/backtests', deleteBacktests);
+app.get('/strategies', getStrategies);
 
 app.get('/health', (req, res) => {
   res.json({
@@ -55,6 +64,15 @@ app.use('*', (req, res) => {
     service: 'Backtesting Service',
     availableRoutes: [
       'POST /backtest',
+      'POST /backtest/portfolio',
+      'POST /backtest/sweep',
+      'POST /backtest/rolling',
+      'POST /backtest/montecarlo',
+      'GET /backtests',
+      'GET /backtests/:id',
+      'DELETE /backtests/:id',
+      'DELETE /backtests',
+      'GET /strategies',
       'GET /health'
     ]
   });
@@ -78,7 +96,12 @@ app.listen(PORT, () => {
   console.log('🔧 ================================');
   console.log(`🔗 Health: http://localhost:${PORT}/health`);
   console.log(`📊 Backtest: POST http://localhost:${PORT}/backtest`);
-  console.log('📊 Strategy: Buy on red candles');
+  console.log(`💼 Portfolio backtest: POST http://localhost:${PORT}/backtest/portfolio`);
+  console.log(`🔬 Parameter sweep: POST http://localhost:${PORT}/backtest/sweep`);
+  console.log(`🪟 Rolling windows: POST http://localhost:${PORT}/backtest/rolling`);
+  console.log(`🎲 Monte Carlo: POST http://localhost:${PORT}/backtest/montecarlo`);
+  console.log(`🗄️  History: http://localhost:${PORT}/backtests`);
+  console.log(`🧠 Strategies: http://localhost:${PORT}/strategies`);
   console.log('🔧 ================================');
   console.log('');
 });
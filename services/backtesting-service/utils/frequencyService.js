@@ -1,38 +1,23 @@
 // services/dividend-service/utils/frequencyService.js
-const axios = require('axios');
-const config = require('../../../config/config');
-
-const { baseURL, key } = config.externalAPIs.twelveData;
+const { getMarketDataProvider } = require('../../../shared/providers');
 
 class DividendFrequencyService {
   
   static async getFrequencyFromStatistics(ticker) {
     let tickerUpper = ticker.toUpperCase();
-    
-    // Transform symbol for Twelve Data
-    let apiParams = { symbol: tickerUpper };
-    if (tickerUpper.endsWith('.TO')) {
-      apiParams.symbol = tickerUpper.replace('.TO', '');
-      apiParams.exchange = 'TSX';
-    }
-
-    const params = {
-      ...apiParams,
-      apikey: key
-    };
 
     try {
       console.log(`Fetching dividend frequency for ${tickerUpper} from Statistics API...`);
-      const response = await axios.get(`${baseURL}/statistics`, { params });
-      
-      console.log('Statistics API Response:', JSON.stringify(response.data, null, 2));
+      const stats = await getMarketDataProvider().getStatistics(tickerUpper).catch(error => {
+        if (!error.apiError) throw error;
+        console.error('Statistics API returned error:', error.apiError);
+        return null;
+      });
 
-      if (!response.data || response.data.status === 'error') {
-        console.error('Statistics API returned error:', response.data);
+      if (!stats) {
         return { frequency: 'quarterly', source: 'default', confidence: 'low' };
       }
-
-      const stats = response.data.statistics || response.data;
+      console.log('Statistics API Response:', JSON.stringify(stats, null, 2));
       
       // Look for dividend frequency in various possible fields
       const frequencyFields = [
@@ -78,7 +63,7 @@ class DividendFrequencyService {
       };
 
     } catch (error) {
-      console.error('Error fetching statistics from Twelve Data:', {
+      console.error('Error fetching statistics from market data provider:', {
         error: error.message,
         status: error.response?.status,
         data: error.response?.data
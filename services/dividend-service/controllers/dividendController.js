@@ -1,45 +1,7 @@
-const axios = require('axios');
 const moment = require('moment');
 const Dividend = require('../../../shared/models/Dividend');
 const SmartDividendFrequencyService = require('../utils/smartFrequencyService');
-const config = require('../../../config/config');
-
-const { baseURL, key } = config.externalAPIs.twelveData;
-
-// Function to transform ticker for Twelve Data API (Enhanced with NSE/BSE support)
-function transformTicker(ticker) {
-  // Ensure ticker is uppercase and a string
-  const tickerUpper = String(ticker).toUpperCase();
-
-  // Initialize API parameters with the original ticker
-  let apiParams = { symbol: tickerUpper };
-
-  // Handle TSX tickers (e.g., SHOP.TO)
-  if (tickerUpper.endsWith('.TO')) {
-    apiParams.symbol = tickerUpper.replace('.TO', '');
-    apiParams.exchange = 'TSX';
-    console.log(`🇨🇦 TSX ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-  } 
-  // Handle Indian tickers (e.g., NIFTY.IN or BSE:RELIANCE.IN)
-  else if (tickerUpper.endsWith('.IN')) {
-    apiParams.symbol = tickerUpper.replace('.IN', '');
-    
-    // Check for BSE prefix to differentiate BSE from NSE
-    if (tickerUpper.startsWith('BSE:')) {
-      apiParams.symbol = apiParams.symbol.replace('BSE:', '');
-      apiParams.exchange = 'BSE';
-      console.log(`🇮🇳 BSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-    } else {
-      apiParams.exchange = 'NSE';
-      console.log(`🇮🇳 NSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-    }
-  } else {
-    // Default case - assume US market if no specific exchange suffix
-    console.log(`🇺🇸 Default/US ticker: ${ticker} -> symbol: ${apiParams.symbol}`);
-  }
-
-  return apiParams;
-}
+const { getMarketDataProvider } = require('../../../shared/providers');
 
 async function getDividends(req, res) {
   const { ticker, startDate, endDate } = req.query;
@@ -61,9 +23,6 @@ async function getDividends(req, res) {
 
   console.log(`🌍 Exchange detected: ${exchangeInfo}`);
 
-  // Use the enhanced transformTicker function
-  const apiParams = transformTicker(ticker);
-
   // Check database first for user-requested period
   let dividends = await Dividend.find({
     ticker: tickerUpper,
@@ -83,22 +42,23 @@ async function getDividends(req, res) {
   console.log(`🎯 Determined dividend frequency: ${dividendFrequency} (confidence: ${frequencyAnalysis.confidence})`);
 
   // Now fetch dividends for the user-requested period
-  const params = {
-    ...apiParams,
-    start_date: moment(startDate).format('YYYY-MM-DD'),
-    end_date: moment(endDate).format('YYYY-MM-DD'),
-    apikey: key
+  const provider = getMarketDataProvider();
+  const range = {
+    startDate: moment(startDate).format('YYYY-MM-DD'),
+    endDate: moment(endDate).format('YYYY-MM-DD')
   };
 
-  console.log(`📡 Dividend API Request params for ${exchangeInfo}:`, params);
+  console.log(`📡 Dividend request to ${provider.name} for ${exchangeInfo}:`, { ticker: tickerUpper, ...range });
 
   try {
-    const response = await axios.get(`${baseURL}/dividends`, { params });
-    console.log(`📈 Dividends API Response for ${exchangeInfo} (user period):`, response.data);
-
-    if (response.data.status === 'error') {
-      console.error(`❌ Dividends API error for ${exchangeInfo}:`, response.data);
-      
+    // Provider errors ("no data", unknown symbol) resolve to null; network failures still throw
+    const divs = await provider.getDividends(ticker, range).catch(error => {
+      if (!error.apiError) throw error;
+      console.error(`❌ Dividends API error for ${exchangeInfo}:`, error.apiError);
+      return null;
+    });
+
+    if (divs === null) {
       // Provide exchange-specific guidance for dividend API errors
       if (tickerUpper.endsWith('.IN')) {
         console.log(`💡 Indian dividend data note:`);
@@ -113,15 +73,14 @@ async function getDividends(req, res) {
       
       return res.json([]);
     }
-
-    const divs = response.data.dividends || [];
+    console.log(`📈 Dividends for ${exchangeInfo} (user period):`, divs);
 
     dividends = divs.map(d => ({
       ticker: tickerUpper,
-      exDate: d.ex_date ? new Date(d.ex_date) : null,
-      payDate: d.payment_date ? new Date(d.payment_date) : null,
-      recordDate: d.record_date ? new Date(d.record_date) : null,
-      amount: parseFloat(d.amount),
+      exDate: d.exDate ? new Date(d.exDate) : null,
+      payDate: d.payDate ? new Date(d.payDate) : null,
+      recordDate: d.recordDate ? new Date(d.recordDate) : null,
+      amount: d.amount,
       frequency: dividendFrequency, // Use smart-detected frequency
       frequencyConfidence: frequencyAnalysis.confidence,
       frequencyReason: frequencyAnalysis.reason,
@@ -178,7 +137,7 @@ async function getDividends(req, res) {
 
     res.json(validDividends);
   } catch (error) {
-    console.error(`❌ Error fetching dividends from Twelve Data for ${exchangeInfo}:`, error.message);
+    console.error(`❌ Error fetching dividends from ${provider.name} for ${exchangeInfo}:`, error.message);
     if (error.response) {
       console.error(`API Error Response for ${exchangeInfo}:`, error.response.data);
       
@@ -1,47 +1,9 @@
 // services/dividend-service/utils/smartFrequencyService.js
-const axios = require('axios');
 const moment = require('moment');
-const config = require('../../../config/config');
-
-const { baseURL, key } = config.externalAPIs.twelveData;
+const { getMarketDataProvider } = require('../../../shared/providers');
 
 class SmartDividendFrequencyService {
   
-  // Function to transform ticker for Twelve Data API (Enhanced with NSE/BSE support)
-  static transformTicker(ticker) {
-    // Ensure ticker is uppercase and a string
-    const tickerUpper = String(ticker).toUpperCase();
-
-    // Initialize API parameters with the original ticker
-    let apiParams = { symbol: tickerUpper };
-
-    // Handle TSX tickers (e.g., SHOP.TO)
-    if (tickerUpper.endsWith('.TO')) {
-      apiParams.symbol = tickerUpper.replace('.TO', '');
-      apiParams.exchange = 'TSX';
-      console.log(`🇨🇦 TSX ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-    } 
-    // Handle Indian tickers (e.g., NIFTY.IN or BSE:RELIANCE.IN)
-    else if (tickerUpper.endsWith('.IN')) {
-      apiParams.symbol = tickerUpper.replace('.IN', '');
-      
-      // Check for BSE prefix to differentiate BSE from NSE
-      if (tickerUpper.startsWith('BSE:')) {
-        apiParams.symbol = apiParams.symbol.replace('BSE:', '');
-        apiParams.exchange = 'BSE';
-        console.log(`🇮🇳 BSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-      } else {
-        apiParams.exchange = 'NSE';
-        console.log(`🇮🇳 NSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-      }
-    } else {
-      // Default case - assume US market if no specific exchange suffix
-      console.log(`🇺🇸 Default/US ticker: ${ticker} -> symbol: ${apiParams.symbol}`);
-    }
-
-    return apiParams;
-  }
-
   static getExchangeInfo(ticker) {
     const tickerUpper = ticker.toUpperCase();
     if (tickerUpper.endsWith('.TO')) {
@@ -102,25 +64,20 @@ class SmartDividendFrequencyService {
   static async fetchDividends(ticker, startDate, endDate) {
     const exchangeInfo = this.getExchangeInfo(ticker);
     
-    // Use the enhanced transformTicker function
-    const apiParams = this.transformTicker(ticker);
+    const provider = getMarketDataProvider();
 
-    const params = {
-      ...apiParams,
-      start_date: startDate,
-      end_date: endDate,
-      apikey: key
-    };
-
-    console.log(`📡 Frequency Analysis API params for ${exchangeInfo}:`, params);
+    console.log(`📡 Frequency Analysis dividend request to ${provider.name} for ${exchangeInfo}:`, { ticker, startDate, endDate });
 
     try {
-      const response = await axios.get(`${baseURL}/dividends`, { params });
-      console.log(`📈 Dividends API Response for ${ticker} (${exchangeInfo}):`, response.data);
+      // Provider errors ("no data", unknown symbol) resolve to null; network failures still throw
+      const divs = await provider.getDividends(ticker, { startDate, endDate }).catch(error => {
+        if (!error.apiError) throw error;
+        console.error(`❌ Dividends API error for ${exchangeInfo}:`, error.apiError);
+        return null;
+      });
+      console.log(`📈 Dividends for ${ticker} (${exchangeInfo}):`, divs);
 
-      if (response.data.status === 'error') {
-        console.error(`❌ Dividends API error for ${exchangeInfo}:`, response.data);
-        
+      if (divs === null) {
         // Provide exchange-specific error guidance
         if (ticker.toUpperCase().endsWith('.IN')) {
           console.log(`💡 Indian dividend data note for frequency analysis:`);
@@ -136,13 +93,11 @@ class SmartDividendFrequencyService {
         return [];
       }
 
-      const divs = response.data.dividends || [];
-      
       // Convert to our format and sort by date
       const dividends = divs
         .map(d => ({
-          exDate: d.ex_date ? new Date(d.ex_date) : null,
-          amount: parseFloat(d.amount) || 0
+          exDate: d.exDate ? new Date(d.exDate) : null,
+          amount: d.amount || 0
         }))
         .filter(d => d.exDate && d.amount > 0)
         .sort((a, b) => new Date(b.exDate) - new Date(a.exDate)); // Sort newest first
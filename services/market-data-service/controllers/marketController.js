@@ -1,44 +1,9 @@
-const axios = require('axios');
 const moment = require('moment');
 const Candle = require('../../../shared/models/Candle');
-const config = require('../../../config/config');
-
-const { baseURL, key } = config.externalAPIs.twelveData;
-
-// Function to transform ticker for Twelve Data API (Enhanced with NSE/BSE support)
-function transformTicker(ticker) {
-  // Ensure ticker is uppercase and a string
-  const tickerUpper = String(ticker).toUpperCase();
-
-  // Initialize API parameters with the original ticker
-  let apiParams = { symbol: tickerUpper };
-
-  // Handle TSX tickers (e.g., SHOP.TO)
-  if (tickerUpper.endsWith('.TO')) {
-    apiParams.symbol = tickerUpper.replace('.TO', '');
-    apiParams.exchange = 'TSX';
-    console.log(`🇨🇦 TSX ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-  } 
-  // Handle Indian tickers (e.g., NIFTY.IN or BSE:RELIANCE.IN)
-  else if (tickerUpper.endsWith('.IN')) {
-    apiParams.symbol = tickerUpper.replace('.IN', '');
-    
-    // Check for BSE prefix to differentiate BSE from NSE
-    if (tickerUpper.startsWith('BSE:')) {
-      apiParams.symbol = apiParams.symbol.replace('BSE:', '');
-      apiParams.exchange = 'BSE';
-      console.log(`🇮🇳 BSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-    } else {
-      apiParams.exchange = 'NSE';
-      console.log(`🇮🇳 NSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
-    }
-  } else {
-    // Default case - assume US market if no specific exchange suffix
-    console.log(`🇺🇸 Default/US ticker: ${ticker} -> symbol: ${apiParams.symbol}`);
-  }
-
-  return apiParams;
-}
+const { getMarketDataProvider, isNoDataError } = require('../../../shared/providers');
+const { INTRADAY_TIMEFRAMES, MAX_OUTPUT_SIZE, isIntradayTimeframe, sessionForTicker, parseExchangeDatetime, filterToSession, sessionRange, fetchAllPages } = require('../../../shared/utils/marketSessions');
+const { isCacheAvailable, getCachedCandles } = require('../../../shared/utils/candleCache');
+const { getCachedCorporateActions } = require('../../../shared/utils/corporateActionCache');
 
 async function getCandles(req, res) {
   let { ticker, startDate, endDate, timeframe } = req.query;
@@ -61,87 +26,46 @@ async function getCandles(req, res) {
 
   console.log(`🌍 Exchange detected: ${exchangeInfo}`);
 
-  // Always fetch daily data from TwelveData, then resample if needed
-  const apiInterval = '1day';
-
-  // Use the enhanced transformTicker function
-  const apiParams = transformTicker(ticker);
-
-  // Check database first
-  let candles = await Candle.find({
-    ticker,
-    timeframe: '1D', // Always store as daily in DB
-    date: { $gte: new Date(startDate), $lte: new Date(endDate) }
-  }).sort({ date: 1 });
-
-  console.log(`💾 Found ${candles.length} daily candles in database`);
-
-  if (candles.length > 0) {
-    // Check if we have sufficient data (at least 80% of expected trading days)
-    const daysDiff = moment(endDate).diff(moment(startDate), 'days');
-    
-    // Adjust expected trading days based on exchange
-    let tradingDayRatio = 0.7; // Default for US/Canadian markets
-    if (ticker.endsWith('.IN')) {
-      // Indian markets typically have different trading patterns
-      tradingDayRatio = 0.65; // Account for different holidays
-    }
-    
-    const expectedTradingDays = Math.floor(daysDiff * tradingDayRatio);
-    const dataCompleteness = candles.length / expectedTradingDays;
-    
-    console.log(`📊 Data completeness: ${candles.length}/${expectedTradingDays} = ${(dataCompleteness * 100).toFixed(1)}%`);
-    console.log(`📈 Trading day ratio used: ${(tradingDayRatio * 100).toFixed(1)}% for ${exchangeInfo}`);
-    
-    if (dataCompleteness >= 0.8) {
-      console.log(`✅ Using cached data (sufficient coverage)`);
-      return res.json(candles);
-    } else {
-      console.log(`⚠️  Insufficient data coverage, fetching from API`);
-    }
-  }
-
-  // Fetch from TwelveData API
-  console.log(`🌐 Fetching from TwelveData API for ${exchangeInfo}...`);
-  
-  const params = {
-    ...apiParams,
-    interval: apiInterval,
-    start_date: moment(startDate).format('YYYY-MM-DD'),
-    end_date: moment(endDate).format('YYYY-MM-DD'),
-    apikey: key,
-    outputsize: 5000, // Maximum allowed
-    order: 'ASC' // Oldest first
-  };
-
-  console.log(`📡 API Request params:`, params);
-
-  try {
-    const response = await axios.get(`${baseURL}/time_series`, { 
-      params,
-      timeout: 30000 // 30 second timeout for large requests
-    });
-    
-    console.log(`📥 TwelveData API Response Status:`, response.data.status);
-    console.log(`📊 Raw API Response Sample:`, {
-      meta: response.data.meta,
-      valueCount: response.data.values?.length || 0
-    });
-
-    if (response.data.status !== 'ok') {
-      console.error(`❌ API returned non-ok status for ${exchangeInfo}:`, response.data);
-      
-      // If API fails but we have some cached data, use it
-      if (candles.length > 0) {
-        console.log(`🔄 Falling back to cached data (${candles.length} candles)`);
-        return res.json(candles);
+  // Intraday bars are fetched and stored per timeframe; everything longer is stored as
+  // daily data and resampled by the caller
+  const intraday = isIntradayTimeframe(timeframe);
+  const storedTimeframe = intraday ? timeframe : '1D';
+  const apiInterval = intraday ? INTRADAY_TIMEFRAMES[timeframe].interval : '1day';
+  const session = sessionForTicker(ticker);
+  const range = intraday ? sessionRange(ticker, startDate, endDate) : { start: new Date(startDate), end: new Date(endDate) };
+
+  const provider = getMarketDataProvider();
+
+  // Fetch one missing range from the market data provider. Provider errors throw so the
+  // candle cache does not mark the range as fetched.
+  const fetchRange = async (rangeStart, rangeEnd) => {
+    console.log(`🌐 Fetching from ${provider.name} for ${exchangeInfo}...`);
+    // Intraday end dates are exclusive (midnight), so ask for the day after
+    const rangeEndParam = moment(rangeEnd).add(intraday ? 1 : 0, 'day').format('YYYY-MM-DD');
+    console.log(`📡 Time series request:`, { ticker, interval: apiInterval, startDate: rangeStart, endDate: rangeEndParam });
+
+    let exchangeTimezone = session.timezone;
+    const values = await fetchAllPages(async (pageStart, pageEnd) => {
+      try {
+        const series = await provider.getTimeSeries(ticker, {
+          interval: apiInterval,
+          startDate: pageStart,
+          endDate: pageEnd,
+          outputSize: MAX_OUTPUT_SIZE // Maximum allowed; the cache chunks longer ranges and pages catch overflow
+        });
+        console.log(`📊 Time series page: ${series.values.length} rows`);
+        exchangeTimezone = series.timezone || exchangeTimezone;
+        return series.values;
+      } catch (error) {
+        if (error.apiError) {
+          console.error(`❌ ${provider.name} returned an error for ${exchangeInfo}:`, error.apiError);
+        }
+        throw error;
       }
-      
-      return res.json([]);
-    }
+    }, rangeStart, rangeEndParam);
 
-    if (!response.data.values || response.data.values.length === 0) {
-      console.error(`❌ No values returned from API for ${exchangeInfo}`);
+    if (values.length === 0) {
+      console.error(`❌ No values returned from API for ${exchangeInfo} (${rangeStart} to ${rangeEnd})`);
       
       // Check if it's an unsupported ticker format and provide helpful message
       if (ticker.endsWith('.IN')) {
@@ -149,22 +73,16 @@ async function getCandles(req, res) {
         console.log(`   - NSE: RELIANCE.IN, TCS.IN, INFY.IN`);
         console.log(`   - BSE: BSE:RELIANCE.IN, BSE:TCS.IN`);
       }
-      
-      return res.json(candles); // Return cached data if available
+      return [];
     }
 
-    // Process API response
-    const values = response.data.values;
+    // Process API response (pages come back merged, oldest first)
     console.log(`📈 Processing ${values.length} candles from ${exchangeInfo}...`);
-
-    // TwelveData returns newest first, we need oldest first
-    const sortedValues = values.reverse();
     
-    const newCandles = sortedValues.map((v, index) => {
+    const parsedCandles = values.map((v, index) => {
       const candle = {
-        ticker,
-        date: new Date(v.datetime),
-        timeframe: '1D',
+        // Intraday datetimes are exchange-local; daily ones are plain dates
+        date: intraday ? parseExchangeDatetime(v.datetime, exchangeTimezone) : new Date(v.datetime),
         open: parseFloat(v.open),
         high: parseFloat(v.high),
         low: parseFloat(v.low),
@@ -175,7 +93,7 @@ async function getCandles(req, res) {
       // Log first few candles for debugging
       if (index < 3) {
         console.log(`📊 Sample candle ${index + 1} (${exchangeInfo}):`, {
-          date: moment(candle.date).format('YYYY-MM-DD'),
+          date: intraday ? candle.date.toISOString() : moment(candle.date).format('YYYY-MM-DD'),
           open: candle.open,
           close: candle.close,
           volume: candle.volume
@@ -184,45 +102,21 @@ async function getCandles(req, res) {
       
       return candle;
     });
+    // Pre- and post-market bars are not part of the regular session
+    return intraday ? filterToSession(parsedCandles, ticker) : parsedCandles;
+  };
 
-    console.log(`💾 Saving ${newCandles.length} candles to database...`);
-
-    // Use bulkWrite with upsert to avoid duplicates
-    const bulkOps = newCandles.map(candle => ({
-      updateOne: {
-        filter: { 
-          ticker: candle.ticker, 
-          date: candle.date, 
-          timeframe: candle.timeframe 
-        },
-        update: { $set: candle },
-        upsert: true
-      }
-    }));
-
-    if (bulkOps.length > 0) {
-      const bulkResult = await Candle.bulkWrite(bulkOps);
-      console.log(`✅ Bulk write result for ${exchangeInfo}:`, {
-        inserted: bulkResult.upsertedCount,
-        modified: bulkResult.modifiedCount,
-        matched: bulkResult.matchedCount
-      });
-    }
-
-    // Re-query database to get the final dataset
-    candles = await Candle.find({
-      ticker,
-      timeframe: '1D',
-      date: { $gte: new Date(startDate), $lte: new Date(endDate) }
-    }).sort({ date: 1 });
+  try {
+    // Serve from the shared candle store, fetching only the sessions it is missing
+    const candles = await getCachedCandles(ticker, storedTimeframe, startDate, endDate, fetchRange);
 
-    console.log(`📊 Final result: ${candles.length} daily candles from ${exchangeInfo}`);
+    console.log(`📊 Final result: ${candles.length} ${storedTimeframe} candles from ${exchangeInfo}`);
     console.log(`📅 Date range: ${moment(candles[0]?.date).format('YYYY-MM-DD')} to ${moment(candles[candles.length - 1]?.date).format('YYYY-MM-DD')}`);
 
     res.json(candles);
 
   } catch (error) {
-    console.error(`❌ TwelveData API Error for ${exchangeInfo}:`, {
+    console.error(`❌ Market data error for ${exchangeInfo}:`, {
       message: error.message,
       status: error.response?.status,
       data: error.response?.data
@@ -238,7 +132,12 @@ async function getCandles(req, res) {
       console.log(`   - Correct TSX format: SHOP.TO (Toronto Stock Exchange)`);
     }
 
-    // If API fails but we have cached data, use it
+    // If API fails but we have cached data (including ranges fetched before the failure), use it
+    const candles = isCacheAvailable() ? await Candle.find({
+      ticker,
+      timeframe: storedTimeframe,
+      date: { $gte: range.start, $lte: range.end }
+    }).sort({ date: 1 }) : [];
     if (candles.length > 0) {
       console.log(`🔄 API failed, using ${candles.length} cached candles from ${exchangeInfo}`);
       return res.json(candles);
@@ -250,4 +149,49 @@ async function getCandles(req, res) {
   }
 }
 
-module.exports = { getCandles };
\ No newline at end of file
+// Symbol lookup through the market data provider, e.g. GET /symbols?query=shop
+async function searchSymbols(req, res) {
+  const { query } = req.query;
+  if (!query) {
+    return res.status(400).json({ error: 'Missing query', message: 'Pass the symbol or company name to search for as ?query=' });
+  }
+
+  try {
+    const listings = await getMarketDataProvider().searchSymbols(query);
+    console.log(`🔎 Symbol search "${query}": ${listings.length} matches`);
+    res.json(listings);
+  } catch (error) {
+    console.error(`❌ Symbol search failed for "${query}":`, error.apiError || error.message);
+    res.json([]);
+  }
+}
+
+// Splits, bonus issues and spin-offs for a ticker, e.g. GET /corporate-actions?ticker=TCS.IN&startDate=2018-01-01&endDate=2024-12-31
+// Served from the store, fetching and storing only the parts of the period never fetched before
+async function getCorporateActions(req, res) {
+  const { ticker, startDate, endDate } = req.query;
+  if (!ticker) {
+    return res.status(400).json({ error: 'Missing ticker', message: 'Pass the ticker as ?ticker=' });
+  }
+  const tickerUpper = ticker.toUpperCase();
+  const provider = getMarketDataProvider();
+
+  // "No data" from the provider means no actions in the range; anything else (network,
+  // rate limit, plan restrictions) throws so the range is not marked as fetched
+  const fetchRange = (rangeStart, rangeEnd) => provider.getCorporateActions(tickerUpper, { startDate: rangeStart, endDate: rangeEnd }).catch(error => {
+    if (!isNoDataError(error)) throw error;
+    console.error(`❌ Corporate actions API error for ${tickerUpper}:`, error.apiError);
+    return [];
+  });
+
+  try {
+    const actions = await getCachedCorporateActions(tickerUpper, startDate || '1970-01-01', moment(endDate).format('YYYY-MM-DD'), fetchRange);
+    console.log(`✂️ ${actions.length} corporate actions for ${tickerUpper} (${provider.name})`);
+    res.json(actions);
+  } catch (error) {
+    console.error(`❌ Corporate actions error for ${tickerUpper}:`, error.message);
+    res.json([]);
+  }
+}
+
+module.exports = { getCandles, searchSymbols, getCorporateActions };
\ No newline at end of file
@@ -7,6 +7,8 @@ const app = express();
 app.use(express.json());
 
 app.get('/candles', require('./controllers/marketController').getCandles);
+app.get('/symbols', require('./controllers/marketController').searchSymbols);
+app.get('/corporate-actions', require('./controllers/marketController').getCorporateActions);
 
 app.get('/health', (req, res) => res.send('OK'));
 
@@ -1,4 +1,49 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const _ = require('lodash');
 const Transaction = require('../../../shared/models/Transaction');
+const { aggregateHoldings } = require('../../../shared/utils/portfolioTracking');
+
+const MAX_BULK_TRANSACTIONS = 5000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const EXPORT_FORMATS = ['json', 'csv'];
+const CSV_COLUMNS = ['sessionId', 'ticker', 'transactionDate', 'type', 'quantity', 'price', 'fees', 'totalCost', 'lotId'];
+
+function parseDate(value) {
+  const date = moment.utc(value, moment.ISO_8601, true);
+  return date.isValid() ? date : null;
+}
+
+// Mongo filter for ?sessionId&ticker&type&startDate&endDate, or { error }
+function buildFilter(query) {
+  const filter = {};
+  if (query.sessionId) filter.sessionId = String(query.sessionId);
+  if (query.ticker) filter.ticker = String(query.ticker).toUpperCase();
+  if (query.type) filter.type = String(query.type).toUpperCase();
+
+  const startDate = query.startDate ? parseDate(query.startDate) : null;
+  const endDate = query.endDate ? parseDate(query.endDate) : null;
+  if ((query.startDate && !startDate) || (query.endDate && !endDate)) {
+    return { error: 'startDate and endDate must be dates such as 2024-01-31' };
+  }
+  if (startDate || endDate) {
+    filter.transactionDate = {};
+    if (startDate) filter.transactionDate.$gte = startDate.toDate();
+    if (endDate) filter.transactionDate.$lte = endDate.endOf('day').toDate();
+  }
+  return { filter };
+}
+
+// 1-based ?page and ?limit, or { error }
+function parsePaging(query) {
+  const page = query.page !== undefined ? parseInt(query.page, 10) : 1;
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  if (!(page >= 1) || !(limit >= 1 && limit <= MAX_LIMIT)) {
+    return { error: `page must be a positive whole number and limit a whole number from 1 to ${MAX_LIMIT}` };
+  }
+  return { page, limit };
+}
 
 async function createTransaction(req, res) {
   const tx = new Transaction(req.body);
@@ -6,4 +51,268 @@ async function createTransaction(req, res) {
   res.json(tx);
 }
 
-module.exports = { createTransaction };
\ No newline at end of file
+function tradeContents(tx) {
+  return [tx.sessionId, tx.ticker, new Date(tx.transactionDate).toISOString(), tx.type, tx.quantity, tx.price].join('|');
+}
+
+// The same trade always gets the same key: a backtest trade by its session, ticker, lot and
+// side (a lot's BUY and SELL share lotId), anything else by its contents and how many
+// identical trades come before it in the request, so repeated fills are each kept
+function idempotencyKey(tx, occurrence) {
+  if (tx.idempotencyKey) return String(tx.idempotencyKey);
+  if (tx.lotId !== undefined && tx.lotId !== null) {
+    return `${tx.sessionId}:${tx.ticker}:${tx.lotId}:${tx.type}`;
+  }
+  return crypto.createHash('sha1').update(`${tradeContents(tx)}|${occurrence}`).digest('hex');
+}
+
+// Status and message for a failed bulk write: a duplicate key that the upserts could not
+// absorb (two keys racing) is a conflict, documents the schema rejects are bad input
+function bulkWriteError(error) {
+  const writeErrors = error.writeErrors || [];
+  if (error.code === 11000 || writeErrors.some(writeError => writeError.code === 11000)) {
+    return { status: 409, message: 'Some transactions conflict with stored ones (duplicate idempotencyKey); resend the batch' };
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return { status: 400, message: error.message };
+  }
+  return { status: 500, message: 'Could not save transactions' };
+}
+
+// A whole session in one request: POST /transactions/bulk with { sessionId, transactions }
+// (each transaction may carry its own sessionId). Trades already stored under the same
+// idempotency key are left as they are, so a resent batch adds nothing.
+// A rerun session is saved with a saveId shared by all of its batches: those writes overwrite
+// stored trades with the same key and tag them with the saveId. The last batch also sends
+// replace: true, and once its write has succeeded the session's trades from earlier saves are
+// deleted - a failed write leaves the previous trades in place rather than none.
+async function createTransactions(req, res) {
+  const { sessionId, transactions } = req.body;
+  const replace = req.body.replace === true || req.body.replace === 'true';
+  const saveId = req.body.saveId ? String(req.body.saveId) : (replace ? crypto.randomUUID() : null);
+  if (replace && !sessionId) {
+    return res.status(400).json({ message: 'replace needs the sessionId whose transactions it replaces' });
+  }
+  if (!Array.isArray(transactions) || (transactions.length === 0 && !replace)) {
+    return res.status(400).json({ message: 'transactions must be a non-empty array' });
+  }
+  if (transactions.length > MAX_BULK_TRANSACTIONS) {
+    return res.status(400).json({ message: `At most ${MAX_BULK_TRANSACTIONS} transactions per request; send larger sessions in batches` });
+  }
+
+  const docs = [];
+  const seen = {};
+  for (const [index, tx] of transactions.entries()) {
+    const doc = new Transaction({ sessionId, ...tx, saveId });
+    const error = doc.validateSync();
+    if (error) {
+      return res.status(400).json({ message: `Transaction ${index}: ${error.message}` });
+    }
+    const contents = tradeContents(doc);
+    seen[contents] = (seen[contents] || 0) + 1;
+    doc.idempotencyKey = idempotencyKey(doc, seen[contents] - 1);
+    docs.push(doc.toObject());
+  }
+
+  try {
+    const result = docs.length === 0 ? { upsertedCount: 0 } : await Transaction.bulkWrite(docs.map(({ _id, ...doc }) => ({
+      updateOne: {
+        filter: { idempotencyKey: doc.idempotencyKey },
+        update: saveId ? { $set: doc } : { $setOnInsert: doc },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    let replaced = 0;
+    if (replace) {
+      replaced = (await Transaction.deleteMany({ sessionId: String(sessionId), saveId: { $ne: saveId } })).deletedCount;
+      console.log(`🗑️  Removed ${replaced} transactions from earlier saves of session ${sessionId}`);
+    }
+
+    console.log(`💾 Bulk write: ${result.upsertedCount} new, ${docs.length - result.upsertedCount} already stored`);
+    res.json({
+      sessionId: sessionId || null,
+      saveId,
+      received: docs.length,
+      inserted: result.upsertedCount,
+      duplicates: docs.length - result.upsertedCount,
+      replaced
+    });
+  } catch (error) {
+    console.error('❌ Bulk write failed:', error.message);
+    const { status, message } = bulkWriteError(error);
+    res.status(status).json({ message, error: error.message });
+  }
+}
+
+// Transactions for a session or ticker, oldest first, e.g.
+// GET /transactions?ticker=RY.TO&startDate=2024-01-01&endDate=2024-12-31&page=2&limit=50
+async function listTransactions(req, res) {
+  if (!req.query.sessionId && !req.query.ticker) {
+    return res.status(400).json({ message: 'Pass a sessionId or a ticker' });
+  }
+  const { filter, error } = buildFilter(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const { page, limit, error: pagingError } = parsePaging(req.query);
+  if (pagingError) {
+    return res.status(400).json({ message: pagingError });
+  }
+
+  try {
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter).sort({ transactionDate: 1, _id: 1 }).skip((page - 1) * limit).limit(limit),
+      Transaction.countDocuments(filter)
+    ]);
+    res.json({ transactions, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('❌ Error listing transactions:', error.message);
+    res.status(500).json({ message: 'Could not list transactions', error: error.message });
+  }
+}
+
+// One entry per session with its tickers, transaction count and date range, newest first, e.g.
+// GET /transactions/sessions?page=2&limit=50
+async function listSessions(req, res) {
+  const { page, limit, error } = parsePaging(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const [{ sessions, total }] = await Transaction.aggregate([
+      { $group: {
+        _id: '$sessionId',
+        tickers: { $addToSet: '$ticker' },
+        transactions: { $sum: 1 },
+        firstTransactionDate: { $min: '$transactionDate' },
+        lastTransactionDate: { $max: '$transactionDate' },
+        createdAt: { $min: '$createdAt' }
+      } },
+      { $sort: { createdAt: -1, _id: 1 } },
+      { $facet: {
+        sessions: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      } },
+      { $project: { sessions: 1, total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] } } }
+    ]);
+    res.json({
+      sessions: sessions.map(({ _id, ...session }) => ({ sessionId: _id, ...session, tickers: session.tickers.sort() })),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('❌ Error listing sessions:', error.message);
+    res.status(500).json({ message: 'Could not list sessions', error: error.message });
+  }
+}
+
+// GET /transactions/sessions/:sessionId/holdings
+async function getSessionHoldings(req, res) {
+  const { sessionId } = req.params;
+  try {
+    const transactions = await Transaction.find({ sessionId }).sort({ transactionDate: 1, _id: 1 });
+    if (transactions.length === 0) {
+      return res.status(404).json({ message: `No transactions for session ${sessionId}` });
+    }
+
+    const holdings = aggregateHoldings(transactions);
+    res.json({
+      sessionId,
+      holdings,
+      totals: {
+        totalBought: _.sumBy(holdings, 'totalBought'),
+        totalSold: _.sumBy(holdings, 'totalSold'),
+        costBasis: _.sumBy(holdings, 'costBasis'),
+        realizedPnL: _.sumBy(holdings, 'realizedPnL'),
+        fees: _.sumBy(holdings, 'fees'),
+        transactions: transactions.length
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Error building holdings for session ${sessionId}:`, error.message);
+    res.status(500).json({ message: `Could not build holdings for session ${sessionId}`, error: error.message });
+  }
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Every transaction in a session as a download, e.g. GET /transactions/sessions/<id>/export?format=csv
+async function exportSession(req, res) {
+  const { sessionId } = req.params;
+  const format = (req.query.format || 'json').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Unknown export format: ${req.query.format}`, validFormats: EXPORT_FORMATS });
+  }
+
+  try {
+    const transactions = await Transaction.find({ sessionId }).sort({ transactionDate: 1, _id: 1 }).lean();
+    if (transactions.length === 0) {
+      return res.status(404).json({ message: `No transactions for session ${sessionId}` });
+    }
+
+    res.attachment(`transactions-${sessionId}.${format}`);
+    if (format === 'json') {
+      return res.json(transactions.map(tx => _.pick(tx, CSV_COLUMNS)));
+    }
+    res.type('text/csv').send([
+      CSV_COLUMNS.join(','),
+      ...transactions.map(tx => CSV_COLUMNS.map(column => csvCell(tx[column])).join(','))
+    ].join('\n'));
+  } catch (error) {
+    console.error(`❌ Error exporting session ${sessionId}:`, error.message);
+    res.status(500).json({ message: `Could not export session ${sessionId}`, error: error.message });
+  }
+}
+
+// DELETE /transactions/sessions/:sessionId
+async function deleteSession(req, res) {
+  const { sessionId } = req.params;
+  try {
+    const result = await Transaction.deleteMany({ sessionId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: `No transactions for session ${sessionId}` });
+    }
+    console.log(`🗑️  Deleted ${result.deletedCount} transactions for session ${sessionId}`);
+    res.json({ sessionId, deleted: result.deletedCount });
+  } catch (error) {
+    console.error(`❌ Error deleting session ${sessionId}:`, error.message);
+    res.status(500).json({ message: `Could not delete session ${sessionId}`, error: error.message });
+  }
+}
+
+// Clears out old backtest sessions: DELETE /transactions/sessions?olderThan=2024-06-30 removes
+// every transaction saved before the date
+async function deleteOldSessions(req, res) {
+  const olderThan = req.query.olderThan ? parseDate(req.query.olderThan) : null;
+  if (!olderThan) {
+    return res.status(400).json({ message: 'olderThan must be a date such as 2024-01-31' });
+  }
+  try {
+    const result = await Transaction.deleteMany({ createdAt: { $lt: olderThan.toDate() } });
+    console.log(`🗑️  Deleted ${result.deletedCount} transactions saved before ${olderThan.format('YYYY-MM-DD')}`);
+    res.json({ olderThan: olderThan.format('YYYY-MM-DD'), deleted: result.deletedCount });
+  } catch (error) {
+    console.error('❌ Error deleting old sessions:', error.message);
+    res.status(500).json({ message: 'Could not delete old sessions', error: error.message });
+  }
+}
+
+module.exports = {
+  createTransaction,
+  createTransactions,
+  listTransactions,
+  listSessions,
+  getSessionHoldings,
+  exportSession,
+  deleteSession,
+  deleteOldSessions
+};
\ No newline at end of file
@@ -4,9 +4,19 @@ require('dotenv').config();
 connectDB();
 
 const app = express();
-app.use(express.json());
+// Bulk writes carry a whole backtest session
+app.use(express.json({ limit: '10mb' }));
 
-app.post('/transactions', require('./controllers/transactionController').createTransaction);
+const { createTransaction, createTransactions, listTransactions, listSessions, getSessionHoldings, exportSession, deleteSession, deleteOldSessions } = require('./controllers/transactionController');
+
+app.post('/transactions', createTransaction);
+app.post('/transactions/bulk', createTransactions);
+app.get('/transactions', listTransactions);
+app.get('/transactions/sessions', listSessions);
+app.delete('/transactions/sessions', deleteOldSessions);
+app.get('/transactions/sessions/:sessionId/holdings', getSessionHoldings);
+app.get('/transactions/sessions/:sessionId/export', exportSession);
+app.delete('/transactions/sessions/:sessionId', deleteSession);
 
 app.get('/health', (req, res) => res.send('OK'));
 
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A completed single-ticker or portfolio backtest: what was asked for, the headline results and
+// every simulated transaction and dividend. Transactions saved to the transaction service
+// share the run's sessionId. See shared/utils/backtestRuns.js.
+const backtestRunSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['single', 'portfolio']
+  },
+  // Every ticker traded (one for a single backtest)
+  tickers: [{
+    type: String,
+    uppercase: true
+  }],
+  strategy: {
+    type: String,
+    required: true
+  },
+  timeframe: {
+    type: String
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String
+  },
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  transactions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  dividends: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+backtestRunSchema.index({ tickers: 1, createdAt: -1 });
+backtestRunSchema.index({ strategy: 1, createdAt: -1 });
+backtestRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BacktestRun', backtestRunSchema);
\ No newline at end of file
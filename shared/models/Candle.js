@@ -13,7 +13,7 @@ const candleSchema = new mongoose.Schema({
   timeframe: {
     type: String,
     required: true,
-    enum: ['1D', '1W', '1M']
+    enum: ['5m', '15m', '1h', '1D', '1W', '1M']
   },
   open: {
     type: Number,
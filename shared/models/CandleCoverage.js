@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Date spans (YYYY-MM-DD, inclusive, exchange-local) already fetched for a ticker and
+// timeframe. Sessions inside a span are not requested again even when the provider
+// returned no bar for them (before a listing, trading halts).
+const coverageRangeSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const candleCoverageSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  timeframe: {
+    type: String,
+    required: true,
+    enum: ['5m', '15m', '1h', '1D']
+  },
+  ranges: [coverageRangeSchema]
+}, {
+  timestamps: true
+});
+
+candleCoverageSchema.index({ ticker: 1, timeframe: 1 }, { unique: true });
+
+module.exports = mongoose.model('CandleCoverage', candleCoverageSchema);
\ No newline at end of file
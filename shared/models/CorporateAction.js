@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Splits, reverse splits, bonus issues and spin-offs by ex-date. ratio is shares held after
+// per share held before (split types); priceFactor is the share of the parent's value kept
+// on a spin-off's ex-date. See shared/utils/corporateActions.js.
+const corporateActionSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['split', 'reverse_split', 'bonus', 'spinoff']
+  },
+  ratio: {
+    type: Number,
+    required: false
+  },
+  priceFactor: {
+    type: Number,
+    required: false
+  },
+  description: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+corporateActionSchema.index({ ticker: 1, date: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('CorporateAction', corporateActionSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Date spans (YYYY-MM-DD, inclusive) for which a ticker's corporate actions have been
+// fetched. Spans with no stored action are known to have none and are not requested again.
+const coverageRangeSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const corporateActionCoverageSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  ranges: [coverageRangeSchema]
+}, {
+  timestamps: true
+});
+
+corporateActionCoverageSchema.index({ ticker: 1 }, { unique: true });
+
+module.exports = mongoose.model('CorporateActionCoverage', corporateActionCoverageSchema);
\ No newline at end of file
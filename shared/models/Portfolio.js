@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A user's real portfolio. Its trades and dividend receipts are PortfolioTransaction documents;
+// holdings are computed from them (see shared/utils/portfolioTracking.js).
+const portfolioSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Totals are reported in this currency; each holding stays in its listing currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Withholding tax settings applied to dividend entitlements, as in backtest requests
+  withholdingTax: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  description: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Portfolio', portfolioSchema);
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A trade or dividend receipt recorded by the user, as it happened: BUY and SELL carry the
+// quantity and price traded (splits are applied when holdings are computed), DIVIDEND the cash
+// received in the listing currency.
+const portfolioTransactionSchema = new mongoose.Schema({
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['BUY', 'SELL', 'DIVIDEND']
+  },
+  quantity: {
+    type: Number
+  },
+  price: {
+    type: Number
+  },
+  fees: {
+    type: Number,
+    default: 0
+  },
+  // DIVIDEND: cash received, after any tax withheld
+  amount: {
+    type: Number
+  },
+  notes: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+portfolioTransactionSchema.index({ portfolioId: 1, date: 1 });
+portfolioTransactionSchema.index({ portfolioId: 1, ticker: 1 });
+
+module.exports = mongoose.model('PortfolioTransaction', portfolioTransactionSchema);
\ No newline at end of file
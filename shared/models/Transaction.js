@@ -16,7 +16,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['BUY', 'SELL'],
+    enum: ['BUY', 'SELL', 'DRIP'],
     default: 'BUY'
   },
   quantity: {
@@ -27,9 +27,26 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Commission and charges; BUY totalCost includes them, SELL totalCost is net of them
+  fees: {
+    type: Number,
+    default: 0
+  },
   totalCost: {
     type: Number,
     required: true
+  },
+  // Tax lot a BUY/DRIP opens, or the lot a SELL disposes of (specific-lot matching)
+  lotId: {
+    type: String
+  },
+  // Set by bulk writes so a resent session or trade is stored once
+  idempotencyKey: {
+    type: String
+  },
+  // The bulk save that last wrote the trade; replacing a session removes the other saves' trades
+  saveId: {
+    type: String
   }
 }, {
   timestamps: true
@@ -37,5 +54,8 @@ const transactionSchema = new mongoose.Schema({
 
 transactionSchema.index({ sessionId: 1, transactionDate: -1 });
 transactionSchema.index({ ticker: 1, transactionDate: -1 });
+transactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+// Purging old backtest sessions (DELETE /transactions/sessions?olderThan=)
+transactionSchema.index({ createdAt: 1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
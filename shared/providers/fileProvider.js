@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { listingFromRow, dividendFromRow, splitFromRow, apiErrorFrom } = require('./twelveDataProvider');
+const { actionFromSplit } = require('../utils/corporateActions');
+
+// Market data read from CSV or JSON files laid out per ticker:
+//   <dataDir>/<TICKER>/<interval>.csv|json   time series, e.g. AAPL/1day.csv, RY.TO/1h.json
+//   <dataDir>/<TICKER>/dividends.csv|json    ex_date, payment_date, record_date, amount
+//   <dataDir>/<TICKER>/splits.csv|json       date, from_factor, to_factor
+//   <dataDir>/<TICKER>/corporate_actions.csv|json
+//                                            date, type, ratio, price_factor, description
+//   <dataDir>/<TICKER>/statistics.json
+//   <dataDir>/symbols.json                   symbol search listings
+// Columns and JSON shapes are Twelve Data's, so saved API responses can be dropped in as is.
+// corporate_actions has no API equivalent; it adds bonus issues and spin-offs to the splits.
+// Time series hold prices as traded; adjustments for the actions are applied on top.
+
+// Directory name for a ticker (BSE:RELIANCE.IN -> BSE_RELIANCE.IN, CAD/USD -> CAD_USD)
+function tickerDirectory(ticker) {
+  return String(ticker).toUpperCase().replace(/[:/]/g, '_');
+}
+
+// A header row and comma-separated values (no quoted fields)
+function parseCsv(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  const columns = header.split(',').map(column => column.trim());
+  return lines.map(line => _.zipObject(columns, line.split(',').map(cell => cell.trim())));
+}
+
+// { rows, meta } from <file>.json or <file>.csv, or null when neither exists. JSON may be an
+// array of rows or a whole API response with the rows under key.
+async function readDataFile(file, key) {
+  for (const extension of ['.json', '.csv']) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file + extension, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    if (extension === '.csv') return { rows: parseCsv(text), meta: {} };
+    const json = JSON.parse(text);
+    return Array.isArray(json) ? { rows: json, meta: {} } : { rows: json[key] || [], meta: json.meta || {} };
+  }
+  return null;
+}
+
+function actionFromRow(row) {
+  return {
+    date: row.date,
+    type: row.type,
+    ratio: row.ratio !== undefined && row.ratio !== '' ? parseFloat(row.ratio) : null,
+    priceFactor: row.price_factor !== undefined && row.price_factor !== '' ? parseFloat(row.price_factor) : null,
+    description: row.description || null
+  };
+}
+
+function notFound(message) {
+  return apiErrorFrom({ status: 'error', code: 404, message });
+}
+
+// Dates compare as strings like Twelve Data's start_date/end_date, so an intraday end date of
+// 2024-03-06 stops before that day's first bar while a daily one includes the day
+function inDateRange(date, startDate, endDate) {
+  return Boolean(date) && (!startDate || date >= startDate) && (!endDate || date <= endDate);
+}
+
+function createFileProvider(options = {}) {
+  const { dataDir } = options;
+  const tickerFile = (ticker, name) => path.join(dataDir, tickerDirectory(ticker), name);
+
+  return {
+    name: 'file',
+
+    async getTimeSeries(ticker, { interval, startDate, endDate, outputSize }) {
+      const file = await readDataFile(tickerFile(ticker, interval), 'values');
+      if (!file) {
+        throw notFound(`No ${interval} data file for ${ticker} in ${dataDir}`);
+      }
+
+      // Newest first and capped at outputSize, as the API returns them
+      const values = _.orderBy(file.rows.filter(row => inDateRange(row.datetime, startDate, endDate)), 'datetime', 'desc');
+      return {
+        timezone: file.meta.exchange_timezone || null,
+        values: outputSize ? values.slice(0, outputSize) : values
+      };
+    },
+
+    // No file means no dividends (or splits), the same as an empty API response
+    async getDividends(ticker, { startDate, endDate }) {
+      const file = await readDataFile(tickerFile(ticker, 'dividends'), 'dividends');
+      return file ? file.rows.filter(row => inDateRange(row.ex_date, startDate, endDate)).map(dividendFromRow) : [];
+    },
+
+    async getSplits(ticker, { startDate, endDate }) {
+      const file = await readDataFile(tickerFile(ticker, 'splits'), 'splits');
+      return file ? file.rows.filter(row => inDateRange(row.date, startDate, endDate)).map(splitFromRow) : [];
+    },
+
+    // Splits plus any corporate_actions rows (a date and type listed in both is taken once)
+    async getCorporateActions(ticker, { startDate, endDate }) {
+      const inRange = row => inDateRange(row.date, startDate, endDate);
+      const splitsFile = await readDataFile(tickerFile(ticker, 'splits'), 'splits');
+      const actionsFile = await readDataFile(tickerFile(ticker, 'corporate_actions'), 'corporate_actions');
+      const splits = splitsFile ? splitsFile.rows.filter(inRange).map(splitFromRow).map(actionFromSplit) : [];
+      const actions = actionsFile ? actionsFile.rows.filter(inRange).map(actionFromRow) : [];
+      return _.uniqBy([...actions, ...splits], action => `${action.date}|${action.type}`);
+    },
+
+    async getStatistics(ticker) {
+      let json;
+      try {
+        json = JSON.parse(await fs.promises.readFile(tickerFile(ticker, 'statistics.json'), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw notFound(`No statistics file for ${ticker} in ${dataDir}`);
+        throw error;
+      }
+      return json.statistics || json;
+    },
+
+    // Listings from symbols.json, or the ticker directories when there is none
+    async searchSymbols(query) {
+      const file = await readDataFile(path.join(dataDir, 'symbols'), 'data');
+      const listings = file
+        ? file.rows.map(listingFromRow)
+        : (await fs.promises.readdir(dataDir, { withFileTypes: true }))
+          .filter(entry => entry.isDirectory())
+          .map(entry => ({ ticker: entry.name.replace(/^BSE_/, 'BSE:').replace('_', '/'), symbol: entry.name }));
+
+      const needle = String(query).toUpperCase();
+      return listings.filter(listing => [listing.ticker, listing.symbol, listing.name].some(field => field && field.toUpperCase().includes(needle)));
+    }
+  };
+}
+
+module.exports = {
+  tickerDirectory,
+  parseCsv,
+  createFileProvider
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createTwelveDataRequest, createTwelveDataProvider } = require('./twelveDataProvider');
+
+const FIXTURE_MODES = ['replay', 'record'];
+
+// <fixturesDir>/<endpoint>/<symbol>-<hash>.json, the hash covering every request parameter
+// (the API key is added by the HTTP call and never part of it)
+function fixturePath(fixturesDir, endpoint, params) {
+  const defined = Object.keys(params).sort()
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .map(name => [name, String(params[name])]);
+  const hash = crypto.createHash('sha1').update(JSON.stringify(defined)).digest('hex').slice(0, 12);
+  const symbol = String(params.symbol || 'all').replace(/[^A-Za-z0-9._-]/g, '_');
+  return path.join(fixturesDir, endpoint, `${symbol}-${hash}.json`);
+}
+
+// Twelve Data responses recorded to disk and replayed without network access. 'record' sends
+// every request to the API and saves the response; 'replay' (the default) only reads fixtures,
+// and a request that was never recorded fails like a "no data" API error.
+function createFixtureProvider(options = {}) {
+  const { fixturesDir, fixtureMode = 'replay' } = options;
+  if (!FIXTURE_MODES.includes(fixtureMode)) {
+    throw new Error(`Unknown fixture mode: ${fixtureMode}. Valid modes: ${FIXTURE_MODES.join(', ')}`);
+  }
+  const liveRequest = createTwelveDataRequest(options);
+
+  const request = async (endpoint, params) => {
+    const file = fixturePath(fixturesDir, endpoint, params);
+
+    if (fixtureMode === 'record') {
+      const response = await liveRequest(endpoint, params);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify({ endpoint, params, response }, null, 2));
+      console.log(`📼 Recorded ${endpoint} fixture: ${path.relative(fixturesDir, file)}`);
+      return response;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8')).response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.log(`📼 No ${endpoint} fixture for ${JSON.stringify(params)}`);
+      return { status: 'error', code: 404, message: `No recorded ${endpoint} fixture for ${params.symbol || 'request'}` };
+    }
+  };
+
+  return { ...createTwelveDataProvider({ ...options, request }), name: 'fixtures' };
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  fixturePath,
+  createFixtureProvider
+};
\ No newline at end of file
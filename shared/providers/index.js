@@ -0,0 +1,53 @@
+const config = require('../../config/config');
+const { transformTicker, isNoDataError, createTwelveDataProvider } = require('./twelveDataProvider');
+const { createFileProvider } = require('./fileProvider');
+const { FIXTURE_MODES, createFixtureProvider } = require('./fixtureProvider');
+
+const PROVIDERS = ['twelvedata', 'file', 'fixtures'];
+
+// Every market data provider implements:
+//   getTimeSeries(ticker, { interval, startDate, endDate, outputSize }) -> { timezone, values }
+//     values newest first as { datetime, open, high, low, close, volume } (Twelve Data rows)
+//   getDividends(ticker, { startDate, endDate }) -> [{ exDate, payDate, recordDate, amount }]
+//   getSplits(ticker, { startDate, endDate }) -> [{ date, ratio, description }]
+//   getCorporateActions(ticker, { startDate, endDate }) -> [{ date, type, ratio, priceFactor, description }]
+//     splits, reverse splits, bonus issues and spin-offs (see shared/utils/corporateActions.js)
+//   getStatistics(ticker) -> statistics object
+//   searchSymbols(query) -> [{ ticker, symbol, name, exchange, country, currency, type }]
+// Tickers use our format (RY.TO, RELIANCE.IN, BSE:TCS.IN, CAD/USD). "No data" answers (unknown
+// symbol, missing file or fixture) throw with error.apiError set; network failures throw as is.
+function createMarketDataProvider(options = {}) {
+  const { baseURL, key } = config.externalAPIs.twelveData;
+  const settings = { ...config.marketData, baseURL, apiKey: key, ...options };
+
+  switch (settings.provider) {
+    case 'twelvedata':
+      return createTwelveDataProvider(settings);
+    case 'file':
+      return createFileProvider(settings);
+    case 'fixtures':
+      return createFixtureProvider(settings);
+    default:
+      throw new Error(`Unknown market data provider: ${settings.provider}. Valid providers: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+let defaultProvider = null;
+
+// The provider selected by MARKET_DATA_PROVIDER, shared by everything in the process
+function getMarketDataProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createMarketDataProvider();
+    console.log(`🔌 Market data provider: ${defaultProvider.name}`);
+  }
+  return defaultProvider;
+}
+
+module.exports = {
+  PROVIDERS,
+  FIXTURE_MODES,
+  transformTicker,
+  isNoDataError,
+  createMarketDataProvider,
+  getMarketDataProvider
+};
\ No newline at end of file
@@ -0,0 +1,178 @@
+const axios = require('axios');
+const { actionFromSplit } = require('../utils/corporateActions');
+
+const DEFAULT_BASE_URL = 'https://api.twelvedata.com';
+
+// Function to transform ticker for Twelve Data API (Enhanced with NSE/BSE support)
+function transformTicker(ticker) {
+  // Ensure ticker is uppercase and a string
+  const tickerUpper = String(ticker).toUpperCase();
+
+  // Initialize API parameters with the original ticker
+  let apiParams = { symbol: tickerUpper };
+
+  // Handle TSX tickers (e.g., SHOP.TO)
+  if (tickerUpper.endsWith('.TO')) {
+    apiParams.symbol = tickerUpper.replace('.TO', '');
+    apiParams.exchange = 'TSX';
+    console.log(`🇨🇦 TSX ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
+  }
+  // Handle Indian tickers (e.g., NIFTY.IN or BSE:RELIANCE.IN)
+  else if (tickerUpper.endsWith('.IN')) {
+    apiParams.symbol = tickerUpper.replace('.IN', '');
+
+    // Check for BSE prefix to differentiate BSE from NSE
+    if (tickerUpper.startsWith('BSE:')) {
+      apiParams.symbol = apiParams.symbol.replace('BSE:', '');
+      apiParams.exchange = 'BSE';
+      console.log(`🇮🇳 BSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
+    } else {
+      apiParams.exchange = 'NSE';
+      console.log(`🇮🇳 NSE ticker detected: ${ticker} -> symbol: ${apiParams.symbol}, exchange: ${apiParams.exchange}`);
+    }
+  } else {
+    // Default case - assume US market if no specific exchange suffix
+    console.log(`🇺🇸 Default/US ticker: ${ticker} -> symbol: ${apiParams.symbol}`);
+  }
+
+  return apiParams;
+}
+
+// The reverse of transformTicker for symbol search results (RY on TSX -> RY.TO)
+function tickerFromListing(symbol, exchange) {
+  if (exchange === 'TSX') return `${symbol}.TO`;
+  if (exchange === 'NSE') return `${symbol}.IN`;
+  if (exchange === 'BSE') return `BSE:${symbol}.IN`;
+  return symbol;
+}
+
+function listingFromRow(row) {
+  return {
+    ticker: tickerFromListing(row.symbol, row.exchange),
+    symbol: row.symbol,
+    name: row.instrument_name,
+    exchange: row.exchange,
+    country: row.country,
+    currency: row.currency,
+    type: row.instrument_type
+  };
+}
+
+// Dividends as { exDate, payDate, recordDate, amount } with YYYY-MM-DD dates (null when unknown)
+function dividendFromRow(row) {
+  return {
+    exDate: row.ex_date || null,
+    payDate: row.payment_date || null,
+    recordDate: row.record_date || null,
+    amount: parseFloat(row.amount)
+  };
+}
+
+// Splits as { date, ratio, description } where ratio is shares held after the split per share
+// before: Twelve Data reports a 4-for-1 split as from_factor 4, to_factor 1 (ratio 4)
+function splitFromRow(row) {
+  return {
+    date: row.date,
+    ratio: parseFloat(row.from_factor) / parseFloat(row.to_factor),
+    description: row.description || `${row.from_factor}-for-${row.to_factor} split`
+  };
+}
+
+// Errors reported in the response body ({ status: 'error', code, message }) are thrown with
+// the body attached as apiError, so callers can tell "no data" apart from a network failure
+function apiErrorFrom(data) {
+  const error = new Error(data.message || `Twelve Data returned status ${data.status}`);
+  error.apiError = data;
+  return error;
+}
+
+// True when an error means the provider has no data for the request (unknown symbol, nothing
+// in the range, missing file or fixture). Out of credits (429), plan restrictions (403), a bad
+// key (401) and the like are not "no data": callers must not cache them as an empty answer.
+function isNoDataError(error) {
+  const apiError = error && error.apiError;
+  if (!apiError) return false;
+  if (apiError.code === 404) return true;
+  return apiError.code === 400 && /not found|no data/i.test(apiError.message || '');
+}
+
+// HTTP call to a Twelve Data endpoint, resolving to the response body
+function createTwelveDataRequest(options = {}) {
+  const { baseURL = DEFAULT_BASE_URL, apiKey, timeout = 30000 } = options;
+  return async (endpoint, params) => {
+    const response = await axios.get(`${baseURL}/${endpoint}`, { params: { ...params, apikey: apiKey }, timeout });
+    return response.data;
+  };
+}
+
+// Twelve Data adapter. options.request(endpoint, params) replaces the HTTP call, which is how
+// the fixture provider records and replays responses.
+function createTwelveDataProvider(options = {}) {
+  const request = options.request || createTwelveDataRequest(options);
+
+  async function get(endpoint, params) {
+    const data = await request(endpoint, params);
+    if (!data || data.status === 'error') {
+      throw apiErrorFrom(data || {});
+    }
+    return data;
+  }
+
+  return {
+    name: 'twelvedata',
+
+    // Rows newest first: { datetime, open, high, low, close, volume } with exchange-local
+    // datetimes. endDate is exclusive for intraday intervals (pass the day after).
+    // Prices are unadjusted, as traded; splits and other corporate actions are applied by
+    // the caller (see corporateActions.js).
+    async getTimeSeries(ticker, { interval, startDate, endDate, outputSize }) {
+      const data = await get('time_series', {
+        ...transformTicker(ticker),
+        interval,
+        start_date: startDate,
+        end_date: endDate,
+        outputsize: outputSize,
+        adjust: 'none'
+      });
+      return { timezone: data.meta?.exchange_timezone || null, values: data.values || [] };
+    },
+
+    async getDividends(ticker, { startDate, endDate }) {
+      const data = await get('dividends', { ...transformTicker(ticker), start_date: startDate, end_date: endDate });
+      return (data.dividends || []).map(dividendFromRow);
+    },
+
+    async getSplits(ticker, { startDate, endDate }) {
+      const data = await get('splits', { ...transformTicker(ticker), start_date: startDate, end_date: endDate });
+      return (data.splits || []).map(splitFromRow);
+    },
+
+    // Splits, reverse splits and bonus issues from the splits endpoint (Twelve Data has no
+    // spin-off data; those come from the file provider or the store)
+    async getCorporateActions(ticker, { startDate, endDate }) {
+      const data = await get('splits', { ...transformTicker(ticker), start_date: startDate, end_date: endDate });
+      return (data.splits || []).map(splitFromRow).map(actionFromSplit);
+    },
+
+    async getStatistics(ticker) {
+      const data = await get('statistics', transformTicker(ticker));
+      return data.statistics || data;
+    },
+
+    async searchSymbols(query) {
+      const data = await get('symbol_search', { symbol: query });
+      return (data.data || []).map(listingFromRow);
+    }
+  };
+}
+
+module.exports = {
+  transformTicker,
+  listingFromRow,
+  dividendFromRow,
+  splitFromRow,
+  apiErrorFrom,
+  isNoDataError,
+  createTwelveDataRequest,
+  createTwelveDataProvider
+};
\ No newline at end of file
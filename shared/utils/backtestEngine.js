@@ -0,0 +1,439 @@
+const { DEFAULT_STRATEGY, buildSignals, resolveStrategyParams } = require('./strategies');
+const { resolveExitRules, checkExit } = require('./exitRules');
+const { resolveSizing, calculateBuyQuantity, roundShares } = require('./positionSizing');
+const { averageRange } = require('./indicators');
+const { applySlippage, calculateFees } = require('./tradingCosts');
+const { applyWithholding } = require('./withholdingTax');
+const { adjustCandles, prepareCorporateActions } = require('./corporateActions');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function toTime(date) {
+  return new Date(date).getTime();
+}
+
+// Dividends inside the candle range, sorted by ex-date, with the date cash actually
+// arrives (pay date, else ex-date)
+function prepareDividends(dividends, candles) {
+  if (candles.length === 0) return [];
+  const firstTime = toTime(candles[0].date);
+
+  return (dividends || [])
+    .filter(div => div.exDate && div.amount > 0 && toTime(div.exDate) >= firstTime)
+    .map(div => ({
+      exDate: div.exDate,
+      payDate: div.payDate || div.exDate,
+      amount: div.amount,
+      exTime: toTime(div.exDate),
+      payTime: toTime(div.payDate || div.exDate)
+    }))
+    .sort((a, b) => a.exTime - b.exTime);
+}
+
+// Run a strategy over a candle series and return the simulated trades.
+// Transactions use the Transaction model field names so callers can persist them directly.
+// Every buy opens its own trade; exit rules close trades individually.
+// When initialCapital is set, buys draw from a cash balance that also collects
+// sale proceeds, dividends and interest on idle cash.
+// Buy size comes from the sizing config (see positionSizing.js), defaulting to a fixed quantity.
+// With reinvestDividends, each payment buys DRIP shares that count toward later dividends.
+// equityCurve holds one point per candle for charting and performance metrics.
+// With resolved costs (see tradingCosts.js) buys and sells fill after slippage and pay
+// commission and charges: BUY totalCost includes fees, SELL totalCost is net proceeds.
+// With a resolved withholding config (see withholdingTax.js) each dividend's income is net of
+// the tax withheld at source; grossIncome and withheldTax are kept on the event.
+// corporateActions are for raw (unadjusted) candles: splits and bonus issues rebase the shares
+// held on their ex-date and spin-offs credit the distributed value as cash (see corporateActions.js).
+function simulateStrategy(candles, options = {}) {
+  const {
+    strategy = DEFAULT_STRATEGY,
+    strategyParams = {},
+    quantity = 1,
+    sizing = {},
+    exitRules = {},
+    dividends = [],
+    initialCapital = null,
+    cashInterestRate = 0,
+    partialBuys = true,
+    reinvestDividends = false,
+    signals: presetSignals = null,
+    costs = null,
+    withholding = null,
+    corporateActions = []
+  } = options;
+
+  const params = resolveStrategyParams(strategy, strategyParams);
+  const rules = resolveExitRules(exitRules);
+  const actionQueue = prepareCorporateActions(corporateActions, candles);
+  // Callers such as the benchmark runner can supply their own buy schedule. On raw prices
+  // signals come from the adjusted series, so a split does not read as a crash.
+  const signalCandles = actionQueue.length > 0 ? adjustCandles(candles, corporateActions) : candles;
+  const signals = presetSignals || buildSignals(signalCandles, strategy, params);
+  const dividendQueue = prepareDividends(dividends, candles);
+  const cashMode = initialCapital !== null && initialCapital > 0;
+  const sizingConfig = resolveSizing(sizing, quantity);
+  if (!sizingConfig) {
+    throw new Error(`Unknown sizing mode: ${sizing.mode}`);
+  }
+  const ranges = sizingConfig.mode === 'volatility' ? averageRange(candles, sizingConfig.lookback) : [];
+
+  const transactions = [];
+  const trades = [];
+  const dividendEvents = [];
+  const corporateActionEvents = [];
+  const equityCurve = [];
+  let openTrades = [];
+  let pendingPayments = [];
+  let totalInvestment = 0;
+  let totalProceeds = 0;
+  let cash = cashMode ? initialCapital : 0;
+  let interestEarned = 0;
+  let dividendsReceived = 0;
+  let dividendsReinvested = 0;
+  let dividendsWithheld = 0;
+  let dripSharesAcquired = 0;
+  let skippedBuys = 0;
+  let scaledBuys = 0;
+  let dividendIndex = 0;
+  let actionIndex = 0;
+  let corporateActionCash = 0;
+  let previousTime = null;
+  const costTotals = { commission: 0, charges: 0, slippage: 0 };
+
+  const sharesHeld = () => openTrades.reduce((sum, trade) => sum + trade.quantity, 0);
+
+  const recordCosts = (quantity, marketPrice, fillPrice, fees) => {
+    costTotals.commission += fees.commission;
+    costTotals.charges += fees.charges;
+    costTotals.slippage += quantity * Math.abs(fillPrice - marketPrice);
+  };
+
+  // Largest quantity whose price plus fees fits in the available cash
+  const affordableQuantity = (price, fractional) => {
+    let quantity = roundShares(cash / price, fractional);
+    while (quantity > 0) {
+      const total = quantity * price + calculateFees(quantity, price, 'BUY', costs).total;
+      if (total <= cash) return quantity;
+      const scaled = roundShares(quantity * (cash / total), fractional);
+      quantity = scaled < quantity ? scaled : roundShares(quantity - (fractional ? 1e-6 : 1), fractional);
+    }
+    return 0;
+  };
+
+  candles.forEach((candle, index) => {
+    const candleTime = toTime(candle.date);
+    const investedBeforeCandle = totalInvestment;
+
+    // Interest on idle cash accrues for the calendar days since the previous candle
+    if (cashMode && cashInterestRate > 0 && previousTime !== null && cash > 0) {
+      const days = (candleTime - previousTime) / MS_PER_DAY;
+      const interest = cash * (cashInterestRate / 100) * (days / 365);
+      cash += interest;
+      interestEarned += interest;
+    }
+    previousTime = candleTime;
+
+    // Splits and bonus issues change the share count, not the cost, so average cost follows the
+    // new price. Fractional entitlements are kept rather than paid out as cash in lieu.
+    // A spin-off leaves the shares alone and pays the value that left the price as cash.
+    while (actionIndex < actionQueue.length && actionQueue[actionIndex].time <= candleTime) {
+      const action = actionQueue[actionIndex];
+      const sharesBefore = sharesHeld();
+      const previousClose = index > 0 ? candles[index - 1].close : candle.open;
+      const cashReceived = action.type === 'spinoff' ? sharesBefore * previousClose * (1 - action.priceFactor) : 0;
+      openTrades.forEach(trade => {
+        trade.quantity *= action.shareFactor;
+        trade.entryPrice *= action.priceFactor;
+        trade.peakPrice *= action.priceFactor;
+      });
+      corporateActionCash += cashReceived;
+      if (cashMode) cash += cashReceived;
+      corporateActionEvents.push({
+        date: action.date,
+        type: action.type,
+        ratio: action.ratio,
+        priceFactor: action.priceFactor,
+        description: action.description,
+        sharesBefore,
+        sharesAfter: sharesHeld(),
+        cashReceived
+      });
+      actionIndex++;
+    }
+
+    // Dividend entitlement is fixed on the ex-date by the shares held before this candle
+    while (dividendIndex < dividendQueue.length && dividendQueue[dividendIndex].exTime <= candleTime) {
+      const div = dividendQueue[dividendIndex];
+      const sharesEntitled = sharesHeld();
+      const { grossIncome, withheldTax, netIncome: income } = applyWithholding(sharesEntitled * div.amount, withholding);
+      const event = {
+        exDate: div.exDate,
+        payDate: div.payDate,
+        amountPerShare: div.amount,
+        sharesEntitled,
+        grossIncome,
+        withheldTax,
+        income
+      };
+      dividendEvents.push(event);
+      if (income > 0) {
+        pendingPayments.push({ ...event, payTime: div.payTime });
+      }
+      dividendIndex++;
+    }
+
+    // Exits first - trades opened on earlier candles can be closed intrabar
+    openTrades = openTrades.filter(trade => {
+      const exit = checkExit(trade, candle, index, rules);
+      trade.peakPrice = Math.max(trade.peakPrice, candle.high);
+      if (!exit) return true;
+
+      const exitPrice = applySlippage(exit.price, candle, 'SELL', costs);
+      const fees = calculateFees(trade.quantity, exitPrice, 'SELL', costs);
+      const proceeds = trade.quantity * exitPrice - fees.total;
+      recordCosts(trade.quantity, exit.price, exitPrice, fees);
+      transactions.push({
+        transactionDate: candle.date,
+        type: 'SELL',
+        quantity: trade.quantity,
+        price: exitPrice,
+        fees: fees.total,
+        totalCost: proceeds,
+        candleIndex: index,
+        tradeId: trade.tradeId,
+        exitReason: exit.reason
+      });
+
+      Object.assign(trade, {
+        status: 'closed',
+        exitDate: candle.date,
+        exitPrice,
+        exitReason: exit.reason,
+        holdingPeriods: index - trade.entryIndex,
+        pnl: proceeds - trade.cost,
+        returnPercent: ((proceeds - trade.cost) / trade.cost) * 100
+      });
+      totalProceeds += proceeds;
+      if (cashMode) cash += proceeds;
+      return false;
+    });
+
+    // Dividend cash lands on the pay date - either reinvested at this candle's close (DRIP) or kept as cash.
+    // DRIP purchases are commission-free, as with broker and transfer-agent plans.
+    pendingPayments = pendingPayments.filter(payment => {
+      if (payment.payTime > candleTime) return true;
+
+      dividendsReceived += payment.income;
+      dividendsWithheld += payment.withheldTax;
+      if (reinvestDividends) {
+        const dripShares = roundShares(payment.income / candle.close, true);
+        if (dripShares > 0) {
+          const tradeId = trades.length + 1;
+          transactions.push({
+            transactionDate: candle.date,
+            type: 'DRIP',
+            quantity: dripShares,
+            price: candle.close,
+            totalCost: payment.income,
+            candleIndex: index,
+            tradeId,
+            exDate: payment.exDate
+          });
+          const lot = {
+            tradeId,
+            source: 'DRIP',
+            status: 'open',
+            entryDate: candle.date,
+            entryIndex: index,
+            entryPrice: candle.close,
+            peakPrice: candle.close,
+            quantity: dripShares,
+            cost: payment.income
+          };
+          trades.push(lot);
+          openTrades.push(lot);
+          dividendsReinvested += payment.income;
+          dripSharesAcquired += dripShares;
+        }
+      } else if (cashMode) {
+        cash += payment.income;
+      }
+      return false;
+    });
+
+    if (signals[index]) {
+      const buyPrice = applySlippage(candle.close, candle, 'BUY', costs);
+      let buyQuantity = calculateBuyQuantity(sizingConfig, {
+        price: buyPrice,
+        cash,
+        averageRange: ranges[index]
+      });
+
+      const costOf = quantity => quantity * buyPrice + calculateFees(quantity, buyPrice, 'BUY', costs).total;
+      if (cashMode && buyQuantity > 0 && costOf(buyQuantity) > cash) {
+        const affordable = partialBuys ? affordableQuantity(buyPrice, sizingConfig.fractional) : 0;
+        if (affordable > 0) {
+          buyQuantity = affordable;
+          scaledBuys++;
+        } else {
+          buyQuantity = 0;
+          skippedBuys++;
+        }
+      }
+
+      if (buyQuantity > 0) {
+        const fees = calculateFees(buyQuantity, buyPrice, 'BUY', costs);
+        const totalCost = buyQuantity * buyPrice + fees.total;
+        const tradeId = trades.length + 1;
+        recordCosts(buyQuantity, candle.close, buyPrice, fees);
+        transactions.push({
+          transactionDate: candle.date,
+          type: 'BUY',
+          quantity: buyQuantity,
+          price: buyPrice,
+          fees: fees.total,
+          totalCost,
+          candleIndex: index,
+          tradeId
+        });
+
+        const trade = {
+          tradeId,
+          status: 'open',
+          entryDate: candle.date,
+          entryIndex: index,
+          entryPrice: buyPrice,
+          peakPrice: candle.close,
+          quantity: buyQuantity,
+          cost: totalCost
+        };
+        trades.push(trade);
+        openTrades.push(trade);
+        totalInvestment += totalCost;
+        if (cashMode) cash -= totalCost;
+      }
+    }
+
+    // Equity curve point - value is everything the strategy owns: shares plus cash
+    // (in accumulation mode, sale proceeds and dividends not reinvested)
+    const shares = sharesHeld();
+    const marketValue = shares * candle.close;
+    const idleCash = cashMode ? cash : totalProceeds + dividendsReceived - dividendsReinvested + corporateActionCash;
+    const value = marketValue + idleCash;
+    const invested = cashMode ? initialCapital : totalInvestment;
+    equityCurve.push({
+      date: candle.date,
+      close: candle.close,
+      shares,
+      costBasis: openTrades.reduce((sum, trade) => sum + trade.cost, 0),
+      marketValue,
+      cumulativeDividends: dividendsReceived,
+      cash: idleCash,
+      value,
+      contribution: cashMode ? 0 : totalInvestment - investedBeforeCandle,
+      totalReturn: value - invested,
+      totalReturnPercent: invested > 0 ? ((value - invested) / invested) * 100 : 0
+    });
+  });
+
+  const lastIndex = candles.length - 1;
+  const lastPrice = candles[lastIndex]?.close || 0;
+
+  // Mark still-open trades to the last close
+  openTrades.forEach(trade => {
+    Object.assign(trade, {
+      holdingPeriods: lastIndex - trade.entryIndex,
+      pnl: trade.quantity * lastPrice - trade.cost,
+      returnPercent: ((trade.quantity * lastPrice - trade.cost) / trade.cost) * 100
+    });
+  });
+
+  // DRIP lots count toward holdings and cost basis but not toward strategy trade stats
+  const strategyTrades = trades.filter(trade => trade.source !== 'DRIP');
+  const closedTrades = strategyTrades.filter(trade => trade.status === 'closed');
+  const totalShares = sharesHeld();
+  const openCostBasis = openTrades.reduce((sum, trade) => sum + trade.cost, 0);
+  const realizedPnL = trades
+    .filter(trade => trade.status === 'closed')
+    .reduce((sum, trade) => sum + trade.pnl, 0);
+  const unrealizedPnL = totalShares * lastPrice - openCostBasis;
+  const winningTrades = closedTrades.filter(trade => trade.pnl > 0).length;
+
+  let portfolio = null;
+  if (cashMode) {
+    const finalMarketValue = totalShares * lastPrice;
+    const finalEquity = cash + finalMarketValue;
+    portfolio = {
+      initialCapital,
+      cashInterestRate,
+      finalCash: cash,
+      finalMarketValue,
+      finalEquity,
+      returnOnCapital: ((finalEquity - initialCapital) / initialCapital) * 100,
+      interestEarned,
+      dividendsReceived,
+      pendingDividends: pendingPayments.reduce((sum, payment) => sum + payment.income, 0),
+      skippedBuys,
+      scaledBuys
+    };
+  }
+
+  return {
+    strategy,
+    strategyParams: params,
+    sizing: sizingConfig,
+    exitRules: rules,
+    transactions,
+    trades: trades.map(({ peakPrice, ...trade }) => trade),
+    dividendEvents,
+    corporateActions: {
+      events: corporateActionEvents,
+      cashReceived: corporateActionCash
+    },
+    drip: {
+      enabled: reinvestDividends,
+      dividendsReceived,
+      dividendsReinvested,
+      sharesAcquired: dripSharesAcquired
+    },
+    signalCount: signals.filter(Boolean).length,
+    totalShares,
+    totalInvestment,
+    totalProceeds,
+    openCostBasis,
+    averageCost: openCostBasis / totalShares || 0,
+    lastPrice,
+    realizedPnL,
+    unrealizedPnL,
+    portfolio,
+    costs: {
+      config: costs,
+      commission: costTotals.commission,
+      charges: costTotals.charges,
+      slippage: costTotals.slippage,
+      totalFees: costTotals.commission + costTotals.charges
+    },
+    // Paid dividends before and after tax withheld at source
+    withholding: {
+      config: withholding,
+      grossDividends: dividendsReceived + dividendsWithheld,
+      taxWithheld: dividendsWithheld
+    },
+    equityCurve,
+    tradeStats: {
+      totalTrades: strategyTrades.length,
+      closedTrades: closedTrades.length,
+      openTrades: strategyTrades.length - closedTrades.length,
+      winningTrades,
+      losingTrades: closedTrades.length - winningTrades,
+      winRate: closedTrades.length > 0 ? (winningTrades / closedTrades.length) * 100 : 0,
+      averageTradeReturn: closedTrades.length > 0
+        ? closedTrades.reduce((sum, trade) => sum + trade.returnPercent, 0) / closedTrades.length
+        : 0,
+      bestTradeReturn: closedTrades.length > 0 ? Math.max(...closedTrades.map(trade => trade.returnPercent)) : 0,
+      worstTradeReturn: closedTrades.length > 0 ? Math.min(...closedTrades.map(trade => trade.returnPercent)) : 0
+    }
+  };
+}
+
+module.exports = { simulateStrategy };
\ No newline at end of file
@@ -0,0 +1,175 @@
+const moment = require('moment-timezone');
+const _ = require('lodash');
+const BacktestRun = require('../models/BacktestRun');
+const Transaction = require('../models/Transaction');
+const { isCacheAvailable } = require('./candleCache');
+
+// Backtest history: single-ticker and portfolio runs saved to the BacktestRun collection, listed
+// newest first with optional filters:
+//   ticker      runs that traded the ticker (alone or in a portfolio)
+//   strategy    strategy key, e.g. red_candle
+//   type        single or portfolio
+//   startDate   runs whose backtest period starts on or after the date
+//   endDate     runs whose backtest period ends on or before the date
+//   from / to   runs made on or after / on or before the date
+//   page, limit 1-based page of at most limit runs (default 20, at most 100)
+
+const BACKTEST_RUN_TYPES = ['single', 'portfolio'];
+const DEFAULT_RUN_LIMIT = 20;
+const MAX_RUN_LIMIT = 100;
+
+const FILTER_FIELDS = ['ticker', 'strategy', 'type', 'startDate', 'endDate', 'from', 'to'];
+const DATE_FILTERS = ['startDate', 'endDate', 'from', 'to'];
+
+// Headline numbers kept for a single-ticker result (portfolio runs keep their portfolio summary)
+const SUMMARY_FIELDS = [
+  'pnL', 'pnLPercent', 'pnLWithDividend', 'pnLWithDividendPercent', 'realizedPnL', 'unrealizedPnL',
+  'totalDividend', 'totalDividendGross', 'dividendTaxWithheld', 'totalShares', 'totalInvestment',
+  'totalValueToday', 'averageCost', 'tradeStats', 'portfolio', 'performance'
+];
+
+function parseDate(value) {
+  const date = moment.utc(value, moment.ISO_8601, true);
+  return date.isValid() ? date : null;
+}
+
+// A client-supplied sessionId makes a retried run idempotent (its transactions and history entry
+// are stored once); without one every run gets a new session. Error message or null.
+function validateSessionId(sessionId) {
+  if (sessionId === undefined) return null;
+  return typeof sessionId === 'string' && sessionId.trim() ? null : 'sessionId must be a non-empty string';
+}
+
+// { filter, page, limit } for a list or delete query, or { error }
+function buildRunQuery(query = {}) {
+  const filter = {};
+
+  if (query.ticker) filter.tickers = String(query.ticker).toUpperCase();
+  if (query.strategy) filter.strategy = String(query.strategy);
+  if (query.type) {
+    if (!BACKTEST_RUN_TYPES.includes(query.type)) {
+      return { error: `Unknown run type: ${query.type}. Valid types: ${BACKTEST_RUN_TYPES.join(', ')}` };
+    }
+    filter.type = query.type;
+  }
+
+  const dates = {};
+  for (const name of DATE_FILTERS) {
+    if (query[name] === undefined || query[name] === '') continue;
+    dates[name] = parseDate(query[name]);
+    if (!dates[name]) {
+      return { error: `${name} must be a date such as 2024-01-31` };
+    }
+  }
+  if (dates.startDate) filter.startDate = { $gte: dates.startDate.toDate() };
+  if (dates.endDate) filter.endDate = { $lte: dates.endDate.endOf('day').toDate() };
+  if (dates.from || dates.to) {
+    filter.createdAt = {};
+    if (dates.from) filter.createdAt.$gte = dates.from.toDate();
+    if (dates.to) filter.createdAt.$lte = dates.to.endOf('day').toDate();
+  }
+
+  const page = query.page !== undefined ? parseInt(query.page, 10) : 1;
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_RUN_LIMIT;
+  if (!(page >= 1)) {
+    return { error: 'page must be a positive whole number' };
+  }
+  if (!(limit >= 1 && limit <= MAX_RUN_LIMIT)) {
+    return { error: `limit must be a whole number from 1 to ${MAX_RUN_LIMIT}` };
+  }
+
+  return { filter, page, limit };
+}
+
+// True when the query has at least one filter, so a bulk delete never clears the whole history
+function hasRunFilters(query = {}) {
+  return FILTER_FIELDS.some(name => query[name] !== undefined && query[name] !== '');
+}
+
+function summarizeResult(result) {
+  return _.pick(result, SUMMARY_FIELDS);
+}
+
+// A run as returned by the API: id in place of _id, period dates as YYYY-MM-DD
+function formatRun(run) {
+  const { _id, __v, ...fields } = typeof run.toObject === 'function' ? run.toObject() : run;
+  return {
+    id: String(_id),
+    ...fields,
+    startDate: moment.utc(fields.startDate).format('YYYY-MM-DD'),
+    endDate: moment.utc(fields.endDate).format('YYYY-MM-DD')
+  };
+}
+
+// Mongo id or the run's sessionId
+function runIdFilter(id) {
+  return /^[0-9a-f]{24}$/i.test(id) ? { _id: id } : { sessionId: id };
+}
+
+// Save a finished run, replacing any earlier run with the same sessionId (a retried request).
+// History is best-effort: without a database connection, or when the write fails, the
+// backtest result is still returned and the run id is null.
+async function saveBacktestRun(run) {
+  if (!isCacheAvailable()) return null;
+  try {
+    const saved = await BacktestRun.findOneAndUpdate({ sessionId: run.sessionId }, run, { upsert: true, new: true, setDefaultsOnInsert: true });
+    console.log(`🗄️  Saved ${run.type} backtest run ${saved._id} (${run.tickers.join(', ')})`);
+    return String(saved._id);
+  } catch (error) {
+    console.error('⚠️ Could not save backtest run:', error.message);
+    return null;
+  }
+}
+
+// Runs without their transactions and dividends, newest first
+async function listBacktestRuns({ filter, page, limit }) {
+  const [runs, total] = await Promise.all([
+    BacktestRun.find(filter)
+      .select('-transactions -dividends')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    BacktestRun.countDocuments(filter)
+  ]);
+  return { runs: runs.map(formatRun), total, page, limit };
+}
+
+async function getBacktestRun(id) {
+  const run = await BacktestRun.findOne(runIdFilter(id));
+  return run ? formatRun(run) : null;
+}
+
+// Deletes the runs and the transactions saved under their sessions
+async function deleteRuns(runs) {
+  const sessionIds = runs.map(run => run.sessionId);
+  const [deleted, transactions] = await Promise.all([
+    BacktestRun.deleteMany({ _id: { $in: runs.map(run => run._id) } }),
+    Transaction.deleteMany({ sessionId: { $in: sessionIds } })
+  ]);
+  console.log(`🗑️  Deleted ${deleted.deletedCount} backtest run(s) and ${transactions.deletedCount} transaction(s)`);
+  return { deleted: deleted.deletedCount, transactionsDeleted: transactions.deletedCount };
+}
+
+// null when there is no such run
+async function deleteBacktestRun(id) {
+  const run = await BacktestRun.findOne(runIdFilter(id)).select('sessionId');
+  return run ? deleteRuns([run]) : null;
+}
+
+async function deleteBacktestRuns({ filter }) {
+  return deleteRuns(await BacktestRun.find(filter).select('sessionId'));
+}
+
+module.exports = {
+  BACKTEST_RUN_TYPES,
+  MAX_RUN_LIMIT,
+  validateSessionId,
+  buildRunQuery,
+  hasRunFilters,
+  summarizeResult,
+  saveBacktestRun,
+  listBacktestRuns,
+  getBacktestRun,
+  deleteBacktestRun,
+  deleteBacktestRuns
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+const moment = require('moment-timezone');
+const { simulateStrategy } = require('./backtestEngine');
+const { calculatePerformanceMetrics } = require('./performanceMetrics');
+
+const DCA_FREQUENCIES = ['weekly', 'monthly'];
+
+// Buy signal on the first candle of every calendar week or month
+function calendarSignals(candles, frequency) {
+  const format = frequency === 'weekly' ? 'GGGG-WW' : 'YYYY-MM';
+  let previousKey = null;
+  return candles.map(candle => {
+    const key = moment(candle.date).format(format);
+    const isFirst = key !== previousKey;
+    previousKey = key;
+    return isFirst;
+  });
+}
+
+// Headline numbers for any engine run, so strategies and benchmarks line up side by side
+function summarizeSimulation(simulation, options = {}) {
+  const lastPoint = simulation.equityCurve[simulation.equityCurve.length - 1];
+  const invested = simulation.portfolio ? simulation.portfolio.initialCapital : simulation.totalInvestment;
+  const finalValue = lastPoint ? lastPoint.value : 0;
+  const performance = calculatePerformanceMetrics(simulation.equityCurve, options);
+
+  return {
+    totalInvested: invested,
+    finalValue,
+    totalShares: simulation.totalShares,
+    dividendsReceived: simulation.drip.dividendsReceived,
+    totalReturn: finalValue - invested,
+    totalReturnPercent: invested > 0 ? ((finalValue - invested) / invested) * 100 : 0,
+    cagrPercent: performance.cagrPercent,
+    maxDrawdownPercent: performance.maxDrawdownPercent,
+    annualizedVolatilityPercent: performance.annualizedVolatilityPercent,
+    sharpeRatio: performance.sharpeRatio
+  };
+}
+
+// Invest all capital on the first candle and hold
+function runLumpSum(candles, capital, options = {}) {
+  const signals = candles.map((candle, index) => index === 0);
+  return simulateStrategy(candles, {
+    ...options,
+    signals,
+    sizing: { mode: 'amount', amount: capital, fractional: true }
+  });
+}
+
+// Spread the same capital evenly over the first candle of each week or month
+function runDollarCostAveraging(candles, capital, frequency = 'monthly', options = {}) {
+  const signals = calendarSignals(candles, frequency);
+  const contributions = signals.filter(Boolean).length;
+  return simulateStrategy(candles, {
+    ...options,
+    signals,
+    sizing: { mode: 'amount', amount: contributions > 0 ? capital / contributions : 0, fractional: true }
+  });
+}
+
+// Compare a strategy run against lump-sum and DCA over the same candles and capital,
+// plus buy-and-hold of a benchmark ticker when its candles are supplied.
+// The alternatives pay the same trading costs as the strategy (benchmarkCosts for the benchmark ticker's exchange).
+// Dividend withholding works the same way (benchmarkWithholding for the benchmark ticker's country).
+// Raw-price runs pass the corporate actions to apply (benchmarkCorporateActions for the benchmark ticker).
+// options: { dividends, reinvestDividends, riskFreeRate, dcaFrequency, costs, withholding, corporateActions,
+//            benchmarkTicker, benchmarkCandles, benchmarkDividends, benchmarkCosts, benchmarkWithholding,
+//            benchmarkCorporateActions }
+function compareWithBenchmarks(candles, strategySimulation, options = {}) {
+  const {
+    dividends = [],
+    reinvestDividends = false,
+    riskFreeRate = 0,
+    dcaFrequency = 'monthly',
+    costs = null,
+    withholding = null,
+    corporateActions = [],
+    benchmarkTicker = null,
+    benchmarkCandles = null,
+    benchmarkDividends = [],
+    benchmarkCosts = null,
+    benchmarkWithholding = null,
+    benchmarkCorporateActions = []
+  } = options;
+
+  const strategy = summarizeSimulation(strategySimulation, { riskFreeRate });
+  const capital = strategy.totalInvested;
+  const runOptions = { dividends, reinvestDividends, costs, withholding, corporateActions };
+
+  const lumpSum = summarizeSimulation(runLumpSum(candles, capital, runOptions), { riskFreeRate });
+  const dca = summarizeSimulation(runDollarCostAveraging(candles, capital, dcaFrequency, runOptions), { riskFreeRate });
+
+  let benchmark = null;
+  if (benchmarkCandles && benchmarkCandles.length > 0) {
+    const benchmarkRun = runLumpSum(benchmarkCandles, capital, {
+      dividends: benchmarkDividends,
+      reinvestDividends,
+      costs: benchmarkCosts,
+      withholding: benchmarkWithholding,
+      corporateActions: benchmarkCorporateActions
+    });
+    benchmark = { ticker: benchmarkTicker, ...summarizeSimulation(benchmarkRun, { riskFreeRate }) };
+  }
+
+  return {
+    capital,
+    dcaFrequency,
+    strategy,
+    lumpSum,
+    dca,
+    benchmark,
+    excessReturnPercent: {
+      vsLumpSum: strategy.totalReturnPercent - lumpSum.totalReturnPercent,
+      vsDca: strategy.totalReturnPercent - dca.totalReturnPercent,
+      vsBenchmark: benchmark ? strategy.totalReturnPercent - benchmark.totalReturnPercent : null
+    }
+  };
+}
+
+module.exports = {
+  DCA_FREQUENCIES,
+  calendarSignals,
+  summarizeSimulation,
+  runLumpSum,
+  runDollarCostAveraging,
+  compareWithBenchmarks
+};
\ No newline at end of file
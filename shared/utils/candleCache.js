@@ -0,0 +1,170 @@
+const moment = require('moment-timezone');
+const mongoose = require('mongoose');
+const _ = require('lodash');
+const Candle = require('../models/Candle');
+const CandleCoverage = require('../models/CandleCoverage');
+const { MAX_OUTPUT_SIZE, isIntradayTimeframe, sessionForTicker, barsPerSession, sessionRange, sessionDate, lastCompletedSessionDate } = require('./marketSessions');
+const { hasHolidayList, tradingDays, groupMissingRanges } = require('./tradingCalendars');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Candles are stored per ticker and timeframe - daily bars (longer timeframes are resampled
+// from them) and each intraday timeframe - in the Candle collection shared by the gateway,
+// the market data service and the backtesting service. CandleCoverage records which date
+// spans have been fetched, so a request only goes to the provider for sessions that are
+// neither stored nor inside a fetched span.
+
+function isCacheAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function formatDate(date) {
+  return moment(date).format(DATE_FORMAT);
+}
+
+function queryRange(ticker, timeframe, startDate, endDate) {
+  return isIntradayTimeframe(timeframe)
+    ? sessionRange(ticker, startDate, endDate)
+    : { start: new Date(startDate), end: new Date(endDate) };
+}
+
+// Daily candles are stored at UTC midnight; intraday bars belong to their exchange-local day
+function candleSessionDate(candle, ticker, timeframe) {
+  return isIntradayTimeframe(timeframe) ? sessionDate(candle.date, ticker) : moment.utc(candle.date).format(DATE_FORMAT);
+}
+
+function inRanges(ranges, date) {
+  return ranges.some(range => range.startDate <= date && date <= range.endDate);
+}
+
+// Merge spans that overlap or have no session between them (a weekend or holiday)
+function mergeRanges(exchange, ranges) {
+  return _.sortBy(ranges, 'startDate').reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    const sessionsBetween = last && range.startDate > last.endDate
+      ? tradingDays(exchange, moment(last.endDate).add(1, 'day'), moment(range.startDate).subtract(1, 'day')).length
+      : 0;
+    if (last && sessionsBetween === 0) {
+      last.endDate = _.max([last.endDate, range.endDate]);
+    } else {
+      merged.push({ startDate: range.startDate, endDate: range.endDate });
+    }
+    return merged;
+  }, []);
+}
+
+// Split a range into consecutive requests that each fit in one response (MAX_OUTPUT_SIZE
+// bars), e.g. ~5000 sessions of daily data or ~700 sessions of hourly bars
+function chunkRange(ticker, timeframe, range) {
+  const { exchange } = sessionForTicker(ticker);
+  const barsPerDay = isIntradayTimeframe(timeframe) ? barsPerSession(ticker, timeframe) : 1;
+  const chunks = _.chunk(tradingDays(exchange, range.startDate, range.endDate), Math.max(1, Math.floor(MAX_OUTPUT_SIZE / barsPerDay)));
+  if (chunks.length === 0) return [range];
+
+  return chunks.map((chunk, index) => ({
+    startDate: index === 0 ? range.startDate : chunk[0],
+    endDate: index === chunks.length - 1 ? range.endDate : moment(chunks[index + 1][0]).subtract(1, 'day').format(DATE_FORMAT)
+  }));
+}
+
+async function fetchRanges(ticker, timeframe, ranges, fetchRange) {
+  const candles = [];
+  for (const range of ranges) {
+    for (const chunk of chunkRange(ticker, timeframe, range)) {
+      console.log(`📡 Fetching ${ticker} ${timeframe} candles from ${chunk.startDate} to ${chunk.endDate}`);
+      candles.push(...await fetchRange(chunk.startDate, chunk.endDate));
+    }
+  }
+  return candles;
+}
+
+// Stored candles for the range and the session ranges still to fetch: sessions with no
+// candle outside the covered spans, plus any session that has not closed yet
+async function readCachedCandles(ticker, timeframe, startDate, endDate) {
+  ticker = ticker.toUpperCase();
+  startDate = formatDate(startDate);
+  endDate = formatDate(endDate);
+  const { exchange } = sessionForTicker(ticker);
+  const range = queryRange(ticker, timeframe, startDate, endDate);
+
+  const [candles, coverage] = await Promise.all([
+    Candle.find({ ticker, timeframe, date: { $gte: range.start, $lte: range.end } }).sort({ date: 1 }),
+    CandleCoverage.findOne({ ticker, timeframe })
+  ]);
+  const covered = coverage ? coverage.ranges.map(span => ({ startDate: span.startDate, endDate: span.endDate })) : [];
+
+  const lastClosed = lastCompletedSessionDate(ticker);
+  const cachedDates = new Set(candles.map(candle => candleSessionDate(candle, ticker, timeframe)));
+  const expectedDates = tradingDays(exchange, startDate, endDate);
+  const missingDates = expectedDates.filter(date => date > lastClosed || (!cachedDates.has(date) && !inRanges(covered, date)));
+
+  console.log(`📊 Data completeness: ${expectedDates.length - missingDates.length}/${expectedDates.length} ${exchange} sessions cached for ${ticker} ${timeframe}`);
+  for (let year = moment(startDate).year(); year <= moment(endDate).year(); year++) {
+    if (!hasHolidayList(exchange, year)) {
+      console.log(`⚠️  No ${exchange} holiday list for ${year}, only fixed-date holidays are skipped`);
+    }
+  }
+
+  return { candles, covered, missingRanges: groupMissingRanges(exchange, missingDates) };
+}
+
+async function storeCandles(ticker, timeframe, candles) {
+  if (candles.length === 0) return;
+
+  // Upsert so overlapping fetches never duplicate a bar
+  const result = await Candle.bulkWrite(candles.map(candle => ({
+    updateOne: {
+      filter: { ticker, date: candle.date, timeframe },
+      update: { $set: { ...candle, ticker, timeframe } },
+      upsert: true
+    }
+  })));
+  console.log(`💾 Stored ${candles.length} ${ticker} ${timeframe} candles (${result.upsertedCount} new, ${result.modifiedCount} updated)`);
+}
+
+async function recordCoverage(ticker, timeframe, covered, range) {
+  const { exchange } = sessionForTicker(ticker);
+  const ranges = mergeRanges(exchange, [...covered, range]);
+  await CandleCoverage.updateOne({ ticker, timeframe }, { $set: { ranges } }, { upsert: true });
+}
+
+// Candles for the range, fetching only the sessions the store is missing.
+// fetchRange(startDate, endDate) resolves to { date, open, high, low, close, volume } candles
+// for whole days (intraday: regular-session bars only) and throws when the provider fails,
+// so the range is not marked as fetched and is retried on the next request.
+// Without a database connection the whole range is fetched (in chunks) every time.
+async function getCachedCandles(ticker, timeframe, startDate, endDate, fetchRange) {
+  ticker = ticker.toUpperCase();
+  startDate = formatDate(startDate);
+  endDate = formatDate(endDate);
+
+  if (!isCacheAvailable()) {
+    const candles = await fetchRanges(ticker, timeframe, [{ startDate, endDate }], fetchRange);
+    return candles.map(candle => ({ ...candle, ticker, timeframe }));
+  }
+
+  const { candles, covered, missingRanges } = await readCachedCandles(ticker, timeframe, startDate, endDate);
+  if (missingRanges.length === 0) {
+    console.log(`✅ Using cached data (no missing sessions)`);
+    return candles;
+  }
+  console.log(`🕳️  Fetching ${missingRanges.length} missing range(s) for ${ticker} ${timeframe}:`, missingRanges);
+
+  await storeCandles(ticker, timeframe, await fetchRanges(ticker, timeframe, missingRanges, fetchRange));
+
+  // Every closed session in the range is now stored or known to have no bar
+  const coveredEnd = _.min([endDate, lastCompletedSessionDate(ticker)]);
+  if (startDate <= coveredEnd) {
+    await recordCoverage(ticker, timeframe, covered, { startDate, endDate: coveredEnd });
+  }
+
+  const range = queryRange(ticker, timeframe, startDate, endDate);
+  return Candle.find({ ticker, timeframe, date: { $gte: range.start, $lte: range.end } }).sort({ date: 1 });
+}
+
+module.exports = {
+  isCacheAvailable,
+  chunkRange,
+  readCachedCandles,
+  getCachedCandles
+};
\ No newline at end of file
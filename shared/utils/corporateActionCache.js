@@ -0,0 +1,124 @@
+const moment = require('moment');
+const _ = require('lodash');
+const CorporateAction = require('../models/CorporateAction');
+const CorporateActionCoverage = require('../models/CorporateActionCoverage');
+const { isCacheAvailable } = require('./candleCache');
+const { normalizeCorporateActions } = require('./corporateActions');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Corporate actions are stored per ticker in the CorporateAction collection shared by the
+// market data and backtesting services. CorporateActionCoverage records which date spans have
+// been fetched, so a request only goes to the provider for days never asked about - a span
+// with no stored action is known to have none.
+
+function formatDate(date) {
+  return moment(date).format(DATE_FORMAT);
+}
+
+// Merge spans that overlap or touch (actions can fall on any calendar day)
+function mergeRanges(ranges) {
+  return _.sortBy(ranges, 'startDate').reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.startDate <= moment(last.endDate).add(1, 'day').format(DATE_FORMAT)) {
+      last.endDate = _.max([last.endDate, range.endDate]);
+    } else {
+      merged.push({ startDate: range.startDate, endDate: range.endDate });
+    }
+    return merged;
+  }, []);
+}
+
+// Parts of startDate..endDate outside every covered span
+function uncoveredRanges(covered, startDate, endDate) {
+  const missing = [];
+  let cursor = startDate;
+  for (const span of mergeRanges(covered)) {
+    if (span.endDate < cursor) continue;
+    if (span.startDate > endDate) break;
+    if (span.startDate > cursor) {
+      missing.push({ startDate: cursor, endDate: moment(span.startDate).subtract(1, 'day').format(DATE_FORMAT) });
+    }
+    cursor = moment(span.endDate).add(1, 'day').format(DATE_FORMAT);
+  }
+  if (cursor <= endDate) {
+    missing.push({ startDate: cursor, endDate });
+  }
+  return missing;
+}
+
+function findStoredActions(ticker, startDate, endDate) {
+  return CorporateAction.find({
+    ticker,
+    date: { $gte: new Date(startDate), $lte: new Date(endDate) }
+  }).sort({ date: 1 });
+}
+
+// Stored actions for the range and the date ranges never fetched
+async function readCachedCorporateActions(ticker, startDate, endDate) {
+  ticker = ticker.toUpperCase();
+  startDate = formatDate(startDate);
+  endDate = formatDate(endDate);
+
+  const [stored, coverage] = await Promise.all([
+    findStoredActions(ticker, startDate, endDate),
+    CorporateActionCoverage.findOne({ ticker })
+  ]);
+  const covered = coverage ? coverage.ranges.map(span => ({ startDate: span.startDate, endDate: span.endDate })) : [];
+
+  return { actions: normalizeCorporateActions(stored), covered, missingRanges: uncoveredRanges(covered, startDate, endDate) };
+}
+
+async function storeCorporateActions(ticker, actions) {
+  if (actions.length === 0) return;
+
+  await CorporateAction.bulkWrite(actions.map(action => ({
+    updateOne: {
+      filter: { ticker, date: new Date(action.date), type: action.type },
+      update: { $set: { ...action, ticker, date: new Date(action.date) } },
+      upsert: true
+    }
+  })));
+  console.log(`💾 Stored ${actions.length} ${ticker} corporate actions`);
+}
+
+// Corporate actions for the range, fetching only the date ranges never fetched before.
+// fetchRange(startDate, endDate) resolves to provider actions ([] only when the provider has
+// no data, see isNoDataError) and throws on any other failure - network, rate limits, plan
+// restrictions - so the range is not marked as fetched and is retried on the next request.
+// Days after today are never marked, as actions are announced ahead of their ex-date.
+// Without a database connection the whole range is fetched every time.
+async function getCachedCorporateActions(ticker, startDate, endDate, fetchRange) {
+  ticker = ticker.toUpperCase();
+  startDate = formatDate(startDate);
+  endDate = formatDate(endDate);
+
+  if (!isCacheAvailable()) {
+    return normalizeCorporateActions(await fetchRange(startDate, endDate));
+  }
+
+  const { actions, covered, missingRanges } = await readCachedCorporateActions(ticker, startDate, endDate);
+  if (missingRanges.length === 0) {
+    console.log(`✅ Found ${actions.length} corporate actions in database for ${ticker}`);
+    return actions;
+  }
+
+  for (const range of missingRanges) {
+    console.log(`📡 Fetching ${ticker} corporate actions from ${range.startDate} to ${range.endDate}`);
+    await storeCorporateActions(ticker, normalizeCorporateActions(await fetchRange(range.startDate, range.endDate)));
+  }
+
+  const coveredEnd = _.min([endDate, formatDate(new Date())]);
+  if (startDate <= coveredEnd) {
+    const ranges = mergeRanges([...covered, { startDate, endDate: coveredEnd }]);
+    await CorporateActionCoverage.updateOne({ ticker }, { $set: { ranges } }, { upsert: true });
+  }
+
+  return normalizeCorporateActions(await findStoredActions(ticker, startDate, endDate));
+}
+
+module.exports = {
+  uncoveredRanges,
+  readCachedCorporateActions,
+  getCachedCorporateActions
+};
\ No newline at end of file
@@ -0,0 +1,161 @@
+const moment = require('moment-timezone');
+const _ = require('lodash');
+
+// Splits, reverse splits, bonus issues and spin-offs, and the price adjustment they imply.
+// Every action is { date, type, ratio, priceFactor, description } with an ex-date (YYYY-MM-DD):
+//   split / reverse_split / bonus  ratio = shares held after per share held before
+//                                  (2-for-1 split: 2, 1-for-10 reverse split: 0.1,
+//                                  NSE 1:1 bonus - one new share per share held: 2)
+//   spinoff                        priceFactor = share of the parent's value kept on the ex-date
+//                                  (0.8 when the spun-off shares were worth 20% of the close)
+// With priceAdjustment 'adjusted' (the default) candles and per-share dividends before each
+// action are rebased to the latest share count, so a split is not a crash in the chart.
+// With 'raw' prices are left as traded and the engine applies the actions to the shares held.
+
+const CORPORATE_ACTION_TYPES = ['split', 'reverse_split', 'bonus', 'spinoff'];
+const PRICE_ADJUSTMENTS = ['adjusted', 'raw'];
+const DEFAULT_PRICE_ADJUSTMENT = 'adjusted';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+function formatDate(date) {
+  return moment.utc(date).format(DATE_FORMAT);
+}
+
+function plain(doc) {
+  return typeof doc.toObject === 'function' ? doc.toObject() : doc;
+}
+
+// 'adjusted' or 'raw'; an error message for anything else
+function resolvePriceAdjustment(priceAdjustment) {
+  const mode = priceAdjustment === undefined || priceAdjustment === null ? DEFAULT_PRICE_ADJUSTMENT : String(priceAdjustment).toLowerCase();
+  if (!PRICE_ADJUSTMENTS.includes(mode)) {
+    return { error: `Unknown priceAdjustment: ${priceAdjustment}. Valid values: ${PRICE_ADJUSTMENTS.join(', ')}` };
+  }
+  return { mode };
+}
+
+// Split-type action for a { date, ratio, description } split row. Providers report bonus
+// issues as splits; the description tells them apart.
+function actionFromSplit(split) {
+  let type = split.ratio < 1 ? 'reverse_split' : 'split';
+  if (/bonus/i.test(split.description || '')) type = 'bonus';
+  return { date: split.date, type, ratio: split.ratio, priceFactor: null, description: split.description };
+}
+
+// Multiplier for share counts and for prices across the action
+function actionFactors(action) {
+  if (action.type === 'spinoff') {
+    return { shareFactor: 1, priceFactor: action.priceFactor };
+  }
+  return { shareFactor: action.ratio, priceFactor: 1 / action.ratio };
+}
+
+// Valid actions with YYYY-MM-DD dates, sorted by date. Rows that cannot be applied (no date,
+// a non-positive ratio, a spin-off factor outside 0-1) are dropped with a warning.
+function normalizeCorporateActions(actions) {
+  return _.sortBy((actions || []).map(plain).filter(action => {
+    const valid = Boolean(action.date) && CORPORATE_ACTION_TYPES.includes(action.type) && (action.type === 'spinoff'
+      ? action.priceFactor > 0 && action.priceFactor <= 1
+      : action.ratio > 0 && isFinite(action.ratio));
+    if (!valid) {
+      console.log(`⚠️ Skipping corporate action that cannot be applied:`, action);
+    }
+    return valid;
+  }).map(action => ({
+    date: formatDate(action.date),
+    type: action.type,
+    ratio: action.type === 'spinoff' ? null : action.ratio,
+    priceFactor: action.type === 'spinoff' ? action.priceFactor : null,
+    description: action.description || null
+  })), 'date');
+}
+
+// Combined factors of every action after a date - what a value on that date is multiplied by
+// to be on the latest share basis
+function cumulativeFactors(actions, date) {
+  const day = formatDate(date);
+  return actions
+    .filter(action => action.date > day)
+    .reduce((total, action) => {
+      const factors = actionFactors(action);
+      return { shareFactor: total.shareFactor * factors.shareFactor, priceFactor: total.priceFactor * factors.priceFactor };
+    }, { shareFactor: 1, priceFactor: 1 });
+}
+
+// OHLC multiplied by the price factor and volume divided by it, for candles before each action.
+// sharesOnly rebases by share count alone, leaving spin-off price drops in place (see adjustDividends).
+function adjustCandles(candles, actions, { sharesOnly = false } = {}) {
+  const normalized = normalizeCorporateActions(actions);
+  if (normalized.length === 0) return candles;
+
+  return candles.map(candle => {
+    const { shareFactor, priceFactor: adjustedFactor } = cumulativeFactors(normalized, candle.date);
+    const priceFactor = sharesOnly ? 1 / shareFactor : adjustedFactor;
+    if (priceFactor === 1) return candle;
+    const adjusted = plain(candle);
+    return {
+      ...adjusted,
+      open: adjusted.open * priceFactor,
+      high: adjusted.high * priceFactor,
+      low: adjusted.low * priceFactor,
+      close: adjusted.close * priceFactor,
+      volume: adjusted.volume !== undefined ? adjusted.volume / priceFactor : adjusted.volume
+    };
+  });
+}
+
+// Per-share dividend amounts on the latest basis, keeping the amount as paid in rawAmount.
+// sharesOnly rebases by share count alone (splits and bonus issues) - the basis of a
+// split-adjusted share count, where spin-offs leave the number of shares unchanged.
+function adjustDividends(dividends, actions, { sharesOnly = false } = {}) {
+  const normalized = normalizeCorporateActions(actions);
+  if (normalized.length === 0) return dividends;
+
+  return dividends.map(dividend => {
+    const { shareFactor, priceFactor } = cumulativeFactors(normalized, dividend.exDate);
+    const factor = sharesOnly ? 1 / shareFactor : priceFactor;
+    if (factor === 1) return dividend;
+    const adjusted = plain(dividend);
+    return { ...adjusted, amount: adjusted.amount * factor, rawAmount: adjusted.amount };
+  });
+}
+
+// Transaction quantities and prices on the latest share count; totals are unchanged. Works on
+// Transaction model fields (transactionDate) and the gateway's trade list (date).
+function adjustTransactions(transactions, actions) {
+  const normalized = normalizeCorporateActions(actions);
+  if (normalized.length === 0) return transactions;
+
+  return transactions.map(tx => {
+    const { shareFactor } = cumulativeFactors(normalized, tx.transactionDate || tx.date);
+    if (shareFactor === 1) return tx;
+    return { ...tx, quantity: tx.quantity * shareFactor, price: tx.price / shareFactor };
+  });
+}
+
+// Actions inside the candle range, each with the time it takes effect (the ex-date's first candle)
+function prepareCorporateActions(actions, candles) {
+  if (candles.length === 0) return [];
+  const firstTime = new Date(candles[0].date).getTime();
+  const lastTime = new Date(candles[candles.length - 1].date).getTime();
+
+  return normalizeCorporateActions(actions)
+    .map(action => ({ ...action, ...actionFactors(action), time: moment.utc(action.date).valueOf() }))
+    .filter(action => action.time > firstTime && action.time <= lastTime);
+}
+
+module.exports = {
+  CORPORATE_ACTION_TYPES,
+  PRICE_ADJUSTMENTS,
+  DEFAULT_PRICE_ADJUSTMENT,
+  resolvePriceAdjustment,
+  actionFromSplit,
+  actionFactors,
+  normalizeCorporateActions,
+  cumulativeFactors,
+  adjustCandles,
+  adjustDividends,
+  adjustTransactions,
+  prepareCorporateActions
+};
\ No newline at end of file
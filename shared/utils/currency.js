@@ -0,0 +1,255 @@
+const { exchangeFromTicker } = require('./tradingCosts');
+
+// Currency handling: listing currency per exchange, historical FX rates from daily FX candles
+// (stored like stock candles under tickers such as USD/CAD), and conversion of a whole
+// engine result into a reporting currency with each flow converted at its own date.
+
+const EXCHANGE_CURRENCIES = {
+  US: 'USD',
+  TSX: 'CAD',
+  NSE: 'INR',
+  BSE: 'INR'
+};
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  CAD: 'C$',
+  INR: '₹'
+};
+
+function currencyFromTicker(ticker) {
+  return EXCHANGE_CURRENCIES[exchangeFromTicker(ticker)];
+}
+
+function isValidCurrency(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code.toUpperCase());
+}
+
+// Amount with its currency symbol (or code) for logs
+function formatMoney(amount, currency = 'USD') {
+  const symbol = CURRENCY_SYMBOLS[currency];
+  const sign = amount < 0 ? '-' : '';
+  return symbol ? `${sign}${symbol}${Math.abs(amount).toFixed(2)}` : `${amount.toFixed(2)} ${currency}`;
+}
+
+// FX candle ticker quoting `to` per unit of `from`
+function fxPairTicker(from, to) {
+  return `${from}/${to}`;
+}
+
+// Turn TO/FROM candles into FROM/TO candles (when only the opposite pair is available)
+function invertFxCandles(candles) {
+  return candles.map(candle => ({
+    ...candle,
+    open: 1 / candle.open,
+    high: 1 / candle.low,
+    low: 1 / candle.high,
+    close: 1 / candle.close
+  }));
+}
+
+// Rate lookup by date: the last FX close on or before the date (the first close for
+// earlier dates). Same-currency conversion always returns 1.
+function createRateLookup(fxCandles) {
+  const points = (fxCandles || [])
+    .map(candle => ({ time: new Date(candle.date).getTime(), rate: candle.close }))
+    .filter(point => point.rate > 0)
+    .sort((a, b) => a.time - b.time);
+
+  if (points.length === 0) return null;
+
+  return date => {
+    const time = new Date(date).getTime();
+    let low = 0;
+    let high = points.length - 1;
+    if (time < points[0].time) return points[0].rate;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (points[mid].time <= time) low = mid; else high = mid - 1;
+    }
+    return points[low].rate;
+  };
+}
+
+const sameCurrency = () => 1;
+
+// Dividend amounts per share converted at each payment's own date (ex-date when unpaid)
+function convertDividends(dividends, rateOn) {
+  const rate = rateOn || sameCurrency;
+  return (dividends || []).map(dividend => ({
+    ...dividend,
+    amount: dividend.amount * rate(dividend.payDate || dividend.exDate)
+  }));
+}
+
+// Re-express an engine result (see backtestEngine.js) in the reporting currency.
+// The result keeps the engine's shape so reports and portfolio aggregation work unchanged;
+// trade statistics stay in listing-currency terms. fx.attribution splits the reporting
+// P&L into the local result at today's rate and the currency effect.
+function convertSimulation(simulation, rateOn, options = {}) {
+  const { from, to } = options;
+  const rate = rateOn || sameCurrency;
+  const { equityCurve } = simulation;
+  const startDate = equityCurve[0]?.date;
+  const endDate = equityCurve[equityCurve.length - 1]?.date;
+  const startRate = startDate ? rate(startDate) : 1;
+  const endRate = endDate ? rate(endDate) : 1;
+
+  const transactions = simulation.transactions.map(tx => {
+    const fx = rate(tx.transactionDate);
+    return { ...tx, price: tx.price * fx, fees: (tx.fees || 0) * fx, totalCost: tx.totalCost * fx, fxRate: fx };
+  });
+  const sumOf = type => transactions.filter(tx => tx.type === type).reduce((sum, tx) => sum + tx.totalCost, 0);
+
+  const trades = simulation.trades.map(trade => {
+    const entryRate = rate(trade.entryDate);
+    const cost = trade.cost * entryRate;
+    const value = trade.status === 'closed'
+      ? (trade.pnl + trade.cost) * rate(trade.exitDate)
+      : trade.quantity * simulation.lastPrice * endRate;
+    return {
+      ...trade,
+      entryPrice: trade.entryPrice * entryRate,
+      exitPrice: trade.status === 'closed' ? trade.exitPrice * rate(trade.exitDate) : trade.exitPrice,
+      cost,
+      pnl: value - cost,
+      returnPercent: cost > 0 ? ((value - cost) / cost) * 100 : 0
+    };
+  });
+  const openTrades = trades.filter(trade => trade.status !== 'closed');
+  const openCostBasis = openTrades.reduce((sum, trade) => sum + trade.cost, 0);
+
+  const lastTime = endDate ? new Date(endDate).getTime() : 0;
+  const dividendEvents = simulation.dividendEvents.map(event => {
+    const fx = rate(event.payDate);
+    return {
+      ...event,
+      amountPerShare: event.amountPerShare * fx,
+      grossIncome: event.grossIncome * fx,
+      withheldTax: event.withheldTax * fx,
+      income: event.income * fx,
+      fxRate: fx
+    };
+  });
+  const paidEvents = dividendEvents.filter(event => new Date(event.payDate).getTime() <= lastTime);
+  const dividendsReceived = paidEvents.reduce((sum, event) => sum + event.income, 0);
+  const corporateActionEvents = simulation.corporateActions.events.map(event => ({ ...event, cashReceived: event.cashReceived * rate(event.date) }));
+  const taxWithheld = paidEvents.reduce((sum, event) => sum + event.withheldTax, 0);
+
+  // Running invested amount in reporting currency for the equity curve's total return
+  let invested = simulation.portfolio ? simulation.portfolio.initialCapital * startRate : 0;
+  const convertedCurve = equityCurve.map(point => {
+    const fx = rate(point.date);
+    const contribution = point.contribution * fx;
+    if (!simulation.portfolio) invested += contribution;
+    const value = point.value * fx;
+    return {
+      ...point,
+      close: point.close * fx,
+      costBasis: point.costBasis * fx,
+      marketValue: point.marketValue * fx,
+      cumulativeDividends: point.cumulativeDividends * fx,
+      cash: point.cash * fx,
+      value,
+      contribution,
+      totalReturn: value - invested,
+      totalReturnPercent: invested > 0 ? ((value - invested) / invested) * 100 : 0,
+      fxRate: fx
+    };
+  });
+
+  let portfolio = null;
+  if (simulation.portfolio) {
+    const initialCapital = simulation.portfolio.initialCapital * startRate;
+    const finalEquity = simulation.portfolio.finalEquity * endRate;
+    portfolio = {
+      ...simulation.portfolio,
+      initialCapital,
+      finalCash: simulation.portfolio.finalCash * endRate,
+      finalMarketValue: simulation.portfolio.finalMarketValue * endRate,
+      finalEquity,
+      returnOnCapital: ((finalEquity - initialCapital) / initialCapital) * 100,
+      interestEarned: simulation.portfolio.interestEarned * endRate,
+      dividendsReceived,
+      pendingDividends: simulation.portfolio.pendingDividends * endRate
+    };
+  }
+
+  // Fees converted per fill; the commission / charges / slippage split keeps the local proportions
+  const localFees = simulation.costs.totalFees;
+  const convertedFees = transactions.reduce((sum, tx) => sum + tx.fees, 0);
+  const feeRate = localFees > 0 ? convertedFees / localFees : endRate;
+
+  const realizedPnL = trades.filter(trade => trade.status === 'closed').reduce((sum, trade) => sum + trade.pnl, 0);
+  const unrealizedPnL = openTrades.reduce((sum, trade) => sum + trade.pnl, 0);
+
+  // Total result in both currencies, dividends included
+  const localResult = simulation.portfolio
+    ? simulation.portfolio.finalEquity - simulation.portfolio.initialCapital
+    : simulation.realizedPnL + simulation.unrealizedPnL + simulation.drip.dividendsReceived;
+  const reportingResult = portfolio
+    ? portfolio.finalEquity - portfolio.initialCapital
+    : realizedPnL + unrealizedPnL + dividendsReceived;
+
+  return {
+    ...simulation,
+    transactions,
+    trades,
+    dividendEvents,
+    corporateActions: {
+      events: corporateActionEvents,
+      cashReceived: corporateActionEvents.reduce((sum, event) => sum + event.cashReceived, 0)
+    },
+    drip: {
+      ...simulation.drip,
+      dividendsReceived,
+      dividendsReinvested: sumOf('DRIP')
+    },
+    totalInvestment: sumOf('BUY'),
+    totalProceeds: sumOf('SELL'),
+    openCostBasis,
+    averageCost: simulation.totalShares > 0 ? openCostBasis / simulation.totalShares : 0,
+    lastPrice: simulation.lastPrice * endRate,
+    realizedPnL,
+    unrealizedPnL,
+    portfolio,
+    costs: {
+      ...simulation.costs,
+      commission: simulation.costs.commission * feeRate,
+      charges: simulation.costs.charges * feeRate,
+      slippage: simulation.costs.slippage * feeRate,
+      totalFees: convertedFees
+    },
+    withholding: {
+      ...simulation.withholding,
+      grossDividends: dividendsReceived + taxWithheld,
+      taxWithheld
+    },
+    equityCurve: convertedCurve,
+    fx: {
+      from,
+      to,
+      startRate,
+      endRate,
+      rateChangePercent: startRate > 0 ? ((endRate - startRate) / startRate) * 100 : 0,
+      attribution: {
+        localResult,
+        localResultAtEndRate: localResult * endRate,
+        currencyEffect: reportingResult - localResult * endRate,
+        reportingResult
+      }
+    }
+  };
+}
+
+module.exports = {
+  EXCHANGE_CURRENCIES,
+  currencyFromTicker,
+  isValidCurrency,
+  formatMoney,
+  fxPairTicker,
+  invertFxCandles,
+  createRateLookup,
+  convertDividends,
+  convertSimulation
+};
\ No newline at end of file
@@ -0,0 +1,253 @@
+const moment = require('moment-timezone');
+const { formatMoney } = require('./currency');
+const { applyWithholding } = require('./withholdingTax');
+
+// Dividend entitlements and per-share dividend metrics for a list of trades, shared by the
+// backtester and portfolio tracking. Trades are { date, action: BUY|SELL|DRIP, quantity },
+// dividends { exDate, payDate, amount } per share.
+
+// Helper function to get payments per year based on frequency
+function getPaymentsPerYear(frequency) {
+  switch (frequency) {
+    case 'monthly': return 12;
+    case 'quarterly': return 4;
+    case 'semi-annual': return 2;
+    case 'annual': return 1;
+    case 'irregular': return 4; // Default to quarterly for calculations
+    default: return 4;
+  }
+}
+
+// Calculate comprehensive stock metrics (for both dividend and non-dividend stocks)
+function calculateStockMetrics(backtestResults, dividendCheck, currentPrice, totalShares, totalInvestment, currency = 'USD') {
+  console.log(`📊 Calculating comprehensive stock metrics...`);
+  
+  const averageCost = backtestResults.averageCost;
+  
+  // Basic metrics (always available)
+  const basicMetrics = {
+    currentPrice: parseFloat(currentPrice.toFixed(2)),
+    averageBuyPrice: parseFloat(averageCost.toFixed(2)),
+    totalShares: totalShares,
+    totalInvestment: parseFloat(totalInvestment.toFixed(2)),
+    currentValue: parseFloat((totalShares * currentPrice).toFixed(2))
+  };
+  
+  // Dividend-specific metrics (only if stock pays dividends)
+  let dividendMetrics = {
+    dividendPerShare: 0,
+    lastDividendYield: 0,
+    ttmDividendYield: 0,
+    yieldOnCost: 0,
+    annualDividendPerShare: 0
+  };
+  
+  if (dividendCheck.hasDividends && dividendCheck.dividends && dividendCheck.dividends.length > 0) {
+    const dividends = dividendCheck.dividends;
+    
+    // Calculate dividend per share (most recent dividend amount)
+    const mostRecentDividend = dividends[dividends.length - 1];
+    const dividendPerShare = mostRecentDividend ? mostRecentDividend.amount : 0;
+    
+    // Calculate annual dividend per share based on frequency
+    const paymentsPerYear = getPaymentsPerYear(dividendCheck.frequency);
+    const annualDividendPerShare = dividendPerShare * paymentsPerYear;
+    
+    // Calculate Last Dividend Yield (annualized based on most recent dividend and frequency)
+    const lastDividendYield = currentPrice > 0 ? (annualDividendPerShare / currentPrice) * 100 : 0;
+    
+    // Calculate TTM (Trailing Twelve Months) Dividend Yield
+    const oneYearAgo = moment().subtract(12, 'months');
+    const ttmDividends = dividends.filter(d => moment(d.exDate).isAfter(oneYearAgo));
+    const ttmTotal = ttmDividends.reduce((sum, d) => sum + d.amount, 0);
+    const ttmDividendYield = currentPrice > 0 ? (ttmTotal / currentPrice) * 100 : 0;
+    
+    // Calculate Yield on Cost using your formula: (dividend * 12 months) / Average cost
+    // This uses the most recent dividend amount annualized
+    const yieldOnCost = averageCost > 0 ? (annualDividendPerShare / averageCost) * 100 : 0;
+    
+    dividendMetrics = {
+      dividendPerShare: parseFloat(dividendPerShare.toFixed(4)),
+      lastDividendYield: parseFloat(lastDividendYield.toFixed(2)),
+      ttmDividendYield: parseFloat(ttmDividendYield.toFixed(2)),
+      yieldOnCost: parseFloat(yieldOnCost.toFixed(2)),
+      annualDividendPerShare: parseFloat(annualDividendPerShare.toFixed(4))
+    };
+    
+    console.log(`💎 Dividend Metrics Calculated:`);
+    console.log(`   Most Recent Dividend per Share: ${dividendPerShare.toFixed(4)} ${currency}`);
+    console.log(`   Annual Dividend per Share: ${annualDividendPerShare.toFixed(4)} ${currency} (${paymentsPerYear}x per year)`);
+    console.log(`   Current Price: ${formatMoney(currentPrice, currency)}`);
+    console.log(`   Average Cost: ${formatMoney(averageCost, currency)}`);
+    console.log(`   Last Dividend Yield: ${lastDividendYield.toFixed(2)}%`);
+    console.log(`   TTM Dividend Yield: ${ttmDividendYield.toFixed(2)}% (${ttmDividends.length} payments)`);
+    console.log(`   Yield on Cost: ${yieldOnCost.toFixed(2)}%`);
+  } else {
+    console.log(`📊 No dividends available - dividend metrics set to 0`);
+  }
+  
+  return {
+    ...basicMetrics,
+    ...dividendMetrics
+  };
+}
+
+// Generate dividend schedule for assets that pay dividends
+function generateDividendSchedule(startDate, endDate, frequency, dividends) {
+  if (!dividends || dividends.length === 0) {
+    return [];
+  }
+
+  const schedule = [];
+  const start = moment(startDate);
+  const end = moment(endDate);
+  
+  console.log(`📅 Generating dividend schedule from ${startDate} to ${endDate} for ${frequency} frequency`);
+  
+  // Use actual dividend data to create schedule
+  const filteredDividends = dividends.filter(d => {
+    const exDate = moment(d.exDate);
+    return exDate.isSameOrAfter(start) && exDate.isSameOrBefore(end);
+  });
+  
+  filteredDividends.forEach(dividend => {
+    schedule.push({
+      exDate: dividend.exDate,
+      payDate: dividend.payDate,
+      amountPerShare: dividend.amount,
+      year: moment(dividend.exDate).year(),
+      period: frequency === 'monthly' ? moment(dividend.exDate).month() + 1 : moment(dividend.exDate).quarter()
+    });
+  });
+  
+  console.log(`📊 Generated ${schedule.length} dividend periods for ${frequency} frequency`);
+  return schedule.sort((a, b) => new Date(a.exDate) - new Date(b.exDate));
+}
+
+function calculateSharesOwnedOnDate(transactions, targetDate) {
+  let sharesOwned = 0;
+  const target = new Date(targetDate);
+  
+  for (const transaction of transactions) {
+    const transactionDate = new Date(transaction.date);
+    
+    // Only count transactions that occurred before or on the ex-date
+    if (transactionDate <= target) {
+      if (transaction.action === 'BUY' || transaction.action === 'DRIP') {
+        sharesOwned += transaction.quantity;
+      } else if (transaction.action === 'SELL') {
+        sharesOwned -= transaction.quantity;
+      }
+    }
+  }
+  
+  return sharesOwned;
+}
+
+// Calculate dividend income for assets that pay dividends.
+// totalIncome is net of any withholding tax (see withholdingTax.js); gross and withheld are kept alongside.
+function calculateDividendIncome(transactions, dividends, startDate, endDate, withholding = null) {
+  if (!dividends || dividends.length === 0) {
+    console.log('📊 No dividends to calculate');
+    return {
+      totalDividendIncome: 0,
+      totalGrossDividendIncome: 0,
+      totalWithheldTax: 0,
+      dividendDetails: [],
+      totalDividendPeriods: 0,
+      periodsWithIncome: 0
+    };
+  }
+
+  console.log(`💰 Calculating dividend income from ${dividends.length} dividend payments...`);
+  
+  // Sort transactions by date
+  const sortedTransactions = transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  // Generate dividend schedule for the period
+  const dividendSchedule = generateDividendSchedule(startDate, endDate, 'quarterly', dividends);
+  
+  let totalDividendIncome = 0;
+  let totalGrossDividendIncome = 0;
+  let totalWithheldTax = 0;
+  const dividendDetails = [];
+  
+  for (const dividend of dividendSchedule) {
+    // Calculate how many shares were owned on this ex-date
+    const sharesOwnedOnExDate = calculateSharesOwnedOnDate(sortedTransactions, dividend.exDate);
+    const { grossIncome, withheldTax, netIncome: dividendIncome } = applyWithholding(sharesOwnedOnExDate * dividend.amountPerShare, withholding);
+    
+    totalDividendIncome += dividendIncome;
+    totalGrossDividendIncome += grossIncome;
+    totalWithheldTax += withheldTax;
+    
+    const status = sharesOwnedOnExDate > 0 ? 
+      (moment().isAfter(moment(dividend.exDate)) ? 'paid' : 'upcoming') : 
+      'not_eligible';
+    
+    dividendDetails.push({
+      exDate: dividend.exDate,
+      payDate: dividend.payDate,
+      amountPerShare: dividend.amountPerShare,
+      sharesOwned: sharesOwnedOnExDate,
+      grossIncome: grossIncome,
+      withheldTax: withheldTax,
+      totalIncome: dividendIncome,
+      year: dividend.year,
+      period: dividend.period,
+      status: status
+    });
+    
+    const statusEmoji = status === 'paid' ? '✅' : status === 'upcoming' ? '🔄' : '❌';
+    const withheldLabel = withheldTax > 0 ? ` - ${withheldTax.toFixed(2)} withheld` : '';
+    console.log(`   ${statusEmoji} ${dividend.exDate}: ${sharesOwnedOnExDate} shares × ${dividend.amountPerShare} = ${grossIncome.toFixed(2)}${withheldLabel} (${status})`);
+  }
+  
+  console.log(`   💎 Total dividend income received: ${totalDividendIncome.toFixed(2)}${totalWithheldTax > 0 ? ` net (${totalGrossDividendIncome.toFixed(2)} gross)` : ''}`);
+  
+  return {
+    totalDividendIncome,
+    totalGrossDividendIncome,
+    totalWithheldTax,
+    dividendDetails,
+    totalDividendPeriods: dividendSchedule.length,
+    periodsWithIncome: dividendDetails.filter(d => d.totalIncome > 0).length
+  };
+}
+
+// The same summary as calculateDividendIncome, from a backtest engine's dividendEvents. The engine
+// fixes each entitlement by the shares held before the ex-date candle and counts DRIP shares, so
+// a backtest's totals come from here rather than from its transaction list.
+function summarizeDividendEvents(dividendEvents) {
+  const dividendDetails = dividendEvents.map(event => ({
+    exDate: moment(event.exDate).format('YYYY-MM-DD'),
+    payDate: event.payDate ? moment(event.payDate).format('YYYY-MM-DD') : null,
+    amountPerShare: event.amountPerShare,
+    sharesOwned: event.sharesEntitled,
+    grossIncome: event.grossIncome,
+    withheldTax: event.withheldTax,
+    totalIncome: event.income,
+    year: moment(event.exDate).year(),
+    status: event.sharesEntitled > 0
+      ? (moment().isAfter(moment(event.payDate || event.exDate)) ? 'paid' : 'upcoming')
+      : 'not_eligible'
+  }));
+
+  return {
+    totalDividendIncome: dividendDetails.reduce((sum, d) => sum + d.totalIncome, 0),
+    totalGrossDividendIncome: dividendDetails.reduce((sum, d) => sum + d.grossIncome, 0),
+    totalWithheldTax: dividendDetails.reduce((sum, d) => sum + d.withheldTax, 0),
+    dividendDetails,
+    totalDividendPeriods: dividendDetails.length,
+    periodsWithIncome: dividendDetails.filter(d => d.totalIncome > 0).length
+  };
+}
+
+module.exports = {
+  getPaymentsPerYear,
+  calculateStockMetrics,
+  generateDividendSchedule,
+  calculateSharesOwnedOnDate,
+  calculateDividendIncome,
+  summarizeDividendEvents
+};
\ No newline at end of file
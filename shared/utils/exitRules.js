@@ -0,0 +1,73 @@
+// Exit rules applied to every open trade (one trade per buy) by the backtest engine
+
+const EXIT_RULE_KEYS = [
+  'takeProfitPercent',
+  'stopLossPercent',
+  'trailingStopPercent',
+  'maxHoldingPeriods'
+];
+
+// Normalize user-supplied exit rules, dropping anything that is not a positive number
+function resolveExitRules(rules = {}) {
+  const resolved = {};
+
+  EXIT_RULE_KEYS.forEach(key => {
+    const value = parseFloat(rules[key]);
+    if (!isNaN(value) && value > 0) {
+      resolved[key] = value;
+    }
+  });
+
+  if (rules.sellOnGreenCandle === true || rules.sellOnGreenCandle === 'true') {
+    resolved.sellOnGreenCandle = true;
+  }
+
+  return resolved;
+}
+
+function hasExitRules(rules) {
+  return Object.keys(rules || {}).length > 0;
+}
+
+// Decide whether an open trade exits on this candle.
+// Intrabar stops are checked before targets (conservative when both are touched),
+// and gaps through a level fill at the open rather than the level itself.
+function checkExit(trade, candle, index, rules) {
+  if (rules.stopLossPercent) {
+    const stopPrice = trade.entryPrice * (1 - rules.stopLossPercent / 100);
+    if (candle.low <= stopPrice) {
+      return { price: Math.min(candle.open, stopPrice), reason: 'stop_loss' };
+    }
+  }
+
+  if (rules.trailingStopPercent) {
+    const stopPrice = trade.peakPrice * (1 - rules.trailingStopPercent / 100);
+    if (candle.low <= stopPrice) {
+      return { price: Math.min(candle.open, stopPrice), reason: 'trailing_stop' };
+    }
+  }
+
+  if (rules.takeProfitPercent) {
+    const targetPrice = trade.entryPrice * (1 + rules.takeProfitPercent / 100);
+    if (candle.high >= targetPrice) {
+      return { price: Math.max(candle.open, targetPrice), reason: 'take_profit' };
+    }
+  }
+
+  if (rules.sellOnGreenCandle && candle.close > candle.open) {
+    return { price: candle.close, reason: 'green_candle' };
+  }
+
+  if (rules.maxHoldingPeriods && index - trade.entryIndex >= rules.maxHoldingPeriods) {
+    return { price: candle.close, reason: 'max_holding_period' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  EXIT_RULE_KEYS,
+  resolveExitRules,
+  hasExitRules,
+  checkExit
+};
\ No newline at end of file
@@ -1,2 +1,27 @@
-// Placeholder for shared utils if needed (empty for now)
-module.exports = {};
\ No newline at end of file
+// Shared utilities used across services
+module.exports = {
+  ...require('./indicators'),
+  ...require('./strategies'),
+  ...require('./exitRules'),
+  ...require('./positionSizing'),
+  ...require('./performanceMetrics'),
+  ...require('./backtestEngine'),
+  ...require('./benchmarks'),
+  ...require('./portfolioBacktest'),
+  ...require('./resampleUtils'),
+  ...require('./parameterSweep'),
+  ...require('./rollingWindows'),
+  ...require('./monteCarlo'),
+  ...require('./tradingCosts'),
+  ...require('./currency'),
+  ...require('./withholdingTax'),
+  ...require('./taxLots'),
+  ...require('./marketSessions'),
+  ...require('./tradingCalendars'),
+  ...require('./candleCache'),
+  ...require('./corporateActionCache'),
+  ...require('./corporateActions'),
+  ...require('./backtestRuns'),
+  ...require('./dividendIncome'),
+  ...require('./portfolioTracking')
+};
\ No newline at end of file
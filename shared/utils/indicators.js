@@ -0,0 +1,72 @@
+// Technical indicators shared by the strategy engine
+// Every function returns an array aligned with the input candles (null until enough data)
+
+function simpleMovingAverage(candles, period, field = 'close') {
+  const values = new Array(candles.length).fill(null);
+  let windowSum = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    windowSum += candles[i][field];
+    if (i >= period) {
+      windowSum -= candles[i - period][field];
+    }
+    if (i >= period - 1) {
+      values[i] = windowSum / period;
+    }
+  }
+
+  return values;
+}
+
+// Relative Strength Index using Wilder's smoothing
+function relativeStrengthIndex(candles, period = 14) {
+  const values = new Array(candles.length).fill(null);
+  if (candles.length <= period) {
+    return values;
+  }
+
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = candles[i].close - candles[i - 1].close;
+    avgGain += Math.max(change, 0);
+    avgLoss += Math.max(-change, 0);
+  }
+  avgGain /= period;
+  avgLoss /= period;
+  values[period] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+
+  for (let i = period + 1; i < candles.length; i++) {
+    const change = candles[i].close - candles[i - 1].close;
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    values[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+  }
+
+  return values;
+}
+
+// Average high-low range over the last N candles (a simple volatility measure)
+function averageRange(candles, period = 14) {
+  const values = new Array(candles.length).fill(null);
+  let windowSum = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    windowSum += candles[i].high - candles[i].low;
+    if (i >= period) {
+      windowSum -= candles[i - period].high - candles[i - period].low;
+    }
+    if (i >= period - 1) {
+      values[i] = windowSum / period;
+    }
+  }
+
+  return values;
+}
+
+module.exports = {
+  simpleMovingAverage,
+  relativeStrengthIndex,
+  averageRange
+};
\ No newline at end of file
@@ -0,0 +1,150 @@
+const moment = require('moment-timezone');
+const { exchangeFromTicker } = require('./tradingCosts');
+const { sessionOn } = require('./tradingCalendars');
+
+// Regular trading hours in exchange-local time. Intraday bars outside the session
+// (pre/post-market prints) are dropped; holidays, early closes and special sessions
+// come from the exchange calendar.
+const EXCHANGE_SESSIONS = {
+  US: { timezone: 'America/New_York', open: '09:30', close: '16:00' },
+  TSX: { timezone: 'America/Toronto', open: '09:30', close: '16:00' },
+  NSE: { timezone: 'Asia/Kolkata', open: '09:15', close: '15:30' },
+  BSE: { timezone: 'Asia/Kolkata', open: '09:15', close: '15:30' }
+};
+
+// Intraday timeframes with their Twelve Data interval and bar length
+const INTRADAY_TIMEFRAMES = {
+  '1h': { interval: '1h', minutes: 60, label: 'hourly' },
+  '15m': { interval: '15min', minutes: 15, label: '15-minute' },
+  '5m': { interval: '5min', minutes: 5, label: '5-minute' }
+};
+
+// Twelve Data returns at most this many rows per time_series call
+const MAX_OUTPUT_SIZE = 5000;
+const MAX_PAGES = 100;
+
+function isIntradayTimeframe(timeframe) {
+  return Object.prototype.hasOwnProperty.call(INTRADAY_TIMEFRAMES, timeframe);
+}
+
+function sessionForTicker(ticker) {
+  const exchange = exchangeFromTicker(ticker);
+  return { exchange, ...EXCHANGE_SESSIONS[exchange] };
+}
+
+function minuteOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function sessionMinutes(session) {
+  return minuteOfDay(session.close) - minuteOfDay(session.open);
+}
+
+// Hours of the session on a date (YYYY-MM-DD), or null when the exchange is closed
+function sessionHours(session, date) {
+  const day = sessionOn(date, session.exchange);
+  return day ? { ...day, open: day.open || session.open, close: day.close || session.close } : null;
+}
+
+// Bars in one session, e.g. 7 hourly bars for 09:30-16:00 (the last one is 30 minutes).
+// With a date the day's own hours are used (0 on holidays, fewer on early closes).
+function barsPerSession(ticker, timeframe, date = null) {
+  const { minutes } = INTRADAY_TIMEFRAMES[timeframe];
+  const session = sessionForTicker(ticker);
+  const hours = date ? sessionHours(session, date) : session;
+  return hours ? Math.ceil(sessionMinutes(hours) / minutes) : 0;
+}
+
+// Twelve Data intraday datetimes ('2024-03-01 09:30:00') are in exchange-local time
+function parseExchangeDatetime(datetime, timezone) {
+  return moment.tz(datetime, 'YYYY-MM-DD HH:mm:ss', timezone).toDate();
+}
+
+// A bar belongs to the session when it opens on a trading day between that day's open and close
+function isInSession(date, session) {
+  const local = moment.tz(date, session.timezone);
+  const hours = sessionHours(session, local.format('YYYY-MM-DD'));
+  const minute = local.hours() * 60 + local.minutes();
+  return Boolean(hours) && minute >= minuteOfDay(hours.open) && minute < minuteOfDay(hours.close);
+}
+
+// Open of the first session starting at or after date, as an exchange-local moment
+function nextSessionOpen(date, session) {
+  const local = moment.tz(date, session.timezone);
+  const day = local.clone().startOf('day');
+  for (;;) {
+    const hours = sessionHours(session, day.format('YYYY-MM-DD'));
+    if (hours) {
+      const [hour, minute] = hours.open.split(':').map(Number);
+      const open = day.clone().set({ hour, minute, second: 0, millisecond: 0 });
+      if (!open.isBefore(local)) return open;
+    }
+    day.add(1, 'day');
+  }
+}
+
+// Latest exchange-local date whose session has closed - today's bar is still forming
+// until the close, so completeness checks stop at the day before
+function lastCompletedSessionDate(ticker, now = new Date()) {
+  const session = sessionForTicker(ticker);
+  const local = moment.tz(now, session.timezone);
+  const hours = sessionHours(session, local.format('YYYY-MM-DD'));
+  const closed = !hours || local.hours() * 60 + local.minutes() >= minuteOfDay(hours.close);
+  return (closed ? local : local.clone().subtract(1, 'day')).format('YYYY-MM-DD');
+}
+
+function filterToSession(candles, ticker) {
+  const session = sessionForTicker(ticker);
+  return candles.filter(candle => isInSession(candle.date, session));
+}
+
+// Whole exchange-local days for a YYYY-MM-DD range, so the end date's bars are included
+function sessionRange(ticker, startDate, endDate) {
+  const { timezone } = sessionForTicker(ticker);
+  return {
+    start: moment.tz(moment(startDate).format('YYYY-MM-DD'), timezone).startOf('day').toDate(),
+    end: moment.tz(moment(endDate).format('YYYY-MM-DD'), timezone).endOf('day').toDate()
+  };
+}
+
+// Exchange-local calendar date of a bar (what dividends and daily data line up with)
+function sessionDate(date, ticker) {
+  return moment.tz(date, sessionForTicker(ticker).timezone).format('YYYY-MM-DD');
+}
+
+// fetchPage(startDate, endDate) resolves to Twelve Data rows, newest first. Ranges longer
+// than one response (a year of 5-minute bars is ~20k rows) are paged backwards by moving
+// the end date to the oldest row received until a short page comes back.
+async function fetchAllPages(fetchPage, startDate, endDate) {
+  const rows = new Map();
+  let pageEnd = endDate;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const values = await fetchPage(startDate, pageEnd);
+    const before = rows.size;
+    values.forEach(value => rows.set(value.datetime, value));
+    if (values.length < MAX_OUTPUT_SIZE || rows.size === before) break;
+    pageEnd = values.reduce((oldest, value) => (value.datetime < oldest ? value.datetime : oldest), values[0].datetime);
+  }
+
+  return [...rows.values()].sort((a, b) => (a.datetime < b.datetime ? -1 : a.datetime > b.datetime ? 1 : 0));
+}
+
+module.exports = {
+  EXCHANGE_SESSIONS,
+  INTRADAY_TIMEFRAMES,
+  MAX_OUTPUT_SIZE,
+  isIntradayTimeframe,
+  sessionForTicker,
+  sessionHours,
+  barsPerSession,
+  parseExchangeDatetime,
+  isInSession,
+  nextSessionOpen,
+  lastCompletedSessionDate,
+  filterToSession,
+  sessionRange,
+  sessionDate,
+  fetchAllPages
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+const { simulateStrategy } = require('./backtestEngine');
+const { calculatePerformanceMetrics } = require('./performanceMetrics');
+const { resampleCandles } = require('./resampleUtils');
+const { describeDistribution, percentile } = require('./rollingWindows');
+
+// Monte Carlo robustness check: synthetic price paths are built by resampling the
+// historical daily bars, the strategy runs on each path, and the spread of outcomes
+// gives confidence intervals. Every run is reproducible from its seed.
+
+const MONTE_CARLO_METHODS = ['bootstrap', 'block'];
+const DEFAULT_SIMULATIONS = 500;
+const MAX_SIMULATIONS = 2000;
+// Each path is a full backtest that runs on the request thread, so the work per request is
+// bounded by paths x daily candles (about 100 paths of ten years of daily candles)
+const MAX_SIMULATED_CANDLES = 250000;
+const DEFAULT_BLOCK_SIZE = 20;
+
+// Most paths a request may run over candleCount daily candles
+function simulationLimit(candleCount) {
+  return Math.max(1, Math.min(MAX_SIMULATIONS, Math.floor(MAX_SIMULATED_CANDLES / Math.max(1, candleCount))));
+}
+
+// Small seedable PRNG (mulberry32) returning floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Each day as ratios to the previous close, so a resampled day keeps its gap,
+// intrabar range and candle colour wherever it lands
+function dailyBars(candles) {
+  const bars = [];
+  for (let i = 1; i < candles.length; i++) {
+    const previousClose = candles[i - 1].close;
+    bars.push({
+      open: candles[i].open / previousClose,
+      high: candles[i].high / previousClose,
+      low: candles[i].low / previousClose,
+      close: candles[i].close / previousClose,
+      volume: candles[i].volume || 0
+    });
+  }
+  return bars;
+}
+
+// Pick bar indexes: single days (bootstrap) or runs of blockSize consecutive days (block),
+// wrapping around the end so every day is equally likely to be drawn
+function sampleBarIndexes(barCount, random, method, blockSize) {
+  const length = method === 'block' ? Math.max(1, Math.min(blockSize, barCount)) : 1;
+  const indexes = [];
+  while (indexes.length < barCount) {
+    const start = Math.floor(random() * barCount);
+    for (let offset = 0; offset < length && indexes.length < barCount; offset++) {
+      indexes.push((start + offset) % barCount);
+    }
+  }
+  return indexes;
+}
+
+// Synthetic daily candles on the historical dates, starting from the first real candle
+function buildSyntheticPath(candles, bars, indexes) {
+  const path = [{ ...candles[0] }];
+  let previousClose = candles[0].close;
+
+  indexes.forEach((barIndex, i) => {
+    const bar = bars[barIndex];
+    const candle = {
+      ticker: candles[i + 1].ticker,
+      date: candles[i + 1].date,
+      open: previousClose * bar.open,
+      high: previousClose * bar.high,
+      low: previousClose * bar.low,
+      close: previousClose * bar.close,
+      volume: bar.volume
+    };
+    path.push(candle);
+    previousClose = candle.close;
+  });
+
+  return path;
+}
+
+// Keep each dividend's historical yield: scale the amount by synthetic / actual close at the ex-date
+function scaleDividends(dividends, candles, path) {
+  const times = candles.map(candle => new Date(candle.date).getTime());
+  return dividends.map(div => {
+    const exTime = new Date(div.exDate).getTime();
+    let index = -1;
+    while (index + 1 < times.length && times[index + 1] <= exTime) index++;
+    if (index < 0) return div;
+    return { exDate: div.exDate, payDate: div.payDate, amount: div.amount * (path[index].close / candles[index].close) };
+  });
+}
+
+function outcome(simulation, riskFreeRate) {
+  const pnL = simulation.realizedPnL + simulation.unrealizedPnL;
+  const dividendsReceived = simulation.dividendEvents.reduce((sum, event) => sum + event.income, 0);
+  const invested = simulation.totalInvestment;
+  return {
+    pnL,
+    pnLPercent: invested > 0 ? (pnL / invested) * 100 : 0,
+    dividendsReceived,
+    pnLWithDividend: pnL + dividendsReceived,
+    pnLWithDividendPercent: invested > 0 ? ((pnL + dividendsReceived) / invested) * 100 : 0,
+    totalInvestment: invested,
+    maxDrawdownPercent: calculatePerformanceMetrics(simulation.equityCurve, { riskFreeRate }).maxDrawdownPercent
+  };
+}
+
+// dailyCandles: the historical daily series; options: engine options plus
+// { simulations, method, blockSize, seed, timeframe, resampling, riskFreeRate, confidenceLevel }
+function runMonteCarlo(dailyCandles, options = {}) {
+  const {
+    simulations = DEFAULT_SIMULATIONS,
+    method = 'bootstrap',
+    blockSize = DEFAULT_BLOCK_SIZE,
+    seed = Date.now() % 4294967296,
+    timeframe = '1D',
+    resampling = null,
+    riskFreeRate = 0,
+    confidenceLevel = 90,
+    dividends = [],
+    ...engineOptions
+  } = options;
+
+  const toTimeframe = candles => (timeframe === '1D' ? candles : resampleCandles(candles, timeframe, { ...resampling, silent: true }));
+  const random = createRandom(seed);
+  const bars = dailyBars(dailyCandles);
+
+  const historical = outcome(simulateStrategy(toTimeframe(dailyCandles), { ...engineOptions, dividends }), riskFreeRate);
+
+  const outcomes = [];
+  for (let run = 0; run < simulations; run++) {
+    const path = buildSyntheticPath(dailyCandles, bars, sampleBarIndexes(bars.length, random, method, blockSize));
+    const simulation = simulateStrategy(toTimeframe(path), {
+      ...engineOptions,
+      dividends: scaleDividends(dividends, dailyCandles, path)
+    });
+    outcomes.push(outcome(simulation, riskFreeRate));
+  }
+
+  const tail = (100 - confidenceLevel) / 2;
+  const summarize = field => {
+    const values = outcomes.map(result => result[field]);
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      historical: historical[field],
+      lower: percentile(sorted, tail),
+      upper: percentile(sorted, 100 - tail),
+      ...describeDistribution(values)
+    };
+  };
+
+  return {
+    method,
+    blockSize: method === 'block' ? blockSize : 1,
+    seed,
+    simulations,
+    confidenceLevel,
+    historical,
+    probabilityOfLoss: outcomes.length > 0
+      ? (outcomes.filter(result => result.pnLWithDividend < 0).length / outcomes.length) * 100
+      : 0,
+    results: {
+      pnL: summarize('pnL'),
+      pnLPercent: summarize('pnLPercent'),
+      pnLWithDividendPercent: summarize('pnLWithDividendPercent'),
+      dividendsReceived: summarize('dividendsReceived'),
+      maxDrawdownPercent: summarize('maxDrawdownPercent')
+    }
+  };
+}
+
+module.exports = {
+  MONTE_CARLO_METHODS,
+  DEFAULT_SIMULATIONS,
+  MAX_SIMULATIONS,
+  MAX_SIMULATED_CANDLES,
+  simulationLimit,
+  createRandom,
+  runMonteCarlo
+};
\ No newline at end of file
@@ -0,0 +1,189 @@
+const { simulateStrategy } = require('./backtestEngine');
+const { getStrategy, validateStrategyParams } = require('./strategies');
+const { EXIT_RULE_KEYS } = require('./exitRules');
+const { summarizeSimulation } = require('./benchmarks');
+const { parseTimeframe } = require('./resampleUtils');
+
+// Grid search over strategy parameters, exit rules, quantity and timeframe.
+// Candles are fetched once per ticker by the caller and passed in per timeframe,
+// so a sweep costs one price request no matter how many combinations it runs.
+
+const MAX_SWEEP_RUNS = 500;
+const MAX_RANGE_VALUES = 100;
+
+// Ranking objectives - every one sorts best-first in descending order
+// (drawdowns are negative percentages, so the shallowest drawdown ranks first)
+const SWEEP_OBJECTIVES = {
+  totalReturnWithDividends: { label: 'Total return incl. dividends (%)', field: 'totalReturnPercent' },
+  yieldOnCost: { label: 'Yield on cost (%)', field: 'yieldOnCost' },
+  maxDrawdown: { label: 'Max drawdown (%)', field: 'maxDrawdownPercent' },
+  cagr: { label: 'CAGR (%)', field: 'cagrPercent' },
+  sharpeRatio: { label: 'Sharpe ratio', field: 'sharpeRatio' }
+};
+
+const DEFAULT_OBJECTIVE = 'totalReturnWithDividends';
+
+// A range is a list of values, a { min, max, step } block or a single value
+function expandRange(spec) {
+  if (Array.isArray(spec)) {
+    return spec.map(value => parseFloat(value)).filter(value => !isNaN(value));
+  }
+
+  if (spec && typeof spec === 'object') {
+    const min = parseFloat(spec.min);
+    const max = parseFloat(spec.max);
+    const step = parseFloat(spec.step) || 1;
+    if (isNaN(min) || isNaN(max) || step <= 0 || max < min) return [];
+
+    const values = [];
+    // Step in integer multiples to avoid accumulating floating point error
+    for (let i = 0; min + i * step <= max + 1e-9 && values.length < MAX_RANGE_VALUES; i++) {
+      values.push(parseFloat((min + i * step).toFixed(10)));
+    }
+    return values;
+  }
+
+  const value = parseFloat(spec);
+  return isNaN(value) ? [] : [value];
+}
+
+// Every combination of the given dimensions: [{ key, values }] -> [{ key: value, ... }]
+function cartesianProduct(dimensions) {
+  return dimensions.reduce(
+    (combinations, dimension) => combinations.flatMap(combination =>
+      dimension.values.map(value => ({ ...combination, [dimension.key]: value }))
+    ),
+    [{}]
+  );
+}
+
+// Expand the request's grid into a list of runs.
+// grid: { timeframes: [], quantity: range, strategyParams: { param: range }, exitRules: { rule: range } }
+// Returns { combinations } or { error }.
+function buildSweepGrid(grid = {}, options = {}) {
+  const { strategy, validTimeframes = [], defaultTimeframe = '1D', defaultQuantity = 1 } = options;
+  const strategyDefinition = getStrategy(strategy);
+
+  const timeframes = grid.timeframes && grid.timeframes.length > 0 ? grid.timeframes : [defaultTimeframe];
+  // Custom lengths such as 10D or 2W are resampled from daily candles, so always accepted
+  const invalidTimeframe = timeframes.find(timeframe => !validTimeframes.includes(timeframe) && !parseTimeframe(timeframe));
+  if (invalidTimeframe) {
+    return { error: `Invalid timeframe in grid: ${invalidTimeframe}` };
+  }
+
+  const dimensions = [{ key: 'timeframe', values: timeframes }];
+
+  const quantities = grid.quantity !== undefined ? expandRange(grid.quantity) : [defaultQuantity];
+  if (quantities.length === 0 || quantities.some(quantity => quantity <= 0)) {
+    return { error: 'grid.quantity must contain positive numbers' };
+  }
+  dimensions.push({ key: 'quantity', values: quantities });
+
+  const paramKeys = Object.keys(grid.strategyParams || {});
+  for (const key of paramKeys) {
+    if (!(key in strategyDefinition.defaultParams)) {
+      return { error: `Strategy ${strategy} has no parameter ${key}` };
+    }
+    const values = expandRange(grid.strategyParams[key]);
+    if (values.length === 0) {
+      return { error: `grid.strategyParams.${key} has no valid values` };
+    }
+    // Every value must pass the same checks as a single run's strategyParams
+    const invalid = values.map(value => validateStrategyParams(strategy, { [key]: value })).find(Boolean);
+    if (invalid) {
+      return { error: `grid.${invalid}` };
+    }
+    dimensions.push({ key: `strategyParams.${key}`, values });
+  }
+
+  const ruleKeys = Object.keys(grid.exitRules || {});
+  for (const key of ruleKeys) {
+    if (!EXIT_RULE_KEYS.includes(key)) {
+      return { error: `Unknown exit rule in grid: ${key}` };
+    }
+    const values = expandRange(grid.exitRules[key]);
+    if (values.length === 0) {
+      return { error: `grid.exitRules.${key} has no valid values` };
+    }
+    dimensions.push({ key: `exitRules.${key}`, values });
+  }
+
+  const total = dimensions.reduce((count, dimension) => count * dimension.values.length, 1);
+  if (total > MAX_SWEEP_RUNS) {
+    return { error: `Grid expands to ${total} runs; the limit is ${MAX_SWEEP_RUNS}` };
+  }
+
+  const combinations = cartesianProduct(dimensions).map(flat => {
+    const combination = { timeframe: flat.timeframe, quantity: flat.quantity, strategyParams: {}, exitRules: {} };
+    Object.keys(flat).forEach(key => {
+      const [group, name] = key.split('.');
+      if (name) combination[group][name] = flat[key];
+    });
+    return combination;
+  });
+
+  return { combinations };
+}
+
+// Run every combination and rank the results by the objective.
+// candlesByTimeframe: { '1D': [...], '1W': [...] }
+// options: { strategy, strategyParams, exitRules, sizing, dividends, initialCapital, cashInterestRate,
+//            reinvestDividends, riskFreeRate, objective, annualDividendPerShare, limit }
+function runParameterSweep(candlesByTimeframe, combinations, options = {}) {
+  const {
+    strategy,
+    strategyParams = {},
+    exitRules = {},
+    riskFreeRate = 0,
+    objective = DEFAULT_OBJECTIVE,
+    annualDividendPerShare = 0,
+    limit = null,
+    ...engineOptions
+  } = options;
+  const { field } = SWEEP_OBJECTIVES[objective];
+
+  const results = combinations.map(combination => {
+    const simulation = simulateStrategy(candlesByTimeframe[combination.timeframe], {
+      ...engineOptions,
+      strategy,
+      quantity: combination.quantity,
+      strategyParams: { ...strategyParams, ...combination.strategyParams },
+      exitRules: { ...exitRules, ...combination.exitRules }
+    });
+    const summary = summarizeSimulation(simulation, { riskFreeRate });
+
+    return {
+      timeframe: combination.timeframe,
+      quantity: combination.quantity,
+      strategyParams: simulation.strategyParams,
+      exitRules: simulation.exitRules,
+      ...summary,
+      // Same definition as the single backtest: annualized latest dividend over average cost
+      yieldOnCost: simulation.averageCost > 0 ? (annualDividendPerShare / simulation.averageCost) * 100 : 0,
+      signalCount: simulation.signalCount,
+      closedTrades: simulation.tradeStats.closedTrades,
+      winRate: simulation.tradeStats.winRate
+    };
+  });
+
+  const ranked = results
+    .sort((a, b) => b[field] - a[field])
+    .map((result, index) => ({ rank: index + 1, ...result }));
+
+  return {
+    objective,
+    objectiveLabel: SWEEP_OBJECTIVES[objective].label,
+    totalRuns: ranked.length,
+    best: ranked[0] || null,
+    results: limit ? ranked.slice(0, limit) : ranked
+  };
+}
+
+module.exports = {
+  MAX_SWEEP_RUNS,
+  SWEEP_OBJECTIVES,
+  DEFAULT_OBJECTIVE,
+  expandRange,
+  buildSweepGrid,
+  runParameterSweep
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+// Performance statistics computed from the backtest engine's equity curve.
+// Returns are time-weighted: new money put in on a candle (a strategy buy in
+// share-accumulation mode) is removed from that candle's return, so contributions
+// never show up as gains and drawdowns reflect price moves only.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+// Per-candle returns net of contributions; candles before the first investment are skipped
+function periodReturns(equityCurve) {
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    const previous = equityCurve[i - 1].value;
+    if (previous <= 0) continue;
+    const current = equityCurve[i].value - (equityCurve[i].contribution || 0);
+    returns.push({ date: equityCurve[i].date, value: current / previous - 1 });
+  }
+  return returns;
+}
+
+// Growth of 1 unit invested at the first return, aligned with the returns array
+function returnIndex(returns) {
+  let level = 1;
+  return returns.map(r => {
+    level *= 1 + r.value;
+    return { date: r.date, level };
+  });
+}
+
+function drawdownStats(index) {
+  let peak = 1;
+  let peakDate = index[0]?.date || null;
+  let maxDrawdown = 0;
+  let maxDrawdownDate = null;
+  let maxDrawdownPeakDate = null;
+  let longestDays = 0;
+  let longestPeriods = 0;
+  let periodsUnderwater = 0;
+
+  index.forEach(point => {
+    if (point.level >= peak) {
+      peak = point.level;
+      peakDate = point.date;
+      periodsUnderwater = 0;
+      return;
+    }
+
+    periodsUnderwater++;
+    const drawdown = (point.level - peak) / peak;
+    if (drawdown < maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownDate = point.date;
+      maxDrawdownPeakDate = peakDate;
+    }
+
+    const daysUnderwater = (new Date(point.date) - new Date(peakDate)) / MS_PER_DAY;
+    longestDays = Math.max(longestDays, daysUnderwater);
+    longestPeriods = Math.max(longestPeriods, periodsUnderwater);
+  });
+
+  const last = index[index.length - 1];
+  return {
+    maxDrawdownPercent: maxDrawdown * 100,
+    maxDrawdownPeakDate,
+    maxDrawdownTroughDate: maxDrawdownDate,
+    maxDrawdownDurationDays: Math.round(longestDays),
+    maxDrawdownDurationPeriods: longestPeriods,
+    currentDrawdownPercent: last ? ((last.level - peak) / peak) * 100 : 0
+  };
+}
+
+// equityCurve: [{ date, value, contribution }], riskFreeRate in annual percent
+function calculatePerformanceMetrics(equityCurve, options = {}) {
+  const { riskFreeRate = 0 } = options;
+  const returns = periodReturns(equityCurve || []);
+
+  if (returns.length < 2) {
+    return {
+      timeWeightedReturnPercent: 0,
+      cagrPercent: 0,
+      annualizedVolatilityPercent: 0,
+      sharpeRatio: 0,
+      sortinoRatio: 0,
+      maxDrawdownPercent: 0,
+      maxDrawdownPeakDate: null,
+      maxDrawdownTroughDate: null,
+      maxDrawdownDurationDays: 0,
+      maxDrawdownDurationPeriods: 0,
+      currentDrawdownPercent: 0,
+      periodsPerYear: 0
+    };
+  }
+
+  const index = returnIndex(returns);
+  const firstDate = new Date(equityCurve.find(point => point.value > 0)?.date || returns[0].date);
+  const lastDate = new Date(returns[returns.length - 1].date);
+  const years = Math.max((lastDate - firstDate) / (365.25 * MS_PER_DAY), 1 / 365.25);
+  const periodsPerYear = returns.length / years;
+
+  const values = returns.map(r => r.value);
+  const totalGrowth = index[index.length - 1].level;
+  const cagr = Math.pow(totalGrowth, 1 / years) - 1;
+  const volatility = standardDeviation(values) * Math.sqrt(periodsPerYear);
+
+  // Risk-free rate converted to a per-period rate for excess returns
+  const periodRiskFree = Math.pow(1 + riskFreeRate / 100, 1 / periodsPerYear) - 1;
+  const excess = values.map(v => v - periodRiskFree);
+  const annualizedExcess = mean(excess) * periodsPerYear;
+  const downside = Math.sqrt(mean(excess.map(v => Math.pow(Math.min(v, 0), 2)))) * Math.sqrt(periodsPerYear);
+
+  return {
+    timeWeightedReturnPercent: (totalGrowth - 1) * 100,
+    cagrPercent: cagr * 100,
+    annualizedVolatilityPercent: volatility * 100,
+    sharpeRatio: volatility > 0 ? annualizedExcess / volatility : 0,
+    sortinoRatio: downside > 0 ? annualizedExcess / downside : 0,
+    ...drawdownStats(index),
+    periodsPerYear: Math.round(periodsPerYear)
+  };
+}
+
+module.exports = {
+  periodReturns,
+  returnIndex,
+  calculatePerformanceMetrics
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+const { calculatePerformanceMetrics } = require('./performanceMetrics');
+
+// Multi-ticker portfolio backtests: starting capital is split across holdings by weight,
+// each holding runs the strategy in its own cash sleeve, and the sleeves are combined here.
+// Runs are expected in one currency: convert each holding to the reporting currency first
+// (convertSimulation in currency.js), which also supplies the per-holding FX effect.
+
+function toTime(date) {
+  return new Date(date).getTime();
+}
+
+// Validate [{ ticker, weight }] and normalize weights to fractions summing to 1.
+// Weights are optional; when none are given the holdings are equally weighted.
+function normalizeHoldings(holdings) {
+  if (!Array.isArray(holdings) || holdings.length === 0) {
+    return { error: 'holdings must be a non-empty array of { ticker, weight }' };
+  }
+
+  const tickers = holdings.map(holding => (holding && typeof holding.ticker === 'string' ? holding.ticker.trim().toUpperCase() : ''));
+  if (tickers.some(ticker => !ticker)) {
+    return { error: 'Every holding needs a ticker' };
+  }
+  if (new Set(tickers).size !== tickers.length) {
+    return { error: 'Each ticker can only appear once in holdings' };
+  }
+
+  const weighted = holdings.some(holding => holding.weight !== undefined && holding.weight !== null);
+  const weights = holdings.map(holding => (weighted ? parseFloat(holding.weight) : 1));
+  if (weights.some(weight => isNaN(weight) || weight <= 0)) {
+    return { error: 'Holding weights must be positive numbers (or omitted on every holding for equal weights)' };
+  }
+
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  return {
+    holdings: tickers.map((ticker, index) => ({ ticker, weight: weights[index] / totalWeight }))
+  };
+}
+
+// Add up the holdings' equity curves on the union of their candle dates.
+// A holding contributes its last known point on dates it did not trade (other exchange holidays),
+// and its untouched sleeve cash before its first candle.
+function combineEquityCurves(runs) {
+  const dates = new Map();
+  runs.forEach(run => {
+    run.simulation.equityCurve.forEach(point => {
+      const time = toTime(point.date);
+      if (!dates.has(time)) dates.set(time, point.date);
+    });
+  });
+
+  const totalCapital = runs.reduce((sum, run) => sum + run.capital, 0);
+  const positions = runs.map(() => ({ index: 0, last: null }));
+
+  return Array.from(dates.keys())
+    .sort((a, b) => a - b)
+    .map(time => {
+      const point = { date: dates.get(time), marketValue: 0, cash: 0, cumulativeDividends: 0, value: 0 };
+
+      runs.forEach((run, runIndex) => {
+        const curve = run.simulation.equityCurve;
+        const position = positions[runIndex];
+        while (position.index < curve.length && toTime(curve[position.index].date) <= time) {
+          position.last = curve[position.index];
+          position.index++;
+        }
+
+        const last = position.last;
+        point.marketValue += last ? last.marketValue : 0;
+        point.cash += last ? last.cash : run.capital;
+        point.cumulativeDividends += last ? last.cumulativeDividends : 0;
+        point.value += last ? last.value : run.capital;
+      });
+
+      return {
+        ...point,
+        contribution: 0,
+        totalReturn: point.value - totalCapital,
+        totalReturnPercent: totalCapital > 0 ? ((point.value - totalCapital) / totalCapital) * 100 : 0
+      };
+    });
+}
+
+// runs: [{ ticker, weight, capital, simulation }] where simulation is a cash-mode engine result
+function aggregatePortfolio(runs, options = {}) {
+  const { riskFreeRate = 0 } = options;
+  const initialCapital = runs.reduce((sum, run) => sum + run.capital, 0);
+  const equityCurve = combineEquityCurves(runs);
+
+  const holdings = runs.map(run => {
+    const { simulation } = run;
+    const finalEquity = simulation.portfolio.finalEquity;
+    const totalReturn = finalEquity - run.capital;
+    return {
+      ticker: run.ticker,
+      weight: run.weight,
+      capital: run.capital,
+      finalEquity,
+      finalCash: simulation.portfolio.finalCash,
+      finalMarketValue: simulation.portfolio.finalMarketValue,
+      totalShares: simulation.totalShares,
+      lastPrice: simulation.lastPrice,
+      totalReturn,
+      returnPercent: run.capital > 0 ? (totalReturn / run.capital) * 100 : 0,
+      // Share of the whole portfolio's starting capital this holding added (or lost)
+      contributionPercent: initialCapital > 0 ? (totalReturn / initialCapital) * 100 : 0,
+      realizedPnL: simulation.realizedPnL,
+      unrealizedPnL: simulation.unrealizedPnL,
+      dividendsReceived: simulation.drip.dividendsReceived,
+      dividendTaxWithheld: simulation.withholding.taxWithheld,
+      dividendsReinvested: simulation.drip.dividendsReinvested,
+      interestEarned: simulation.portfolio.interestEarned,
+      feesPaid: simulation.costs.totalFees,
+      slippageCost: simulation.costs.slippage,
+      skippedBuys: simulation.portfolio.skippedBuys,
+      // Part of totalReturn due to exchange-rate moves (0 when listed in the reporting currency)
+      currencyEffect: simulation.fx ? simulation.fx.attribution.currencyEffect : 0,
+      tradeStats: simulation.tradeStats
+    };
+  });
+
+  const sum = field => holdings.reduce((total, holding) => total + holding[field], 0);
+  const finalEquity = sum('finalEquity');
+
+  return {
+    summary: {
+      initialCapital,
+      finalEquity,
+      finalCash: sum('finalCash'),
+      finalMarketValue: sum('finalMarketValue'),
+      totalReturn: finalEquity - initialCapital,
+      returnPercent: initialCapital > 0 ? ((finalEquity - initialCapital) / initialCapital) * 100 : 0,
+      realizedPnL: sum('realizedPnL'),
+      unrealizedPnL: sum('unrealizedPnL'),
+      dividendsReceived: sum('dividendsReceived'),
+      dividendTaxWithheld: sum('dividendTaxWithheld'),
+      dividendsReinvested: sum('dividendsReinvested'),
+      interestEarned: sum('interestEarned'),
+      feesPaid: sum('feesPaid'),
+      slippageCost: sum('slippageCost'),
+      currencyEffect: sum('currencyEffect'),
+      holdingsCount: holdings.length
+    },
+    holdings,
+    dividendEvents: runs
+      .flatMap(run => run.simulation.dividendEvents.map(event => ({ ticker: run.ticker, ...event })))
+      .sort((a, b) => toTime(a.exDate) - toTime(b.exDate)),
+    performance: calculatePerformanceMetrics(equityCurve, { riskFreeRate }),
+    equityCurve
+  };
+}
+
+module.exports = {
+  normalizeHoldings,
+  combineEquityCurves,
+  aggregatePortfolio
+};
\ No newline at end of file
@@ -0,0 +1,268 @@
+const moment = require('moment-timezone');
+const _ = require('lodash');
+const { applyWithholding } = require('./withholdingTax');
+const { getPaymentsPerYear, calculateStockMetrics, calculateDividendIncome } = require('./dividendIncome');
+
+// Holdings, cost basis and dividend income from recorded trades - backtest sessions in the
+// transaction service and users' real portfolios. Trades are { ticker, transactionDate, type,
+// quantity, price, fees, totalCost } with BUY/DRIP totalCost including fees and SELL totalCost
+// net of them, as in the Transaction model.
+
+const PORTFOLIO_TRANSACTION_TYPES = ['BUY', 'SELL', 'DIVIDEND'];
+// How far ahead upcoming dividends are listed
+const UPCOMING_MONTHS = 12;
+const PROJECTED_FREQUENCIES = ['monthly', 'quarterly', 'semi-annual', 'annual'];
+// How far a recorded dividend receipt may be from the pay date it is matched to (brokers often
+// credit a day or two off), or after the ex-date when the pay date is unknown
+const RECEIPT_MATCH_DAYS = 5;
+const RECEIPT_MATCH_DAYS_AFTER_EX_DATE = 45;
+
+function isNonNegative(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// Validation message for a user-entered portfolio transaction, or null when it is usable
+function validatePortfolioTransaction(tx) {
+  if (!tx.ticker) return 'ticker is required';
+  if (!tx.date || !moment(tx.date, moment.ISO_8601, true).isValid()) return 'date must be a date such as 2024-01-31';
+  if (moment(tx.date).isAfter(moment(), 'day')) return 'date cannot be in the future';
+  if (!PORTFOLIO_TRANSACTION_TYPES.includes(tx.type)) {
+    return `Unknown transaction type: ${tx.type}. Valid types: ${PORTFOLIO_TRANSACTION_TYPES.join(', ')}`;
+  }
+  if (tx.type === 'DIVIDEND') {
+    return typeof tx.amount === 'number' && tx.amount > 0 ? null : 'DIVIDEND transactions need a positive amount';
+  }
+  if (!(typeof tx.quantity === 'number' && tx.quantity > 0)) return `${tx.type} transactions need a positive quantity`;
+  if (!isNonNegative(tx.price)) return `${tx.type} transactions need a price of 0 or more`;
+  if (tx.fees !== undefined && !isNonNegative(tx.fees)) return 'fees must be 0 or more';
+  return null;
+}
+
+// Portfolio BUY/SELL transactions in the trade shape above (dividend receipts are left out)
+function tradesFromPortfolioTransactions(transactions) {
+  // Oldest first, a day's buys before its sells
+  return _.sortBy(transactions.filter(tx => tx.type !== 'DIVIDEND'), [tx => new Date(tx.date).getTime(), tx => tx.type === 'SELL' ? 1 : 0]).map(tx => {
+    const fees = tx.fees || 0;
+    const value = tx.quantity * tx.price;
+    return {
+      ticker: tx.ticker,
+      transactionDate: tx.date,
+      type: tx.type,
+      quantity: tx.quantity,
+      price: tx.price,
+      fees,
+      totalCost: tx.type === 'SELL' ? value - fees : value + fees
+    };
+  });
+}
+
+// Shares held and average cost per ticker after a list of trades (oldest first). BUY and DRIP
+// add shares at their total cost (fees included); a SELL removes shares at the average cost and
+// realizes the difference from its net proceeds.
+function aggregateHoldings(transactions) {
+  return _.sortBy(Object.entries(_.groupBy(transactions, 'ticker')).map(([ticker, rows]) => {
+    const holding = { ticker, shares: 0, costBasis: 0, averageCost: 0, totalBought: 0, totalSold: 0, realizedPnL: 0, fees: 0, reinvestedShares: 0, transactions: rows.length };
+    for (const tx of rows) {
+      holding.fees += tx.fees || 0;
+      if (tx.type === 'SELL') {
+        const costOfSold = holding.averageCost * tx.quantity;
+        holding.shares -= tx.quantity;
+        holding.costBasis -= costOfSold;
+        holding.totalSold += tx.totalCost;
+        holding.realizedPnL += tx.totalCost - costOfSold;
+      } else {
+        holding.shares += tx.quantity;
+        holding.costBasis += tx.totalCost;
+        holding.totalBought += tx.totalCost;
+        if (tx.type === 'DRIP') holding.reinvestedShares += tx.quantity;
+      }
+      holding.averageCost = holding.shares > 0 ? holding.costBasis / holding.shares : 0;
+      if (holding.shares <= 0) holding.costBasis = 0;
+    }
+    return {
+      ...holding,
+      firstTransactionDate: rows[0].transactionDate,
+      lastTransactionDate: rows[rows.length - 1].transactionDate
+    };
+  }), 'ticker');
+}
+
+// The first SELL that leaves fewer than zero shares of its ticker, or null
+function findOversell(trades) {
+  const shares = {};
+  return trades.find(tx => {
+    shares[tx.ticker] = (shares[tx.ticker] || 0) + (tx.type === 'SELL' ? -tx.quantity : tx.quantity);
+    return shares[tx.ticker] < -1e-9;
+  }) || null;
+}
+
+// Dividends expected after the last known ex-date: the latest amount per share repeated at the
+// detected frequency until `until`. Irregular payers are not projected.
+function projectUpcomingDividends(dividends, { frequency, shares, until, withholding = null }) {
+  if (!PROJECTED_FREQUENCIES.includes(frequency) || shares <= 0 || dividends.length === 0) return [];
+
+  const last = _.maxBy(dividends, dividend => new Date(dividend.exDate).getTime());
+  const monthsApart = 12 / getPaymentsPerYear(frequency);
+  const today = moment().startOf('day');
+  const projected = [];
+  for (let exDate = moment(last.exDate).add(monthsApart, 'months'); exDate.isSameOrBefore(until); exDate.add(monthsApart, 'months')) {
+    if (exDate.isBefore(today)) continue;
+    const { grossIncome, withheldTax, netIncome } = applyWithholding(shares * last.amount, withholding);
+    projected.push({
+      exDate: exDate.format('YYYY-MM-DD'),
+      payDate: null,
+      amountPerShare: last.amount,
+      shares,
+      grossIncome,
+      withheldTax,
+      expectedIncome: netIncome,
+      status: 'projected'
+    });
+  }
+  return projected;
+}
+
+// Dividend income to date per payment: each recorded receipt is matched to the nearest
+// calculated entitlement - within RECEIPT_MATCH_DAYS of its pay date, or in the
+// RECEIPT_MATCH_DAYS_AFTER_EX_DATE after the ex-date when the pay date is unknown - and the
+// receipts replace that entitlement. Entitlements with no receipt are counted as calculated,
+// receipts matching no entitlement as recorded.
+function mergeDividendIncome(paid, receipts) {
+  const day = date => moment(date).format('YYYY-MM-DD');
+  const entitlements = paid.map(detail => ({
+    detail,
+    anchor: moment(day(detail.payDate || detail.exDate)),
+    window: detail.payDate ? [-RECEIPT_MATCH_DAYS, RECEIPT_MATCH_DAYS] : [0, RECEIPT_MATCH_DAYS_AFTER_EX_DATE],
+    receipts: []
+  }));
+  const unmatched = [];
+
+  receipts.forEach(receipt => {
+    const date = moment(day(receipt.date));
+    const nearest = _.minBy(
+      entitlements.filter(entitlement => {
+        const offset = date.diff(entitlement.anchor, 'days');
+        return offset >= entitlement.window[0] && offset <= entitlement.window[1];
+      }),
+      entitlement => Math.abs(date.diff(entitlement.anchor, 'days'))
+    );
+    if (nearest) {
+      nearest.receipts.push(receipt);
+    } else {
+      unmatched.push(receipt);
+    }
+  });
+
+  const payments = [
+    ...entitlements.map(({ detail, anchor, receipts: matched }) => {
+      const recorded = matched.length > 0 ? _.sumBy(matched, 'amount') : null;
+      return {
+        payDate: anchor.format('YYYY-MM-DD'),
+        income: recorded !== null ? recorded : detail.totalIncome,
+        source: recorded !== null ? 'recorded' : 'calculated',
+        recorded,
+        calculated: detail.totalIncome
+      };
+    }),
+    ...unmatched.map(receipt => ({
+      payDate: day(receipt.date),
+      income: receipt.amount,
+      source: 'recorded',
+      recorded: receipt.amount,
+      calculated: null
+    }))
+  ];
+  return _.sortBy(payments, 'payDate');
+}
+
+// One ticker's position: shares, cost basis and market value, dividend income to date and the
+// dividends expected over the next UPCOMING_MONTHS, with the same per-share metrics as a
+// backtest. trades (oldest first) and dividends must be on the same share basis (see
+// corporateActions.js); receipts are the user's recorded DIVIDEND transactions. Income to date
+// takes each payment's recorded receipts when there are any, otherwise the entitlement from
+// dividend data (see mergeDividendIncome).
+function summarizePosition({ ticker, trades, receipts = [], dividends = [], frequency = 'none', currentPrice = 0, withholding = null, currency = 'USD' }) {
+  const holding = aggregateHoldings(trades)[0] || { ticker, shares: 0, costBasis: 0, averageCost: 0, totalBought: 0, totalSold: 0, realizedPnL: 0, fees: 0 };
+  const until = moment().add(UPCOMING_MONTHS, 'months');
+  const sortedDividends = _.sortBy(dividends, dividend => new Date(dividend.exDate).getTime());
+
+  const calculation = trades.length > 0
+    ? calculateDividendIncome(trades.map(tx => ({ date: tx.transactionDate, action: tx.type, quantity: tx.quantity })), sortedDividends, trades[0].transactionDate, until, withholding)
+    : { dividendDetails: [] };
+  const paid = calculation.dividendDetails.filter(detail => detail.status === 'paid');
+  const announced = calculation.dividendDetails.filter(detail => detail.status === 'upcoming');
+  const calculated = {
+    net: _.sumBy(paid, 'totalIncome'),
+    gross: _.sumBy(paid, 'grossIncome'),
+    withheld: _.sumBy(paid, 'withheldTax'),
+    payments: paid.length
+  };
+  const recorded = { net: _.sumBy(receipts, 'amount'), payments: receipts.length };
+  const payments = mergeDividendIncome(paid, receipts);
+  const sources = _.uniq(payments.map(payment => payment.source));
+
+  const upcoming = [
+    ...announced.map(detail => ({
+      exDate: moment(detail.exDate).format('YYYY-MM-DD'),
+      payDate: detail.payDate ? moment(detail.payDate).format('YYYY-MM-DD') : null,
+      amountPerShare: detail.amountPerShare,
+      shares: detail.sharesOwned,
+      grossIncome: detail.grossIncome,
+      withheldTax: detail.withheldTax,
+      expectedIncome: detail.totalIncome,
+      status: 'announced'
+    })),
+    ...projectUpcomingDividends(sortedDividends, { frequency, shares: holding.shares, until, withholding })
+  ];
+
+  const pastDividends = sortedDividends.filter(dividend => moment(dividend.exDate).isSameOrBefore(moment(), 'day'));
+  const metrics = calculateStockMetrics(
+    { averageCost: holding.averageCost },
+    { hasDividends: pastDividends.length > 0, dividends: pastDividends, frequency },
+    currentPrice,
+    holding.shares,
+    holding.costBasis,
+    currency
+  );
+  const marketValue = holding.shares * currentPrice;
+
+  return {
+    ticker,
+    currency,
+    status: holding.shares > 0 ? 'open' : 'closed',
+    shares: holding.shares,
+    averageCost: holding.averageCost,
+    costBasis: holding.costBasis,
+    currentPrice,
+    marketValue,
+    unrealizedPnL: holding.shares > 0 ? marketValue - holding.costBasis : 0,
+    unrealizedPnLPercent: holding.costBasis > 0 ? ((marketValue - holding.costBasis) / holding.costBasis) * 100 : 0,
+    realizedPnL: holding.realizedPnL,
+    totalBought: holding.totalBought,
+    totalSold: holding.totalSold,
+    fees: holding.fees,
+    dividendFrequency: frequency,
+    dividendIncome: {
+      toDate: _.sumBy(payments, 'income'),
+      source: sources.length > 1 ? 'mixed' : sources[0] || 'calculated',
+      recorded,
+      calculated,
+      payments
+    },
+    upcomingDividends: upcoming,
+    expectedDividendIncome: _.sumBy(upcoming, 'expectedIncome'),
+    metrics
+  };
+}
+
+module.exports = {
+  PORTFOLIO_TRANSACTION_TYPES,
+  UPCOMING_MONTHS,
+  validatePortfolioTransaction,
+  tradesFromPortfolioTransactions,
+  aggregateHoldings,
+  findOversell,
+  projectUpcomingDividends,
+  mergeDividendIncome,
+  summarizePosition
+};
\ No newline at end of file
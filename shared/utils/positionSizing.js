@@ -0,0 +1,93 @@
+// Position sizing modes for strategy buys
+//   shares     - fixed share count per signal (the original behaviour)
+//   amount     - fixed currency amount per signal, e.g. "invest $500 every red week"
+//   percentCash - percentage of available cash (requires initialCapital)
+//   volatility - size so that one average candle range moves the position by riskAmount
+
+const SIZING_MODES = ['shares', 'amount', 'percentCash', 'volatility'];
+
+const SHARE_PRECISION = 1e6;
+
+function roundShares(shares, fractional) {
+  if (fractional) {
+    return Math.floor(shares * SHARE_PRECISION) / SHARE_PRECISION;
+  }
+  return Math.floor(shares);
+}
+
+// Normalize the request's sizing block; returns null for an unknown mode
+function resolveSizing(sizing = {}, quantity = 1) {
+  const mode = sizing.mode || 'shares';
+  if (!SIZING_MODES.includes(mode)) return null;
+
+  const fractional = sizing.fractional === true || sizing.fractional === 'true';
+
+  switch (mode) {
+    case 'amount':
+      return { mode, amount: parseFloat(sizing.amount) || 0, fractional };
+    case 'percentCash':
+      return { mode, percent: parseFloat(sizing.percent) || 0, fractional };
+    case 'volatility':
+      return {
+        mode,
+        riskAmount: parseFloat(sizing.riskAmount) || 0,
+        lookback: parseInt(sizing.lookback) || 14,
+        maxAmount: parseFloat(sizing.maxAmount) || null,
+        fractional
+      };
+    default: {
+      const shares = parseFloat(sizing.quantity) || quantity;
+      return { mode: 'shares', quantity: shares, fractional: fractional || !Number.isInteger(shares) };
+    }
+  }
+}
+
+// Validation message for a resolved sizing config, or null when it is usable
+function validateSizing(sizing, { cashMode = false } = {}) {
+  if (!sizing) {
+    return `Unknown sizing mode. Valid modes: ${SIZING_MODES.join(', ')}`;
+  }
+  if (sizing.mode === 'amount' && sizing.amount <= 0) {
+    return 'sizing.amount must be a positive number';
+  }
+  if (sizing.mode === 'percentCash') {
+    if (!cashMode) return 'percentCash sizing requires initialCapital';
+    if (sizing.percent <= 0 || sizing.percent > 100) return 'sizing.percent must be between 0 and 100';
+  }
+  if (sizing.mode === 'volatility' && sizing.riskAmount <= 0) {
+    return 'sizing.riskAmount must be a positive number';
+  }
+  return null;
+}
+
+// Shares to buy for one signal. context: { price, cash, averageRange }
+function calculateBuyQuantity(sizing, context) {
+  const { price, cash, averageRange } = context;
+  if (!price || price <= 0) return 0;
+
+  switch (sizing.mode) {
+    case 'amount':
+      return roundShares(sizing.amount / price, sizing.fractional);
+    case 'percentCash':
+      return roundShares((cash * sizing.percent / 100) / price, sizing.fractional);
+    case 'volatility': {
+      // Not enough history for a range yet - skip rather than guess
+      if (!averageRange || averageRange <= 0) return 0;
+      let shares = sizing.riskAmount / averageRange;
+      if (sizing.maxAmount) {
+        shares = Math.min(shares, sizing.maxAmount / price);
+      }
+      return roundShares(shares, sizing.fractional);
+    }
+    default:
+      return sizing.quantity;
+  }
+}
+
+module.exports = {
+  SIZING_MODES,
+  roundShares,
+  resolveSizing,
+  validateSizing,
+  calculateBuyQuantity
+};
\ No newline at end of file
@@ -0,0 +1,182 @@
+const moment = require('moment-timezone');
+const _ = require('lodash');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const RESAMPLE_LABELS = ['end', 'start'];
+const PARTIAL_PERIOD_MODES = ['flag', 'drop'];
+
+// Timeframes are a count and a unit: D (trading days), W (weeks), M (months) or Y (years),
+// e.g. 1W, 2W, 10D, 3M. Returns null for anything else (including intraday 1h/15m/5m).
+function parseTimeframe(timeframe) {
+  const match = /^(\d+)([DWMY])$/.exec(String(timeframe));
+  if (!match || parseInt(match[1]) < 1) return null;
+  return { count: parseInt(match[1]), unit: match[2] };
+}
+
+// resampling: { weekEnd, fiscalYearStartMonth, label, partialPeriods } from a request body.
+// Returns { options: null } when not set, { options } when valid, { error } otherwise.
+function resolveResampleOptions(resampling) {
+  if (!resampling) return { options: null };
+
+  const weekEnd = String(resampling.weekEnd || 'sunday').toLowerCase();
+  if (!WEEKDAYS.includes(weekEnd)) {
+    return { error: `Unknown weekEnd: ${resampling.weekEnd}. Valid days: ${WEEKDAYS.join(', ')}` };
+  }
+  const fiscalYearStartMonth = resampling.fiscalYearStartMonth !== undefined ? parseInt(resampling.fiscalYearStartMonth) : 1;
+  if (!(fiscalYearStartMonth >= 1 && fiscalYearStartMonth <= 12)) {
+    return { error: 'fiscalYearStartMonth must be a month number from 1 to 12' };
+  }
+  const label = String(resampling.label || 'end').toLowerCase();
+  if (!RESAMPLE_LABELS.includes(label)) {
+    return { error: `Unknown label: ${resampling.label}. Valid labels: ${RESAMPLE_LABELS.join(', ')}` };
+  }
+  const partialPeriods = String(resampling.partialPeriods || 'flag').toLowerCase();
+  if (!PARTIAL_PERIOD_MODES.includes(partialPeriods)) {
+    return { error: `Unknown partialPeriods mode: ${resampling.partialPeriods}. Valid modes: ${PARTIAL_PERIOD_MODES.join(', ')}` };
+  }
+  return { options: { weekEnd, fiscalYearStartMonth, label, partialPeriods } };
+}
+
+// Calendar bounds of the week/month bucket a date falls in. Weeks end on weekEnd (Sunday
+// gives ISO Monday-Sunday weeks); month buckets count from the fiscal year start, so 3M
+// with fiscalYearStartMonth 4 gives Apr-Jun, Jul-Sep, ... and 1Y gives April-March years.
+function calendarPeriod(date, unit, count, options, firstWeekEnd) {
+  if (unit === 'W') {
+    const weekEnd = date.clone().add((WEEKDAYS.indexOf(options.weekEnd) - date.day() + 7) % 7, 'days');
+    const bucket = Math.floor(weekEnd.diff(firstWeekEnd, 'days') / 7 / count);
+    const end = firstWeekEnd.clone().add((bucket + 1) * count * 7 - 7, 'days');
+    return { start: end.clone().subtract(count * 7 - 1, 'days'), end };
+  }
+
+  const months = unit === 'Y' ? count * 12 : count;
+  const offset = options.fiscalYearStartMonth - 1;
+  const absoluteMonth = date.year() * 12 + date.month() - offset;
+  const firstMonth = Math.floor(absoluteMonth / months) * months + offset;
+  const start = moment({ year: Math.floor(firstMonth / 12), month: firstMonth % 12, day: 1 });
+  return { start, end: start.clone().add(months, 'months').subtract(1, 'day') };
+}
+
+// First and last weekday inside a calendar period - a bucket whose data starts after the
+// first or stops before the last is missing sessions at the edge of the requested range
+function firstWeekday(date) {
+  const day = date.clone();
+  while (day.isoWeekday() > 5) day.add(1, 'day');
+  return day;
+}
+
+function lastWeekday(date) {
+  const day = date.clone();
+  while (day.isoWeekday() > 5) day.subtract(1, 'day');
+  return day;
+}
+
+// Group daily candles into bars of the given timeframe.
+// options.silent skips the logging (used when resampling many synthetic or windowed series);
+// the rest are the resolveResampleOptions fields. Each bar is dated with its last session
+// (label 'end') or its first (label 'start') and carries periodStart/periodEnd, tradingDays
+// and partial - true when the first or last bar does not cover its whole period.
+function resampleCandles(dailyCandles, timeframe, options = {}) {
+  if (!dailyCandles || dailyCandles.length === 0) {
+    return [];
+  }
+
+  const { silent = false, weekEnd = 'sunday', fiscalYearStartMonth = 1, label = 'end', partialPeriods = 'flag' } = options;
+  const sorted = _.sortBy(dailyCandles, candle => moment(candle.date).valueOf());
+  if (!silent) console.log(`🔄 Resampling ${sorted.length} daily candles to ${timeframe}`);
+
+  // Unknown timeframes fall back to daily bars
+  const { count, unit } = parseTimeframe(timeframe) || { count: 1, unit: 'D' };
+  const calendarOptions = { weekEnd, fiscalYearStartMonth };
+  const firstDate = moment(sorted[0].date).startOf('day');
+  const firstWeekEnd = firstDate.clone().add((WEEKDAYS.indexOf(weekEnd) - firstDate.day() + 7) % 7, 'days');
+
+  let groups = [];
+  let current = null;
+
+  sorted.forEach((candle, index) => {
+    const candleDate = moment(candle.date).startOf('day');
+    let key;
+    let period = null;
+
+    if (unit === 'D') {
+      // N consecutive sessions; a daily bar is its own period
+      key = count === 1 ? candleDate.format('YYYY-MM-DD') : String(Math.floor(index / count));
+    } else {
+      period = calendarPeriod(candleDate, unit, count, calendarOptions, firstWeekEnd);
+      key = period.start.format('YYYY-MM-DD');
+    }
+
+    if (!current || current.key !== key) {
+      current = { key, period, candles: [] };
+      groups.push(current);
+    }
+    current.candles.push(candle);
+  });
+
+  let resampled = groups.map((group, index) => {
+    const first = group.candles[0];
+    const last = group.candles[group.candles.length - 1];
+    const periodStart = group.period ? group.period.start : moment(first.date);
+    const periodEnd = group.period ? group.period.end : moment(last.date);
+
+    let partial = false;
+    if (unit === 'D') {
+      partial = group.candles.length < count;
+    } else if (index === 0 || index === groups.length - 1) {
+      const missingStart = index === 0 && moment(first.date).startOf('day').isAfter(firstWeekday(periodStart));
+      const missingEnd = index === groups.length - 1 && moment(last.date).startOf('day').isBefore(lastWeekday(periodEnd));
+      partial = missingStart || missingEnd;
+    }
+
+    return {
+      ticker: first.ticker,
+      date: label === 'start' ? first.date : last.date,
+      timeframe: timeframe,
+      open: first.open, // First candle's open
+      high: _.maxBy(group.candles, 'high').high, // Highest high in period
+      low: _.minBy(group.candles, 'low').low, // Lowest low in period
+      close: last.close, // Last candle's close
+      volume: _.sumBy(group.candles, 'volume'), // Sum of all volumes
+      periodStart: periodStart.format('YYYY-MM-DD'),
+      periodEnd: periodEnd.format('YYYY-MM-DD'),
+      tradingDays: group.candles.length,
+      partial
+    };
+  });
+
+  const partialCount = resampled.filter(candle => candle.partial).length;
+  if (partialPeriods === 'drop') {
+    resampled = resampled.filter(candle => !candle.partial);
+  }
+
+  if (silent) return resampled;
+
+  console.log(`✅ Resampled to ${resampled.length} ${timeframe} candles`);
+  if (partialCount > 0) {
+    console.log(`✂️  ${partialCount} partial ${timeframe} period(s) ${partialPeriods === 'drop' ? 'dropped' : 'flagged'}`);
+  }
+
+  // Log some sample data for verification
+  if (resampled.length > 0) {
+    console.log(`📊 Sample ${timeframe} candle:`, {
+      date: moment(resampled[0].date).format('YYYY-MM-DD'),
+      period: `${resampled[0].periodStart} to ${resampled[0].periodEnd}`,
+      open: resampled[0].open,
+      high: resampled[0].high,
+      low: resampled[0].low,
+      close: resampled[0].close,
+      isRed: resampled[0].open > resampled[0].close
+    });
+  }
+
+  return resampled;
+}
+
+module.exports = {
+  WEEKDAYS,
+  RESAMPLE_LABELS,
+  PARTIAL_PERIOD_MODES,
+  parseTimeframe,
+  resolveResampleOptions,
+  resampleCandles
+};
\ No newline at end of file
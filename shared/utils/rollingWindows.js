@@ -0,0 +1,121 @@
+const moment = require('moment-timezone');
+const { simulateStrategy } = require('./backtestEngine');
+const { calculatePerformanceMetrics } = require('./performanceMetrics');
+const { resampleCandles } = require('./resampleUtils');
+
+// Rolling-window (walk-forward) analysis: the same backtest repeated over overlapping
+// windows, e.g. every 36-month window stepping one month, to show how much the
+// result depends on the entry date.
+
+const MAX_WINDOWS = 600;
+const DISTRIBUTION_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+// Linear-interpolated percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Summary statistics for a list of numbers
+function describeDistribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = count > 0 ? sorted.reduce((sum, v) => sum + v, 0) / count : 0;
+  const variance = count > 1 ? sorted.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (count - 1) : 0;
+
+  const percentiles = {};
+  DISTRIBUTION_PERCENTILES.forEach(p => {
+    percentiles[`p${p}`] = percentile(sorted, p);
+  });
+
+  return {
+    count,
+    mean,
+    standardDeviation: Math.sqrt(variance),
+    min: count > 0 ? sorted[0] : 0,
+    max: count > 0 ? sorted[count - 1] : 0,
+    positivePercent: count > 0 ? (sorted.filter(v => v > 0).length / count) * 100 : 0,
+    percentiles
+  };
+}
+
+// Window start/end dates inside [startDate, endDate]; only full-length windows are kept
+function buildWindows(startDate, endDate, options = {}) {
+  const { windowMonths = 36, stepMonths = 1 } = options;
+  const last = moment(endDate);
+  const windows = [];
+
+  for (let i = 0; windows.length < MAX_WINDOWS; i++) {
+    const windowStart = moment(startDate).add(i * stepMonths, 'months');
+    const windowEnd = windowStart.clone().add(windowMonths, 'months').subtract(1, 'day');
+    if (windowEnd.isAfter(last)) break;
+    windows.push({ startDate: windowStart.format('YYYY-MM-DD'), endDate: windowEnd.format('YYYY-MM-DD') });
+  }
+
+  return windows;
+}
+
+// Run the strategy on every window. dailyCandles and dividends cover the whole range and are
+// sliced per window, so the caller only fetches them once.
+// options: engine options plus { timeframe, riskFreeRate, resampling }
+function runRollingWindows(dailyCandles, windows, options = {}) {
+  const { timeframe = '1D', riskFreeRate = 0, resampling = null, ...engineOptions } = options;
+
+  const candleTimes = dailyCandles.map(candle => moment(candle.date).valueOf());
+
+  const results = windows.map(window => {
+    const from = moment(window.startDate).startOf('day').valueOf();
+    const to = moment(window.endDate).endOf('day').valueOf();
+    const daily = dailyCandles.filter((candle, index) => candleTimes[index] >= from && candleTimes[index] <= to);
+    const candles = timeframe === '1D' ? daily : resampleCandles(daily, timeframe, { ...resampling, silent: true });
+
+    const simulation = simulateStrategy(candles, engineOptions);
+    const totalDividend = simulation.dividendEvents.reduce((sum, event) => sum + event.income, 0);
+    const pnL = simulation.realizedPnL + simulation.unrealizedPnL;
+    const invested = simulation.totalInvestment;
+    const performance = calculatePerformanceMetrics(simulation.equityCurve, { riskFreeRate });
+
+    return {
+      startDate: window.startDate,
+      endDate: window.endDate,
+      candles: candles.length,
+      signalCount: simulation.signalCount,
+      totalInvestment: invested,
+      pnL,
+      pnLPercent: invested > 0 ? (pnL / invested) * 100 : 0,
+      totalDividend,
+      pnLWithDividend: pnL + totalDividend,
+      pnLWithDividendPercent: invested > 0 ? ((pnL + totalDividend) / invested) * 100 : 0,
+      cagrPercent: performance.cagrPercent,
+      maxDrawdownPercent: performance.maxDrawdownPercent
+    };
+  });
+
+  // Windows without any buys have no return to measure
+  const measured = results.filter(result => result.totalInvestment > 0);
+  const byReturn = [...measured].sort((a, b) => b.pnLWithDividendPercent - a.pnLWithDividendPercent);
+
+  return {
+    windowCount: results.length,
+    windowsWithTrades: measured.length,
+    distribution: {
+      pnLWithDividendPercent: describeDistribution(measured.map(result => result.pnLWithDividendPercent)),
+      pnLPercent: describeDistribution(measured.map(result => result.pnLPercent)),
+      maxDrawdownPercent: describeDistribution(measured.map(result => result.maxDrawdownPercent))
+    },
+    bestWindow: byReturn[0] || null,
+    worstWindow: byReturn[byReturn.length - 1] || null,
+    windows: results
+  };
+}
+
+module.exports = {
+  MAX_WINDOWS,
+  percentile,
+  describeDistribution,
+  buildWindows,
+  runRollingWindows
+};
\ No newline at end of file
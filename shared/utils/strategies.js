@@ -0,0 +1,141 @@
+const { simpleMovingAverage, relativeStrengthIndex } = require('./indicators');
+
+// Strategy registry - each strategy turns a candle series into a buy signal per candle.
+// Both the API gateway and the backtesting service resolve strategies from here so
+// every code path evaluates the exact same rules. paramRules bound each param
+// ({ integer, min, max }) so requests are rejected before an indicator sees a bad period.
+const STRATEGIES = {
+  red_candle: {
+    label: 'Red candle',
+    description: 'Buy on every candle that closes below its open',
+    defaultParams: {},
+    paramRules: {},
+    buildSignals(candles) {
+      return candles.map(candle => candle.open > candle.close);
+    }
+  },
+
+  consecutive_red: {
+    label: 'Consecutive red candles',
+    description: 'Buy when the last N candles (including the current one) are all red',
+    defaultParams: { count: 2 },
+    paramRules: { count: { integer: true, min: 1 } },
+    buildSignals(candles, params) {
+      let streak = 0;
+      return candles.map(candle => {
+        streak = candle.open > candle.close ? streak + 1 : 0;
+        return streak >= params.count;
+      });
+    }
+  },
+
+  below_sma: {
+    label: 'Close below SMA',
+    description: 'Buy when the close is at least thresholdPercent below the N-period simple moving average',
+    defaultParams: { period: 20, thresholdPercent: 0 },
+    paramRules: { period: { integer: true, min: 1 }, thresholdPercent: { min: 0, max: 100 } },
+    buildSignals(candles, params) {
+      const sma = simpleMovingAverage(candles, params.period);
+      return candles.map((candle, index) => {
+        if (sma[index] === null) return false;
+        return candle.close < sma[index] * (1 - params.thresholdPercent / 100);
+      });
+    }
+  },
+
+  gap_down: {
+    label: 'Gap-down open',
+    description: 'Buy when the candle opens at least gapPercent below the previous close',
+    defaultParams: { gapPercent: 1 },
+    paramRules: { gapPercent: { min: 0, max: 100 } },
+    buildSignals(candles, params) {
+      return candles.map((candle, index) => {
+        if (index === 0) return false;
+        const previousClose = candles[index - 1].close;
+        return candle.open <= previousClose * (1 - params.gapPercent / 100);
+      });
+    }
+  },
+
+  rsi_oversold: {
+    label: 'RSI oversold',
+    description: 'Buy when the N-period RSI is at or below the oversold threshold',
+    defaultParams: { period: 14, threshold: 30 },
+    paramRules: { period: { integer: true, min: 1 }, threshold: { min: 0, max: 100 } },
+    buildSignals(candles, params) {
+      const rsi = relativeStrengthIndex(candles, params.period);
+      return rsi.map(value => value !== null && value <= params.threshold);
+    }
+  }
+};
+
+const DEFAULT_STRATEGY = 'red_candle';
+
+function getStrategy(name) {
+  return STRATEGIES[name] || null;
+}
+
+function listStrategies() {
+  return Object.keys(STRATEGIES).map(key => ({
+    key,
+    label: STRATEGIES[key].label,
+    description: STRATEGIES[key].description,
+    defaultParams: STRATEGIES[key].defaultParams
+  }));
+}
+
+// Merge user params over the strategy defaults, keeping only known numeric params
+function resolveStrategyParams(name, params = {}) {
+  const strategy = getStrategy(name);
+  if (!strategy) return null;
+
+  const resolved = { ...strategy.defaultParams };
+  Object.keys(strategy.defaultParams).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && !isNaN(parseFloat(params[key]))) {
+      resolved[key] = parseFloat(params[key]);
+    }
+  });
+  return resolved;
+}
+
+// Error message for the first param outside its strategy's rules, or null. Params the
+// strategy does not use are ignored, as they are when resolving.
+function validateStrategyParams(name, params = {}) {
+  const strategy = getStrategy(name);
+  if (!strategy) return `Unknown strategy: ${name}`;
+
+  for (const key of Object.keys(strategy.paramRules)) {
+    if (params[key] === undefined || params[key] === null) continue;
+    const rule = strategy.paramRules[key];
+    const value = Number(params[key]);
+    if (params[key] === '' || isNaN(value)) {
+      return `strategyParams.${key} must be a number`;
+    }
+    if (rule.integer && (!Number.isInteger(value) || value < rule.min)) {
+      return `strategyParams.${key} must be a whole number of at least ${rule.min}`;
+    }
+    if (value < rule.min || (rule.max !== undefined && value > rule.max)) {
+      return `strategyParams.${key} must be between ${rule.min} and ${rule.max}`;
+    }
+  }
+  return null;
+}
+
+// Returns a boolean per candle telling whether the strategy fires on it
+function buildSignals(candles, name = DEFAULT_STRATEGY, params = {}) {
+  const strategy = getStrategy(name);
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${name}`);
+  }
+  return strategy.buildSignals(candles, resolveStrategyParams(name, params));
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  getStrategy,
+  listStrategies,
+  resolveStrategyParams,
+  validateStrategyParams,
+  buildSignals
+};
\ No newline at end of file
@@ -0,0 +1,292 @@
+// Capital-gains lot tracking over Transaction records (BUY / SELL / DRIP).
+// Every BUY or DRIP opens a lot at its total cost (fees included); every SELL's net proceeds are
+// matched against open lots by FIFO, LIFO, specific lot (the SELL's lotId / tradeId) or
+// Canadian adjusted cost base (one pooled average cost; the superficial-loss rule is not modelled).
+// This is the tax view of the trades: engine exits close the trade they belong to, so FIFO
+// and LIFO can report a different gain than the trade's own P&L.
+
+const LOT_METHODS = ['fifo', 'lifo', 'specific', 'acb'];
+const TRANSACTION_TYPES = ['BUY', 'SELL', 'DRIP'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+function toTime(date) {
+  return new Date(date).getTime();
+}
+
+// Tax year label: '2024' for calendar years, '2024-25' when the year starts in another month (e.g. April in India)
+function taxYearOf(date, startMonth = 1) {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  if (startMonth === 1) return String(year);
+  const startYear = d.getUTCMonth() + 1 >= startMonth ? year : year - 1;
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+}
+
+// Accept Transaction model records or the gateway's { date, action, cost } shape
+function normalizeLotTransactions(transactions) {
+  const normalized = [];
+  for (const [index, tx] of (transactions || []).entries()) {
+    const type = String(tx.type || tx.action || '').toUpperCase();
+    const date = tx.transactionDate || tx.date;
+    const quantity = parseFloat(tx.quantity);
+    const price = parseFloat(tx.price);
+    const fees = parseFloat(tx.fees) || 0;
+
+    if (!TRANSACTION_TYPES.includes(type)) {
+      return { error: `Transaction ${index + 1}: type must be one of ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    if (!date || isNaN(toTime(date))) {
+      return { error: `Transaction ${index + 1}: a valid transactionDate is required` };
+    }
+    if (!(quantity > 0) || !(price >= 0)) {
+      return { error: `Transaction ${index + 1}: quantity must be positive and price cannot be negative` };
+    }
+
+    // BUY cost includes fees, SELL proceeds are net of them (as in the Transaction model)
+    const given = tx.totalCost !== undefined ? tx.totalCost : tx.cost;
+    const totalCost = given !== undefined ? parseFloat(given) : quantity * price + (type === 'SELL' ? -fees : fees);
+    const lotId = tx.lotId !== undefined ? tx.lotId : tx.tradeId;
+
+    normalized.push({
+      date,
+      time: toTime(date),
+      type,
+      quantity,
+      price,
+      totalCost,
+      lotId: lotId !== undefined && lotId !== null ? String(lotId) : null,
+      order: index
+    });
+  }
+  // Chronological; same-day records keep their given order
+  normalized.sort((a, b) => a.time - b.time || a.order - b.order);
+  return { transactions: normalized };
+}
+
+// Validate the request's taxLots block { method, taxYearStartMonth, longTermDays, transactions };
+// transactions are extra user-supplied records merged with the simulated ones
+function resolveTaxLotOptions(taxLots) {
+  if (!taxLots) return { options: null };
+
+  const method = String(taxLots.method || 'fifo').toLowerCase();
+  if (!LOT_METHODS.includes(method)) {
+    return { error: `Unknown lot method: ${taxLots.method}. Valid methods: ${LOT_METHODS.join(', ')}` };
+  }
+  const taxYearStartMonth = taxLots.taxYearStartMonth !== undefined ? parseInt(taxLots.taxYearStartMonth) : 1;
+  if (!(taxYearStartMonth >= 1 && taxYearStartMonth <= 12)) {
+    return { error: 'taxYearStartMonth must be a month number from 1 to 12' };
+  }
+  const longTermDays = taxLots.longTermDays !== undefined ? parseInt(taxLots.longTermDays) : 365;
+  if (!(longTermDays >= 0)) {
+    return { error: 'longTermDays must be zero or more' };
+  }
+  const normalized = normalizeLotTransactions(taxLots.transactions);
+  if (normalized.error) {
+    return { error: normalized.error };
+  }
+  return { options: { method, taxYearStartMonth, longTermDays, transactions: normalized.transactions } };
+}
+
+// options: { method, taxYearStartMonth, longTermDays, prices: [{ date, close }] for year-end values }
+function trackTaxLots(transactions, options = {}) {
+  const {
+    method = 'fifo',
+    taxYearStartMonth = 1,
+    longTermDays = 365,
+    prices = []
+  } = options;
+
+  const normalized = normalizeLotTransactions(transactions);
+  if (normalized.error) {
+    throw new Error(normalized.error);
+  }
+
+  const lots = [];
+  const disposals = [];
+  const yearEndUnrealized = [];
+  const warnings = [];
+  // Pooled cost for ACB (the lots still track quantities and holding periods)
+  let pooledCost = 0;
+
+  const openLots = () => lots.filter(lot => lot.remaining > EPSILON);
+  const sharesHeld = () => openLots().reduce((sum, lot) => sum + lot.remaining, 0);
+  const lotCost = lot => lot.remaining * lot.costPerShare;
+  const costBasisHeld = () => method === 'acb' ? pooledCost : openLots().reduce((sum, lot) => sum + lotCost(lot), 0);
+
+  const acquire = tx => {
+    lots.push({
+      lotId: tx.lotId || `lot-${lots.length + 1}`,
+      source: tx.type,
+      acquiredDate: tx.date,
+      acquiredTime: tx.time,
+      quantity: tx.quantity,
+      remaining: tx.quantity,
+      costPerShare: tx.totalCost / tx.quantity
+    });
+    pooledCost += tx.totalCost;
+  };
+
+  // Lots to draw from, in matching order
+  const matchingOrder = tx => {
+    const open = openLots();
+    if (method === 'lifo') return open.slice().reverse();
+    if (method === 'specific' && tx.lotId) {
+      const named = open.filter(lot => lot.lotId === tx.lotId);
+      if (named.length === 0) {
+        warnings.push(`SELL on ${tx.date}: lot ${tx.lotId} is not open, matched FIFO instead`);
+      }
+      return named.concat(open.filter(lot => lot.lotId !== tx.lotId));
+    }
+    return open;
+  };
+
+  const dispose = tx => {
+    const held = sharesHeld();
+    const averageCost = held > 0 ? pooledCost / held : 0;
+    let toMatch = tx.quantity;
+    const matched = [];
+
+    for (const lot of matchingOrder(tx)) {
+      if (toMatch <= EPSILON) break;
+      const quantity = Math.min(lot.remaining, toMatch);
+      const costBasis = quantity * (method === 'acb' ? averageCost : lot.costPerShare);
+      const holdingPeriodDays = Math.round((tx.time - lot.acquiredTime) / MS_PER_DAY);
+      matched.push({
+        lotId: lot.lotId,
+        acquiredDate: lot.acquiredDate,
+        quantity,
+        costBasis,
+        holdingPeriodDays,
+        term: holdingPeriodDays > longTermDays ? 'long' : 'short'
+      });
+      lot.remaining -= quantity;
+      toMatch -= quantity;
+    }
+
+    if (toMatch > EPSILON) {
+      warnings.push(`SELL on ${tx.date}: ${toMatch} shares exceed the shares held and have no cost basis`);
+    }
+
+    const costBasis = matched.reduce((sum, lot) => sum + lot.costBasis, 0);
+    pooledCost = Math.max(pooledCost - costBasis, 0);
+    const gain = tx.totalCost - costBasis;
+
+    // Proceeds are spread over the matched lots by quantity to split short and long-term gains
+    let shortTermGain = 0;
+    let longTermGain = 0;
+    matched.forEach(lot => {
+      lot.proceeds = tx.totalCost * (lot.quantity / tx.quantity);
+      lot.gain = lot.proceeds - lot.costBasis;
+      if (lot.term === 'long') longTermGain += lot.gain; else shortTermGain += lot.gain;
+    });
+    const unmatchedGain = gain - shortTermGain - longTermGain;
+    const matchedQuantity = tx.quantity - Math.max(toMatch, 0);
+
+    disposals.push({
+      date: tx.date,
+      taxYear: taxYearOf(tx.date, taxYearStartMonth),
+      quantity: tx.quantity,
+      proceeds: tx.totalCost,
+      costBasis,
+      gain,
+      shortTermGain: shortTermGain + unmatchedGain,
+      longTermGain,
+      holdingPeriodDays: matchedQuantity > 0
+        ? Math.round(matched.reduce((sum, lot) => sum + lot.holdingPeriodDays * lot.quantity, 0) / matchedQuantity)
+        : 0,
+      lots: matched
+    });
+  };
+
+  const apply = tx => (tx.type === 'SELL' ? dispose(tx) : acquire(tx));
+
+  // Walk the price series, snapshotting open lots on the last price of each tax year
+  const sortedPrices = prices
+    .map(price => ({ date: price.date, time: toTime(price.date), close: price.close }))
+    .sort((a, b) => a.time - b.time);
+  let txIndex = 0;
+  const queue = normalized.transactions;
+
+  sortedPrices.forEach((price, index) => {
+    while (txIndex < queue.length && queue[txIndex].time <= price.time) {
+      apply(queue[txIndex++]);
+    }
+    const taxYear = taxYearOf(price.date, taxYearStartMonth);
+    const next = sortedPrices[index + 1];
+    if (next && taxYearOf(next.date, taxYearStartMonth) === taxYear) return;
+
+    const shares = sharesHeld();
+    const costBasis = costBasisHeld();
+    yearEndUnrealized.push({
+      taxYear,
+      date: price.date,
+      price: price.close,
+      shares,
+      costBasis,
+      marketValue: shares * price.close,
+      unrealizedGain: shares * price.close - costBasis
+    });
+  });
+  while (txIndex < queue.length) {
+    apply(queue[txIndex++]);
+  }
+
+  // Realized gains per tax year
+  const realizedByTaxYear = [];
+  disposals.forEach(disposal => {
+    let year = realizedByTaxYear.find(entry => entry.taxYear === disposal.taxYear);
+    if (!year) {
+      year = { taxYear: disposal.taxYear, disposals: 0, quantity: 0, proceeds: 0, costBasis: 0, gain: 0, shortTermGain: 0, longTermGain: 0 };
+      realizedByTaxYear.push(year);
+    }
+    year.disposals++;
+    year.quantity += disposal.quantity;
+    year.proceeds += disposal.proceeds;
+    year.costBasis += disposal.costBasis;
+    year.gain += disposal.gain;
+    year.shortTermGain += disposal.shortTermGain;
+    year.longTermGain += disposal.longTermGain;
+  });
+
+  const last = sortedPrices[sortedPrices.length - 1];
+  const held = sharesHeld();
+  const remainingLots = openLots().map(lot => {
+    const costBasis = method === 'acb' ? lot.remaining * (pooledCost / held) : lotCost(lot);
+    return {
+      lotId: lot.lotId,
+      source: lot.source,
+      acquiredDate: lot.acquiredDate,
+      quantity: lot.remaining,
+      costBasis,
+      holdingPeriodDays: last ? Math.round((last.time - lot.acquiredTime) / MS_PER_DAY) : null,
+      unrealizedGain: last ? lot.remaining * last.close - costBasis : null
+    };
+  });
+
+  const realizedGain = disposals.reduce((sum, disposal) => sum + disposal.gain, 0);
+  return {
+    method,
+    taxYearStartMonth,
+    longTermDays,
+    disposals,
+    realizedByTaxYear,
+    yearEndUnrealized,
+    openLots: remainingLots,
+    totals: {
+      realizedGain,
+      unrealizedGain: last ? held * last.close - costBasisHeld() : null,
+      sharesHeld: held,
+      costBasisHeld: costBasisHeld()
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  LOT_METHODS,
+  taxYearOf,
+  normalizeLotTransactions,
+  resolveTaxLotOptions,
+  trackTaxLots
+};
\ No newline at end of file
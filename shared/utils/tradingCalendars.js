@@ -0,0 +1,302 @@
+const moment = require('moment');
+
+// Exchange trading calendars: which dates have a session and whether it is a regular day,
+// an early close or a special session. US and TSX holidays follow fixed rules; NSE/BSE
+// holidays follow the lunar calendar and are listed per year from the exchange circulars.
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// One-off US market closures (national days of mourning, Hurricane Sandy)
+const US_SPECIAL_CLOSURES = {
+  '2004-06-11': 'National Day of Mourning (Reagan)',
+  '2007-01-02': 'National Day of Mourning (Ford)',
+  '2012-10-29': 'Hurricane Sandy',
+  '2012-10-30': 'Hurricane Sandy',
+  '2018-12-05': 'National Day of Mourning (G.H.W. Bush)',
+  '2025-01-09': 'National Day of Mourning (Carter)'
+};
+
+// NSE and BSE share one holiday list. Add each year's list when the exchanges publish it
+// (December); years without a list fall back to the fixed-date national holidays.
+const INDIA_HOLIDAYS = {
+  2023: {
+    '2023-01-26': 'Republic Day',
+    '2023-03-07': 'Holi',
+    '2023-03-30': 'Ram Navami',
+    '2023-04-04': 'Mahavir Jayanti',
+    '2023-04-07': 'Good Friday',
+    '2023-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+    '2023-05-01': 'Maharashtra Day',
+    '2023-06-29': 'Bakri Id',
+    '2023-08-15': 'Independence Day',
+    '2023-09-19': 'Ganesh Chaturthi',
+    '2023-10-02': 'Mahatma Gandhi Jayanti',
+    '2023-10-24': 'Dussehra',
+    '2023-11-14': 'Diwali Balipratipada',
+    '2023-11-27': 'Gurunanak Jayanti',
+    '2023-12-25': 'Christmas'
+  },
+  2024: {
+    '2024-01-22': 'Special holiday',
+    '2024-01-26': 'Republic Day',
+    '2024-03-08': 'Mahashivratri',
+    '2024-03-25': 'Holi',
+    '2024-03-29': 'Good Friday',
+    '2024-04-11': 'Id-Ul-Fitr',
+    '2024-04-17': 'Ram Navami',
+    '2024-05-01': 'Maharashtra Day',
+    '2024-05-20': 'General Elections',
+    '2024-06-17': 'Bakri Id',
+    '2024-07-17': 'Moharram',
+    '2024-08-15': 'Independence Day',
+    '2024-10-02': 'Mahatma Gandhi Jayanti',
+    '2024-11-01': 'Diwali Laxmi Pujan',
+    '2024-11-15': 'Gurunanak Jayanti',
+    '2024-11-20': 'Maharashtra Assembly Elections',
+    '2024-12-25': 'Christmas'
+  },
+  2025: {
+    '2025-02-26': 'Mahashivratri',
+    '2025-03-14': 'Holi',
+    '2025-03-31': 'Id-Ul-Fitr',
+    '2025-04-10': 'Mahavir Jayanti',
+    '2025-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+    '2025-04-18': 'Good Friday',
+    '2025-05-01': 'Maharashtra Day',
+    '2025-08-15': 'Independence Day',
+    '2025-08-27': 'Ganesh Chaturthi',
+    '2025-10-02': 'Mahatma Gandhi Jayanti',
+    '2025-10-21': 'Diwali Laxmi Pujan',
+    '2025-10-22': 'Diwali Balipratipada',
+    '2025-11-05': 'Gurunanak Jayanti',
+    '2025-12-25': 'Christmas'
+  }
+};
+
+// Sessions held on weekends or holidays (Muhurat trading on Diwali, Saturday sessions).
+// Times are exchange-local.
+const INDIA_SPECIAL_SESSIONS = {
+  '2023-11-12': { name: 'Muhurat trading', open: '18:15', close: '19:15' },
+  '2024-01-20': { name: 'Special Saturday session', open: '09:15', close: '15:30' },
+  '2024-11-01': { name: 'Muhurat trading', open: '18:00', close: '19:00' },
+  '2025-02-01': { name: 'Union Budget session', open: '09:15', close: '15:30' },
+  '2025-10-21': { name: 'Muhurat trading', open: '13:45', close: '14:45' }
+};
+
+const INDIA_FIXED_HOLIDAYS = {
+  '01-26': 'Republic Day',
+  '05-01': 'Maharashtra Day',
+  '08-15': 'Independence Day',
+  '10-02': 'Mahatma Gandhi Jayanti',
+  '12-25': 'Christmas'
+};
+
+// nth weekday (0 = Sunday) of a month; n = -1 is the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = moment({ year, month }).endOf('month').startOf('day');
+    return last.subtract((last.day() - weekday + 7) % 7, 'days');
+  }
+  const first = moment({ year, month, day: 1 });
+  return first.add((weekday - first.day() + 7) % 7 + (n - 1) * 7, 'days');
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return moment({ year, month: month - 1, day });
+}
+
+// NYSE observance: Saturday holidays move to Friday, Sunday holidays to Monday
+function observedUS(date) {
+  if (date.day() === 6) return date.clone().subtract(1, 'day');
+  if (date.day() === 0) return date.clone().add(1, 'day');
+  return date;
+}
+
+function usHolidays(year) {
+  const holidays = {};
+  const add = (date, name) => { holidays[date.format(DATE_FORMAT)] = name; };
+
+  // A Saturday New Year's Day is not observed (the Friday before is a trading day)
+  const newYear = moment({ year, month: 0, day: 1 });
+  if (newYear.day() !== 6) add(observedUS(newYear), "New Year's Day");
+  add(nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+  add(easterSunday(year).subtract(2, 'days'), 'Good Friday');
+  add(nthWeekday(year, 4, 1, -1), 'Memorial Day');
+  if (year >= 2022) add(observedUS(moment({ year, month: 5, day: 19 })), 'Juneteenth');
+  add(observedUS(moment({ year, month: 6, day: 4 })), 'Independence Day');
+  add(nthWeekday(year, 8, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 10, 4, 4), 'Thanksgiving Day');
+  add(observedUS(moment({ year, month: 11, day: 25 })), 'Christmas Day');
+
+  Object.keys(US_SPECIAL_CLOSURES)
+    .filter(date => date.startsWith(String(year)))
+    .forEach(date => { holidays[date] = US_SPECIAL_CLOSURES[date]; });
+  return holidays;
+}
+
+// 13:00 closes before Independence Day, after Thanksgiving and on Christmas Eve
+function usEarlyCloses(year) {
+  return [
+    moment({ year, month: 6, day: 3 }),
+    nthWeekday(year, 10, 4, 4).add(1, 'day'),
+    moment({ year, month: 11, day: 24 })
+  ].reduce((closes, date) => ({ ...closes, [date.format(DATE_FORMAT)]: '13:00' }), {});
+}
+
+function tsxHolidays(year) {
+  const holidays = {};
+  const add = (date, name) => { holidays[date.format(DATE_FORMAT)] = name; };
+  // Weekend holidays move to the next weekday that is not already a holiday
+  const addObserved = (date, name) => {
+    const observed = date.clone();
+    while (observed.day() === 0 || observed.day() === 6 || holidays[observed.format(DATE_FORMAT)]) {
+      observed.add(1, 'day');
+    }
+    add(observed, name);
+  };
+
+  addObserved(moment({ year, month: 0, day: 1 }), "New Year's Day");
+  if (year >= 2008) add(nthWeekday(year, 1, 1, 3), 'Family Day');
+  add(easterSunday(year).subtract(2, 'days'), 'Good Friday');
+  const may24 = moment({ year, month: 4, day: 24 });
+  add(may24.subtract((may24.day() - 1 + 7) % 7, 'days'), 'Victoria Day');
+  addObserved(moment({ year, month: 6, day: 1 }), 'Canada Day');
+  add(nthWeekday(year, 7, 1, 1), 'Civic Holiday');
+  add(nthWeekday(year, 8, 1, 1), 'Labour Day');
+  add(nthWeekday(year, 9, 1, 2), 'Thanksgiving Day');
+  addObserved(moment({ year, month: 11, day: 25 }), 'Christmas Day');
+  addObserved(moment({ year, month: 11, day: 26 }), 'Boxing Day');
+  return holidays;
+}
+
+function indiaHolidays(year) {
+  if (INDIA_HOLIDAYS[year]) return INDIA_HOLIDAYS[year];
+  return Object.keys(INDIA_FIXED_HOLIDAYS).reduce((holidays, monthDay) => ({
+    ...holidays,
+    [`${year}-${monthDay}`]: INDIA_FIXED_HOLIDAYS[monthDay]
+  }), {});
+}
+
+const CALENDARS = {
+  US: { holidays: usHolidays, earlyCloses: usEarlyCloses, specialSessions: {} },
+  TSX: {
+    holidays: tsxHolidays,
+    earlyCloses: year => ({ [`${year}-12-24`]: '13:00' }),
+    specialSessions: {}
+  },
+  NSE: { holidays: indiaHolidays, earlyCloses: () => ({}), specialSessions: INDIA_SPECIAL_SESSIONS },
+  BSE: { holidays: indiaHolidays, earlyCloses: () => ({}), specialSessions: INDIA_SPECIAL_SESSIONS }
+};
+
+const yearCache = {};
+
+function calendarYear(exchange, year) {
+  const key = `${exchange}:${year}`;
+  if (!yearCache[key]) {
+    const calendar = CALENDARS[exchange] || CALENDARS.US;
+    yearCache[key] = { holidays: calendar.holidays(year), earlyCloses: calendar.earlyCloses(year) };
+  }
+  return yearCache[key];
+}
+
+// True when the year's holidays come from a published list (or fixed rules), false when
+// the NSE/BSE list for that year has not been added yet
+function hasHolidayList(exchange, year) {
+  return !['NSE', 'BSE'].includes(exchange) || Boolean(INDIA_HOLIDAYS[year]);
+}
+
+// Session on a calendar date: null when the exchange is closed, otherwise
+// { date, type: 'regular' | 'early_close' | 'special', name?, open?, close? }.
+// open/close are only set when they differ from the regular hours.
+function sessionOn(date, exchange) {
+  const day = moment(date, DATE_FORMAT);
+  const key = day.format(DATE_FORMAT);
+  const special = (CALENDARS[exchange] || CALENDARS.US).specialSessions[key];
+  if (special) {
+    return { date: key, type: 'special', ...special };
+  }
+
+  if (day.day() === 0 || day.day() === 6) return null;
+  const { holidays, earlyCloses } = calendarYear(exchange, day.year());
+  if (holidays[key]) return null;
+  if (earlyCloses[key]) {
+    return { date: key, type: 'early_close', close: earlyCloses[key] };
+  }
+  return { date: key, type: 'regular' };
+}
+
+function isTradingDay(date, exchange) {
+  return sessionOn(date, exchange) !== null;
+}
+
+function holidayName(date, exchange) {
+  const day = moment(date, DATE_FORMAT);
+  return calendarYear(exchange, day.year()).holidays[day.format(DATE_FORMAT)] || null;
+}
+
+// Every session date (YYYY-MM-DD) from startDate to endDate inclusive
+function tradingDays(exchange, startDate, endDate) {
+  const days = [];
+  const current = moment(moment(startDate).format(DATE_FORMAT), DATE_FORMAT);
+  const end = moment(moment(endDate).format(DATE_FORMAT), DATE_FORMAT);
+  while (current.isSameOrBefore(end)) {
+    if (isTradingDay(current, exchange)) days.push(current.format(DATE_FORMAT));
+    current.add(1, 'day');
+  }
+  return days;
+}
+
+// Session dates in the range that are not in presentDates (a Set or array of YYYY-MM-DD)
+function missingTradingDays(exchange, startDate, endDate, presentDates) {
+  const present = presentDates instanceof Set ? presentDates : new Set(presentDates);
+  return tradingDays(exchange, startDate, endDate).filter(date => !present.has(date));
+}
+
+// Collapse missing session dates into { startDate, endDate } ranges to fetch. Runs of
+// missing days separated by up to maxGapSessions present sessions are merged, so a few
+// scattered holes cost one request rather than one each.
+function groupMissingRanges(exchange, missingDates, options = {}) {
+  const { maxGapSessions = 5 } = options;
+  if (missingDates.length === 0) return [];
+
+  const sorted = [...missingDates].sort();
+  const sessionIndex = {};
+  tradingDays(exchange, sorted[0], sorted[sorted.length - 1]).forEach((date, index) => { sessionIndex[date] = index; });
+
+  const ranges = [{ startDate: sorted[0], endDate: sorted[0] }];
+  sorted.slice(1).forEach(date => {
+    const last = ranges[ranges.length - 1];
+    if (sessionIndex[date] - sessionIndex[last.endDate] - 1 <= maxGapSessions) {
+      last.endDate = date;
+    } else {
+      ranges.push({ startDate: date, endDate: date });
+    }
+  });
+  return ranges;
+}
+
+module.exports = {
+  hasHolidayList,
+  sessionOn,
+  isTradingDay,
+  holidayName,
+  tradingDays,
+  missingTradingDays,
+  groupMissingRanges
+};
\ No newline at end of file
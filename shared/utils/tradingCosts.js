@@ -0,0 +1,168 @@
+// Trading costs applied to simulated fills: broker commission, statutory charges
+// (stamp duty, STT, exchange and regulatory fees) and slippage.
+// Costs are off unless the request sends a `costs` block; an empty block applies the
+// defaults for the ticker's exchange. Amounts are in the listing's own currency.
+
+const COMMISSION_TYPES = ['flat', 'perShare', 'percentage'];
+const SLIPPAGE_MODELS = ['bps', 'range'];
+
+// Typical retail schedules, meant as a starting point - override any part per request.
+// Percent fields are percentages of trade value.
+const EXCHANGE_COST_DEFAULTS = {
+  US: {
+    commission: { type: 'perShare', perShare: 0.005, min: 1, maxPercent: 1 },
+    charges: [
+      { name: 'SEC fee', buyPercent: 0, sellPercent: 0.00278 }
+    ]
+  },
+  TSX: {
+    commission: { type: 'perShare', perShare: 0.01, min: 1, maxPercent: 0.5 },
+    charges: []
+  },
+  NSE: {
+    commission: { type: 'percentage', percent: 0.03, max: 20 },
+    charges: [
+      { name: 'STT', buyPercent: 0.1, sellPercent: 0.1 },
+      { name: 'Exchange transaction charge', buyPercent: 0.00297, sellPercent: 0.00297 },
+      { name: 'SEBI fee', buyPercent: 0.0001, sellPercent: 0.0001 },
+      { name: 'Stamp duty', buyPercent: 0.015, sellPercent: 0 }
+    ]
+  },
+  BSE: {
+    commission: { type: 'percentage', percent: 0.03, max: 20 },
+    charges: [
+      { name: 'STT', buyPercent: 0.1, sellPercent: 0.1 },
+      { name: 'Exchange transaction charge', buyPercent: 0.00375, sellPercent: 0.00375 },
+      { name: 'SEBI fee', buyPercent: 0.0001, sellPercent: 0.0001 },
+      { name: 'Stamp duty', buyPercent: 0.015, sellPercent: 0 }
+    ]
+  }
+};
+
+// Exchange key from the ticker format used across the services (.TO, .IN, BSE:...)
+function exchangeFromTicker(ticker = '') {
+  const upper = ticker.toUpperCase();
+  if (upper.endsWith('.TO')) return 'TSX';
+  if (upper.endsWith('.IN')) return upper.startsWith('BSE:') ? 'BSE' : 'NSE';
+  return 'US';
+}
+
+function toNumber(value, fallback = 0) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+// Merge the request's costs block over the exchange defaults; null when costs are off
+function resolveCosts(costs, ticker) {
+  if (!costs) return null;
+
+  const exchange = costs.exchange && costs.exchange !== 'auto' ? String(costs.exchange).toUpperCase() : exchangeFromTicker(ticker);
+  const useDefaults = costs.useExchangeDefaults !== false && costs.useExchangeDefaults !== 'false';
+  const defaults = (useDefaults && EXCHANGE_COST_DEFAULTS[exchange]) || { commission: null, charges: [] };
+
+  const commissionSource = costs.commission !== undefined ? costs.commission : defaults.commission;
+  const commission = commissionSource ? {
+    type: commissionSource.type || 'flat',
+    amount: toNumber(commissionSource.amount),
+    perShare: toNumber(commissionSource.perShare),
+    percent: toNumber(commissionSource.percent),
+    min: toNumber(commissionSource.min),
+    max: commissionSource.max !== undefined ? toNumber(commissionSource.max, null) : null,
+    maxPercent: commissionSource.maxPercent !== undefined ? toNumber(commissionSource.maxPercent, null) : null
+  } : null;
+
+  const slippage = costs.slippage ? {
+    model: costs.slippage.model || 'bps',
+    bps: toNumber(costs.slippage.bps),
+    rangeFraction: toNumber(costs.slippage.rangeFraction)
+  } : null;
+
+  const charges = (Array.isArray(costs.charges) ? costs.charges : defaults.charges).map(charge => ({
+    name: charge.name || 'Charge',
+    buyPercent: toNumber(charge.buyPercent),
+    sellPercent: toNumber(charge.sellPercent)
+  }));
+
+  return { exchange, commission, slippage, charges };
+}
+
+// Validation message for resolved costs, or null when they are usable
+function validateCosts(costs) {
+  if (!costs) return null;
+  if (!EXCHANGE_COST_DEFAULTS[costs.exchange]) {
+    return `Unknown exchange for costs: ${costs.exchange}. Valid exchanges: ${Object.keys(EXCHANGE_COST_DEFAULTS).join(', ')}`;
+  }
+  if (costs.commission) {
+    const { type, amount, perShare, percent, min, max, maxPercent } = costs.commission;
+    if (!COMMISSION_TYPES.includes(type)) {
+      return `Unknown commission type: ${type}. Valid types: ${COMMISSION_TYPES.join(', ')}`;
+    }
+    if ([amount, perShare, percent, min].some(value => value < 0) || (max !== null && max < 0) || (maxPercent !== null && maxPercent < 0)) {
+      return 'Commission values cannot be negative';
+    }
+  }
+  if (costs.slippage) {
+    if (!SLIPPAGE_MODELS.includes(costs.slippage.model)) {
+      return `Unknown slippage model: ${costs.slippage.model}. Valid models: ${SLIPPAGE_MODELS.join(', ')}`;
+    }
+    if (costs.slippage.bps < 0 || costs.slippage.rangeFraction < 0 || costs.slippage.rangeFraction > 1) {
+      return 'slippage.bps must be positive and slippage.rangeFraction between 0 and 1';
+    }
+  }
+  if (costs.charges.some(charge => charge.buyPercent < 0 || charge.sellPercent < 0)) {
+    return 'Charge percentages cannot be negative';
+  }
+  return null;
+}
+
+// Price actually paid (BUY) or received (SELL) after slippage against the trader
+function applySlippage(price, candle, side, costs) {
+  if (!costs || !costs.slippage) return price;
+
+  const { model, bps, rangeFraction } = costs.slippage;
+  const slip = model === 'range'
+    ? (candle.high - candle.low) * rangeFraction
+    : price * (bps / 10000);
+
+  return side === 'BUY' ? price + slip : Math.max(price - slip, 0);
+}
+
+// Commission and statutory charges for one fill
+function calculateFees(quantity, price, side, costs) {
+  if (!costs || quantity <= 0) return { commission: 0, charges: 0, total: 0 };
+
+  const tradeValue = quantity * price;
+  let commission = 0;
+
+  if (costs.commission) {
+    const { type, amount, perShare, percent, min, max, maxPercent } = costs.commission;
+    if (type === 'perShare') {
+      commission = quantity * perShare;
+    } else if (type === 'percentage') {
+      commission = tradeValue * (percent / 100);
+    } else {
+      commission = amount;
+    }
+    commission = Math.max(commission, min);
+    if (max !== null) commission = Math.min(commission, max);
+    if (maxPercent !== null) commission = Math.min(commission, tradeValue * (maxPercent / 100));
+  }
+
+  const charges = costs.charges.reduce(
+    (sum, charge) => sum + tradeValue * ((side === 'BUY' ? charge.buyPercent : charge.sellPercent) / 100),
+    0
+  );
+
+  return { commission, charges, total: commission + charges };
+}
+
+module.exports = {
+  COMMISSION_TYPES,
+  SLIPPAGE_MODELS,
+  EXCHANGE_COST_DEFAULTS,
+  exchangeFromTicker,
+  resolveCosts,
+  validateCosts,
+  applySlippage,
+  calculateFees
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { exchangeFromTicker } = require('./tradingCosts');
+
+// Dividend withholding tax applied per payment, by the payer's country and the investor's
+// tax residence and account type. Off unless the request sends a `withholdingTax` block,
+// e.g. { residence: 'CA', accountType: 'tfsa' } or with per-source overrides { rates: { US: 30 } }.
+
+const SOURCE_COUNTRIES = {
+  US: 'US',
+  TSX: 'CA',
+  NSE: 'IN',
+  BSE: 'IN'
+};
+
+const ACCOUNT_TYPES = {
+  CA: ['taxable', 'tfsa', 'rrsp', 'rrif', 'resp', 'fhsa'],
+  US: ['taxable', 'ira', 'roth_ira', '401k'],
+  IN: ['taxable']
+};
+
+// Treaty rates for portfolio investors, in percent: residence -> source country -> account type
+// (default covers every account type not listed). US payers withhold nothing from Canadian
+// retirement accounts and Canadian payers nothing from US ones under the Canada-US treaty;
+// TFSAs are not recognized by the IRS. Indian TDS for residents ignores the annual threshold.
+const WITHHOLDING_RATES = {
+  CA: {
+    CA: { default: 0 },
+    US: { default: 15, rrsp: 0, rrif: 0 },
+    IN: { default: 25 }
+  },
+  US: {
+    US: { default: 0 },
+    CA: { default: 15, ira: 0, roth_ira: 0, '401k': 0 },
+    IN: { default: 25 }
+  },
+  IN: {
+    IN: { default: 10 },
+    US: { default: 25 },
+    CA: { default: 25 }
+  }
+};
+
+function sourceCountryFromTicker(ticker) {
+  return SOURCE_COUNTRIES[exchangeFromTicker(ticker)];
+}
+
+// Rate for the ticker's payer country; null when withholding is off
+function resolveWithholding(withholdingTax, ticker) {
+  if (!withholdingTax) return null;
+
+  const residence = String(withholdingTax.residence || '').toUpperCase();
+  const accountType = String(withholdingTax.accountType || 'taxable').toLowerCase();
+  const sourceCountry = sourceCountryFromTicker(ticker);
+  const override = withholdingTax.rates ? withholdingTax.rates[sourceCountry] : undefined;
+
+  let ratePercent = null;
+  if (override !== undefined) {
+    ratePercent = parseFloat(override);
+  } else if (WITHHOLDING_RATES[residence]) {
+    const rates = WITHHOLDING_RATES[residence][sourceCountry];
+    ratePercent = rates[accountType] !== undefined ? rates[accountType] : rates.default;
+  }
+
+  return { residence, accountType, sourceCountry, ratePercent };
+}
+
+// Validation message for a resolved withholding config, or null when it is usable
+function validateWithholding(withholding) {
+  if (!withholding) return null;
+  if (!ACCOUNT_TYPES[withholding.residence]) {
+    return `Unknown tax residence: ${withholding.residence || 'none'}. Valid residences: ${Object.keys(ACCOUNT_TYPES).join(', ')}`;
+  }
+  if (!ACCOUNT_TYPES[withholding.residence].includes(withholding.accountType)) {
+    return `Unknown account type for ${withholding.residence}: ${withholding.accountType}. Valid types: ${ACCOUNT_TYPES[withholding.residence].join(', ')}`;
+  }
+  if (isNaN(withholding.ratePercent) || withholding.ratePercent < 0 || withholding.ratePercent > 100) {
+    return 'Withholding rates must be between 0 and 100';
+  }
+  return null;
+}
+
+// Gross, withheld and net amounts of one dividend payment
+function applyWithholding(grossIncome, withholding) {
+  const withheldTax = withholding ? grossIncome * (withholding.ratePercent / 100) : 0;
+  return { grossIncome, withheldTax, netIncome: grossIncome - withheldTax };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  WITHHOLDING_RATES,
+  sourceCountryFromTicker,
+  resolveWithholding,
+  validateWithholding,
+  applyWithholding
+};
\ No newline at end of file
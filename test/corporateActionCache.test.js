@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { uncoveredRanges } = require('../shared/utils/corporateActionCache');
+
+test('uncoveredRanges returns the whole range when nothing was fetched', () => {
+  assert.deepStrictEqual(uncoveredRanges([], '2020-01-01', '2020-12-31'), [
+    { startDate: '2020-01-01', endDate: '2020-12-31' }
+  ]);
+});
+
+test('uncoveredRanges returns nothing inside a fetched span', () => {
+  const covered = [{ startDate: '2019-01-01', endDate: '2021-06-30' }];
+  assert.deepStrictEqual(uncoveredRanges(covered, '2020-01-01', '2020-12-31'), []);
+});
+
+test('uncoveredRanges returns only the days outside fetched spans', () => {
+  const covered = [
+    { startDate: '2020-03-01', endDate: '2020-03-31' },
+    { startDate: '2020-06-01', endDate: '2020-06-30' }
+  ];
+  assert.deepStrictEqual(uncoveredRanges(covered, '2020-01-01', '2020-12-31'), [
+    { startDate: '2020-01-01', endDate: '2020-02-29' },
+    { startDate: '2020-04-01', endDate: '2020-05-31' },
+    { startDate: '2020-07-01', endDate: '2020-12-31' }
+  ]);
+});
+
+test('uncoveredRanges treats touching and overlapping spans as one', () => {
+  const covered = [
+    { startDate: '2020-04-01', endDate: '2020-06-30' },
+    { startDate: '2020-01-01', endDate: '2020-03-31' },
+    { startDate: '2020-06-15', endDate: '2020-08-31' }
+  ];
+  assert.deepStrictEqual(uncoveredRanges(covered, '2020-02-01', '2020-09-15'), [
+    { startDate: '2020-09-01', endDate: '2020-09-15' }
+  ]);
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Runs the gateway against the recorded Twelve Data responses under fixtures/market-data
+// (AAPL, RY.TO and CAD/USD for Q1 2023), so nothing here needs network access or an API key
+const PORT = process.env.FIXTURE_TEST_PORT || 3099;
+const BASE_URL = `http://localhost:${PORT}`;
+
+let gateway;
+
+async function waitForGateway(timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${BASE_URL}/health`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Gateway did not start on port ${PORT}`);
+}
+
+async function runBacktest(body) {
+  const response = await fetch(`${BASE_URL}/api/v1/backtest`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+test.before(async () => {
+  gateway = spawn(process.execPath, [path.join(__dirname, '..', 'services', 'api-gateway', 'server.js')], {
+    env: { ...process.env, PORT: String(PORT), MARKET_DATA_PROVIDER: 'fixtures', MARKET_DATA_FIXTURE_MODE: 'replay' },
+    stdio: 'ignore'
+  });
+  await waitForGateway();
+});
+
+test.after(() => {
+  if (gateway) gateway.kill();
+});
+
+test('backtests a US ticker from recorded candles and dividends', async () => {
+  const { status, data } = await runBacktest({ ticker: 'AAPL', startDate: '2023-01-01', endDate: '2023-03-31' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(data.currency, 'USD');
+  assert.strictEqual(data.totalCandlePeriods, 62);
+  assert.strictEqual(data.dividendFrequency, 'quarterly');
+
+  const [dividend] = data.dividendCalculationDetails.dividendDetails;
+  assert.strictEqual(data.dividendCalculationDetails.dividendDetails.length, 1);
+  assert.strictEqual(dividend.exDate, '2023-02-10');
+  assert.strictEqual(dividend.amountPerShare, 0.23);
+  assert.strictEqual(data.totalDividend, Math.round(dividend.sharesOwned * 0.23 * 100) / 100);
+});
+
+test('converts a TSX backtest with recorded CAD/USD rates', async () => {
+  const { status, data } = await runBacktest({ ticker: 'RY.TO', startDate: '2023-01-01', endDate: '2023-03-31', reportingCurrency: 'USD' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(data.listingCurrency, 'CAD');
+  assert.strictEqual(data.currency, 'USD');
+  assert.strictEqual(data.fx.pair, 'CAD/USD');
+  assert.ok(data.fx.startRate > 0.7 && data.fx.startRate < 0.8);
+});
+
+test('answers 400 for a ticker without recorded data instead of inventing prices', async () => {
+  const { status, data } = await runBacktest({ ticker: 'MSFT', startDate: '2023-01-01', endDate: '2023-03-31' });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(data.error, 'No price data available');
+});
+
+test('answers 400 when FX rates were not recorded', async () => {
+  const { status, data } = await runBacktest({ ticker: 'AAPL', startDate: '2023-01-01', endDate: '2023-03-31', reportingCurrency: 'EUR' });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(data.error, 'No FX data available');
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_SIMULATED_CANDLES, MAX_SIMULATIONS, simulationLimit, runMonteCarlo } = require('../shared/utils/monteCarlo');
+
+// Daily candles alternating red and green days, drifting up
+function dailyCandles(count) {
+  const candles = [];
+  let close = 100;
+  for (let i = 0; i < count; i++) {
+    const open = close;
+    close = open * (i % 2 === 0 ? 0.99 : 1.015);
+    const date = new Date(Date.UTC(2023, 0, 2) + i * 86400000);
+    candles.push({ date: date.toISOString().slice(0, 10), open, high: Math.max(open, close) * 1.005, low: Math.min(open, close) * 0.995, close, volume: 1000 });
+  }
+  return candles;
+}
+
+test('runMonteCarlo gives identical results for the same seed', () => {
+  const candles = dailyCandles(250);
+  const options = { simulations: 25, seed: 12345, quantity: 1, exitRules: { takeProfitPercent: 5 } };
+
+  const first = runMonteCarlo(candles, options);
+  const second = runMonteCarlo(candles, options);
+
+  assert.strictEqual(first.seed, 12345);
+  assert.deepStrictEqual(second, first);
+});
+
+test('runMonteCarlo draws different paths for different seeds', () => {
+  const candles = dailyCandles(250);
+  const options = { simulations: 25, quantity: 1, method: 'block', blockSize: 10 };
+
+  const first = runMonteCarlo(candles, { ...options, seed: 1 });
+  const second = runMonteCarlo(candles, { ...options, seed: 2 });
+
+  assert.deepStrictEqual(second.historical, first.historical);
+  assert.notDeepStrictEqual(second.results, first.results);
+});
+
+test('simulationLimit keeps paths x candles within MAX_SIMULATED_CANDLES', () => {
+  assert.strictEqual(simulationLimit(2520), Math.floor(MAX_SIMULATED_CANDLES / 2520));
+  assert.ok(simulationLimit(2520) * 2520 <= MAX_SIMULATED_CANDLES);
+  assert.strictEqual(simulationLimit(10), MAX_SIMULATIONS);
+  assert.strictEqual(simulationLimit(MAX_SIMULATED_CANDLES * 2), 1);
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tradesFromPortfolioTransactions, mergeDividendIncome, summarizePosition } = require('../shared/utils/portfolioTracking');
+
+const trades = tradesFromPortfolioTransactions([
+  { ticker: 'RY.TO', date: new Date('2023-01-03'), type: 'BUY', quantity: 100, price: 130 }
+]);
+
+// Two quarterly payments already made, while 100 shares were held
+const dividends = [
+  { exDate: '2023-01-25', payDate: '2023-02-24', amount: 1.32 },
+  { exDate: '2023-04-24', payDate: '2023-05-24', amount: 1.35 }
+];
+
+test('summarizePosition calculates dividend income when nothing is recorded', () => {
+  const position = summarizePosition({ ticker: 'RY.TO', trades, dividends, currency: 'CAD' });
+
+  assert.strictEqual(position.dividendIncome.source, 'calculated');
+  assert.strictEqual(position.dividendIncome.payments.length, 2);
+  assert.ok(Math.abs(position.dividendIncome.toDate - 267) < 1e-9);
+});
+
+test('summarizePosition replaces only the payment dates with a recorded receipt', () => {
+  const receipts = [{ ticker: 'RY.TO', date: new Date('2023-02-23'), type: 'DIVIDEND', amount: 112.2 }];
+  const position = summarizePosition({ ticker: 'RY.TO', trades, receipts, dividends, currency: 'CAD' });
+
+  assert.strictEqual(position.dividendIncome.source, 'mixed');
+  assert.deepStrictEqual(position.dividendIncome.payments.map(payment => [payment.payDate, payment.source]), [
+    ['2023-02-24', 'recorded'],
+    ['2023-05-24', 'calculated']
+  ]);
+  assert.ok(Math.abs(position.dividendIncome.toDate - (112.2 + 135)) < 1e-9);
+});
+
+test('mergeDividendIncome matches a receipt credited a few days off the pay date', () => {
+  const paid = [
+    { exDate: '2023-01-25', payDate: '2023-02-24', totalIncome: 132 },
+    { exDate: '2023-04-24', payDate: '2023-05-24', totalIncome: 135 }
+  ];
+  const receipts = [{ date: '2023-02-27', amount: 112.2 }];
+
+  assert.deepStrictEqual(mergeDividendIncome(paid, receipts), [
+    { payDate: '2023-02-24', income: 112.2, source: 'recorded', recorded: 112.2, calculated: 132 },
+    { payDate: '2023-05-24', income: 135, source: 'calculated', recorded: null, calculated: 135 }
+  ]);
+});
+
+test('mergeDividendIncome matches receipts to entitlements without a pay date after their ex-date', () => {
+  const paid = [{ exDate: '2023-01-25', payDate: null, totalIncome: 132 }];
+  const receipts = [{ date: '2023-02-24', amount: 112.2 }];
+
+  assert.deepStrictEqual(mergeDividendIncome(paid, receipts), [
+    { payDate: '2023-01-25', income: 112.2, source: 'recorded', recorded: 112.2, calculated: 132 }
+  ]);
+});
+
+test('mergeDividendIncome keeps receipts with no nearby entitlement', () => {
+  const paid = [{ exDate: '2023-01-25', payDate: '2023-02-24', totalIncome: 132 }];
+  const receipts = [{ date: '2023-03-15', amount: 10 }];
+
+  assert.deepStrictEqual(mergeDividendIncome(paid, receipts), [
+    { payDate: '2023-02-24', income: 132, source: 'calculated', recorded: null, calculated: 132 },
+    { payDate: '2023-03-15', income: 10, source: 'recorded', recorded: 10, calculated: null }
+  ]);
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment-timezone');
+const { parseTimeframe, resolveResampleOptions, resampleCandles } = require('../shared/utils/resampleUtils');
+
+// One candle per weekday from start to end; each opens at its index
+function weekdayCandles(start, end) {
+  const candles = [];
+  for (const day = moment(start); day.isSameOrBefore(end); day.add(1, 'day')) {
+    if (day.isoWeekday() > 5) continue;
+    const i = candles.length;
+    candles.push({ date: day.format('YYYY-MM-DD'), open: i, high: i + 1, low: i - 1, close: i + 0.5, volume: 100 });
+  }
+  return candles;
+}
+
+const summary = bars => bars.map(bar => [bar.periodStart, bar.periodEnd, bar.date, bar.tradingDays, bar.partial]);
+
+test('parseTimeframe accepts counts of days, weeks, months and years only', () => {
+  assert.deepStrictEqual(parseTimeframe('2W'), { count: 2, unit: 'W' });
+  assert.deepStrictEqual(parseTimeframe('10D'), { count: 10, unit: 'D' });
+  assert.strictEqual(parseTimeframe('15m'), null);
+  assert.strictEqual(parseTimeframe('0D'), null);
+});
+
+test('weekly bars follow ISO weeks and flag a first week that starts midweek', () => {
+  // Wednesday 3 January to Friday 19 January 2024
+  const bars = resampleCandles(weekdayCandles('2024-01-03', '2024-01-19'), '1W', { silent: true });
+  assert.deepStrictEqual(summary(bars), [
+    ['2024-01-01', '2024-01-07', '2024-01-05', 3, true],
+    ['2024-01-08', '2024-01-14', '2024-01-12', 5, false],
+    ['2024-01-15', '2024-01-21', '2024-01-19', 5, false]
+  ]);
+  assert.deepStrictEqual([bars[1].open, bars[1].high, bars[1].low, bars[1].close, bars[1].volume], [3, 8, 2, 7.5, 500]);
+});
+
+test('weekEnd moves the week boundary', () => {
+  const bars = resampleCandles(weekdayCandles('2024-01-08', '2024-01-19'), '1W', { silent: true, weekEnd: 'wednesday' });
+  assert.deepStrictEqual(summary(bars).map(bar => bar.slice(0, 4)), [
+    ['2024-01-04', '2024-01-10', '2024-01-10', 3],
+    ['2024-01-11', '2024-01-17', '2024-01-17', 5],
+    ['2024-01-18', '2024-01-24', '2024-01-19', 2]
+  ]);
+});
+
+test('partial periods can be dropped and bars labelled with their first session', () => {
+  const candles = weekdayCandles('2024-01-03', '2024-01-17');
+  const dropped = resampleCandles(candles, '1W', { silent: true, partialPeriods: 'drop' });
+  assert.deepStrictEqual(dropped.map(bar => bar.periodStart), ['2024-01-08']);
+  const started = resampleCandles(candles, '1W', { silent: true, label: 'start' });
+  assert.deepStrictEqual(started.map(bar => bar.date), ['2024-01-03', '2024-01-08', '2024-01-15']);
+});
+
+test('quarters and years count from the fiscal year start', () => {
+  const candles = weekdayCandles('2024-03-01', '2024-07-31');
+  const quarters = resampleCandles(candles, '3M', { silent: true, fiscalYearStartMonth: 4 });
+  assert.deepStrictEqual(summary(quarters).map(bar => [bar[0], bar[1], bar[4]]), [
+    ['2024-01-01', '2024-03-31', true],
+    ['2024-04-01', '2024-06-30', false],
+    ['2024-07-01', '2024-09-30', true]
+  ]);
+  const years = resampleCandles(candles, '1Y', { silent: true, fiscalYearStartMonth: 4 });
+  assert.deepStrictEqual(years.map(bar => [bar.periodStart, bar.periodEnd]), [['2023-04-01', '2024-03-31'], ['2024-04-01', '2025-03-31']]);
+});
+
+test('day counts group consecutive sessions and flag a short last bar', () => {
+  const bars = resampleCandles(weekdayCandles('2024-01-01', '2024-01-16'), '10D', { silent: true });
+  assert.deepStrictEqual(bars.map(bar => [bar.tradingDays, bar.partial]), [[10, false], [2, true]]);
+});
+
+test('resolveResampleOptions validates the request block', () => {
+  assert.deepStrictEqual(resolveResampleOptions(null), { options: null });
+  assert.deepStrictEqual(resolveResampleOptions({ weekEnd: 'Friday' }).options, { weekEnd: 'friday', fiscalYearStartMonth: 1, label: 'end', partialPeriods: 'flag' });
+  assert.match(resolveResampleOptions({ weekEnd: 'funday' }).error, /Unknown weekEnd/);
+  assert.match(resolveResampleOptions({ fiscalYearStartMonth: 0 }).error, /month number/);
+  assert.match(resolveResampleOptions({ label: 'middle' }).error, /Unknown label/);
+  assert.match(resolveResampleOptions({ partialPeriods: 'keep' }).error, /Unknown partialPeriods/);
+});
\ No newline at end of file
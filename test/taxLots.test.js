@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { taxYearOf, resolveTaxLotOptions, trackTaxLots } = require('../shared/utils/taxLots');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// Lot A: 10 shares at $10, lot B: 10 shares at $20 (B less than a year before the sale)
+const buys = [
+  { transactionDate: '2022-01-10', type: 'BUY', quantity: 10, price: 10, totalCost: 100, lotId: 'A' },
+  { transactionDate: '2023-03-01', type: 'BUY', quantity: 10, price: 20, totalCost: 200, lotId: 'B' }
+];
+const sell = (quantity, lotId) => ({ transactionDate: '2023-06-01', type: 'SELL', quantity, price: 30, totalCost: quantity * 30, lotId });
+
+test('FIFO matches the oldest lots first', () => {
+  const result = trackTaxLots([...buys, sell(15)], { method: 'fifo' });
+  const [disposal] = result.disposals;
+  assert.deepStrictEqual(disposal.lots.map(lot => [lot.lotId, lot.quantity, lot.term]), [['A', 10, 'long'], ['B', 5, 'short']]);
+  close(disposal.costBasis, 200);
+  close(disposal.gain, 250);
+  close(disposal.longTermGain, 200);
+  close(disposal.shortTermGain, 50);
+  assert.deepStrictEqual(result.openLots.map(lot => [lot.lotId, lot.quantity]), [['B', 5]]);
+  close(result.totals.costBasisHeld, 100);
+});
+
+test('LIFO matches the newest lots first', () => {
+  const [disposal] = trackTaxLots([...buys, sell(15)], { method: 'lifo' }).disposals;
+  assert.deepStrictEqual(disposal.lots.map(lot => [lot.lotId, lot.quantity]), [['B', 10], ['A', 5]]);
+  close(disposal.costBasis, 250);
+  close(disposal.shortTermGain, 100);
+  close(disposal.longTermGain, 100);
+});
+
+test('specific identification sells the named lot', () => {
+  const [disposal] = trackTaxLots([...buys, sell(5, 'B')], { method: 'specific' }).disposals;
+  assert.deepStrictEqual(disposal.lots.map(lot => [lot.lotId, lot.quantity]), [['B', 5]]);
+  close(disposal.costBasis, 100);
+  close(disposal.gain, 50);
+});
+
+test('specific identification falls back to FIFO for a lot that is not open', () => {
+  const result = trackTaxLots([...buys, sell(5, 'Z')], { method: 'specific' });
+  assert.deepStrictEqual(result.disposals[0].lots.map(lot => lot.lotId), ['A']);
+  assert.match(result.warnings[0], /lot Z is not open/);
+});
+
+test('ACB uses the pooled average cost', () => {
+  const result = trackTaxLots([...buys, sell(15)], { method: 'acb' });
+  close(result.disposals[0].costBasis, 225);
+  close(result.disposals[0].gain, 225);
+  close(result.totals.costBasisHeld, 75);
+});
+
+test('selling more than is held leaves the excess without cost basis', () => {
+  const result = trackTaxLots([...buys, sell(25)], { method: 'fifo' });
+  close(result.disposals[0].costBasis, 300);
+  close(result.disposals[0].shortTermGain + result.disposals[0].longTermGain, 450);
+  assert.match(result.warnings[0], /5 shares exceed the shares held/);
+});
+
+test('gains and year-end values are grouped by tax year', () => {
+  assert.strictEqual(taxYearOf('2024-03-31', 4), '2023-24');
+  assert.strictEqual(taxYearOf('2024-04-01', 4), '2024-25');
+  assert.strictEqual(taxYearOf('2024-12-31'), '2024');
+
+  const prices = [
+    { date: '2022-12-30', close: 12 },
+    { date: '2023-06-01', close: 30 },
+    { date: '2023-12-29', close: 25 }
+  ];
+  const result = trackTaxLots([...buys, sell(15)], { method: 'fifo', prices });
+  assert.deepStrictEqual(result.realizedByTaxYear.map(year => [year.taxYear, year.gain]), [['2023', 250]]);
+  assert.deepStrictEqual(result.yearEndUnrealized.map(year => [year.taxYear, year.shares, year.unrealizedGain]), [['2022', 10, 20], ['2023', 5, 25]]);
+});
+
+test('resolveTaxLotOptions validates the request block', () => {
+  assert.deepStrictEqual(resolveTaxLotOptions(null), { options: null });
+  assert.strictEqual(resolveTaxLotOptions({}).options.method, 'fifo');
+  assert.match(resolveTaxLotOptions({ method: 'hifo' }).error, /Unknown lot method/);
+  assert.match(resolveTaxLotOptions({ taxYearStartMonth: 13 }).error, /month number/);
+  assert.match(resolveTaxLotOptions({ transactions: [{ type: 'BUY', quantity: 1, price: 1 }] }).error, /transactionDate/);
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hasHolidayList, sessionOn, isTradingDay, holidayName, tradingDays, missingTradingDays, groupMissingRanges } = require('../shared/utils/tradingCalendars');
+
+test('US holidays follow the NYSE rules', () => {
+  const closed = ['2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27', '2024-06-19', '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25'];
+  closed.forEach(date => assert.strictEqual(isTradingDay(date, 'US'), false, date));
+  assert.strictEqual(holidayName('2024-03-29', 'US'), 'Good Friday');
+  // Sunday Juneteenth is observed on Monday; a Saturday New Year's Day is not observed
+  assert.strictEqual(isTradingDay('2022-06-20', 'US'), false);
+  assert.strictEqual(isTradingDay('2021-12-31', 'US'), true);
+  assert.strictEqual(holidayName('2025-01-09', 'US'), 'National Day of Mourning (Carter)');
+});
+
+test('US early closes', () => {
+  assert.deepStrictEqual(sessionOn('2024-11-29', 'US'), { date: '2024-11-29', type: 'early_close', close: '13:00' });
+  assert.strictEqual(sessionOn('2023-07-03', 'US').type, 'early_close');
+  assert.deepStrictEqual(sessionOn('2024-11-27', 'US'), { date: '2024-11-27', type: 'regular' });
+});
+
+test('TSX holidays move off weekends and past each other', () => {
+  ['2024-02-19', '2024-05-20', '2024-07-01', '2024-08-05', '2024-10-14', '2024-12-26'].forEach(date => assert.strictEqual(isTradingDay(date, 'TSX'), false, date));
+  // Canada Day 2023 was a Saturday; Christmas 2022 a Sunday, pushing Boxing Day to Tuesday
+  assert.strictEqual(holidayName('2023-07-03', 'TSX'), 'Canada Day');
+  assert.strictEqual(holidayName('2022-12-26', 'TSX'), 'Christmas Day');
+  assert.strictEqual(holidayName('2022-12-27', 'TSX'), 'Boxing Day');
+  assert.strictEqual(isTradingDay('2024-01-15', 'TSX'), true);
+});
+
+test('NSE and BSE use the published lists and special sessions', () => {
+  assert.strictEqual(isTradingDay('2024-03-25', 'NSE'), false);
+  assert.strictEqual(isTradingDay('2024-03-25', 'BSE'), false);
+  assert.strictEqual(sessionOn('2024-01-20', 'NSE').type, 'special');
+  assert.deepStrictEqual(sessionOn('2024-11-01', 'NSE'), { date: '2024-11-01', type: 'special', name: 'Muhurat trading', open: '18:00', close: '19:00' });
+  assert.strictEqual(isTradingDay('2024-03-25', 'US'), true);
+});
+
+test('years without an NSE list fall back to the fixed national holidays', () => {
+  assert.strictEqual(hasHolidayList('NSE', 2024), true);
+  assert.strictEqual(hasHolidayList('NSE', 2030), false);
+  assert.strictEqual(hasHolidayList('US', 2030), true);
+  assert.strictEqual(holidayName('2030-08-15', 'NSE'), 'Independence Day');
+});
+
+test('tradingDays skips weekends and holidays', () => {
+  assert.deepStrictEqual(tradingDays('US', '2024-12-21', '2024-12-27'), ['2024-12-23', '2024-12-24', '2024-12-26', '2024-12-27']);
+  assert.deepStrictEqual(missingTradingDays('US', '2024-12-23', '2024-12-27', ['2024-12-23', '2024-12-26']), ['2024-12-24', '2024-12-27']);
+});
+
+test('groupMissingRanges merges holes separated by a few sessions', () => {
+  const missing = ['2024-01-02', '2024-01-03', '2024-01-16'];
+  // Seven sessions (MLK Day excluded) sit between 3 and 16 January
+  assert.deepStrictEqual(groupMissingRanges('US', missing), [
+    { startDate: '2024-01-02', endDate: '2024-01-03' },
+    { startDate: '2024-01-16', endDate: '2024-01-16' }
+  ]);
+  assert.deepStrictEqual(groupMissingRanges('US', missing, { maxGapSessions: 7 }), [{ startDate: '2024-01-02', endDate: '2024-01-16' }]);
+  assert.deepStrictEqual(groupMissingRanges('US', []), []);
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exchangeFromTicker, resolveCosts, validateCosts, applySlippage, calculateFees } = require('../shared/utils/tradingCosts');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('exchange defaults come from the ticker format', () => {
+  assert.strictEqual(exchangeFromTicker('AAPL'), 'US');
+  assert.strictEqual(exchangeFromTicker('RY.TO'), 'TSX');
+  assert.strictEqual(exchangeFromTicker('TCS.IN'), 'NSE');
+  assert.strictEqual(exchangeFromTicker('BSE:TCS.IN'), 'BSE');
+  assert.strictEqual(resolveCosts(null, 'AAPL'), null);
+  assert.strictEqual(resolveCosts({}, 'RY.TO').exchange, 'TSX');
+});
+
+test('per-share commission is raised to the minimum', () => {
+  const fees = calculateFees(100, 50, 'BUY', resolveCosts({}, 'AAPL'));
+  close(fees.commission, 1);
+  close(fees.charges, 0);
+  close(fees.total, 1);
+});
+
+test('percentage cap applies after the minimum', () => {
+  // 100 x $0.50 = $50 traded: $0.50 per-share, raised to the $1 minimum, capped at 1% = $0.50
+  const fees = calculateFees(100, 0.5, 'BUY', resolveCosts({}, 'AAPL'));
+  close(fees.commission, 0.5);
+});
+
+test('sell-side charges only apply to sells', () => {
+  const costs = resolveCosts({}, 'AAPL');
+  close(calculateFees(10000, 100, 'BUY', costs).total, 50);
+  // SEC fee 0.00278% of $1,000,000
+  const sell = calculateFees(10000, 100, 'SELL', costs);
+  close(sell.commission, 50);
+  close(sell.charges, 27.8);
+});
+
+test('percentage commission is capped at the flat maximum', () => {
+  const costs = resolveCosts({}, 'RELIANCE.IN');
+  const small = calculateFees(10, 1000, 'BUY', costs);
+  close(small.commission, 3);
+  // STT 0.1%, exchange 0.00297%, SEBI 0.0001%, stamp duty 0.015% of 10,000
+  close(small.charges, 10 + 0.297 + 0.01 + 1.5);
+  close(calculateFees(1000, 1000, 'BUY', costs).commission, 20);
+  // No stamp duty on sells
+  close(calculateFees(10, 1000, 'SELL', costs).charges, 10 + 0.297 + 0.01);
+});
+
+test('request overrides replace the exchange defaults', () => {
+  const costs = resolveCosts({ useExchangeDefaults: false, commission: { type: 'flat', amount: 4.95 } }, 'AAPL');
+  assert.deepStrictEqual(costs.charges, []);
+  close(calculateFees(1, 10, 'SELL', costs).total, 4.95);
+  assert.deepStrictEqual(calculateFees(0, 10, 'BUY', costs), { commission: 0, charges: 0, total: 0 });
+});
+
+test('slippage moves the fill against the trader', () => {
+  const candle = { high: 102, low: 98 };
+  const bps = resolveCosts({ slippage: { bps: 10 } }, 'AAPL');
+  close(applySlippage(100, candle, 'BUY', bps), 100.1);
+  close(applySlippage(100, candle, 'SELL', bps), 99.9);
+  const range = resolveCosts({ slippage: { model: 'range', rangeFraction: 0.5 } }, 'AAPL');
+  close(applySlippage(100, candle, 'BUY', range), 102);
+  assert.strictEqual(applySlippage(100, candle, 'BUY', null), 100);
+});
+
+test('validateCosts rejects unknown exchanges and negative or out-of-range values', () => {
+  assert.strictEqual(validateCosts(resolveCosts({}, 'AAPL')), null);
+  assert.match(validateCosts(resolveCosts({ exchange: 'LSE' }, 'AAPL')), /Unknown exchange/);
+  assert.match(validateCosts(resolveCosts({ commission: { type: 'flat', amount: -1 } }, 'AAPL')), /cannot be negative/);
+  assert.match(validateCosts(resolveCosts({ commission: { type: 'tiered' } }, 'AAPL')), /Unknown commission type/);
+  assert.match(validateCosts(resolveCosts({ slippage: { model: 'range', rangeFraction: 2 } }, 'AAPL')), /rangeFraction/);
+});
\ No newline at end of file
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { apiErrorFrom, isNoDataError } = require('../shared/providers/twelveDataProvider');
+
+test('isNoDataError accepts not-found answers', () => {
+  assert.strictEqual(isNoDataError(apiErrorFrom({ status: 'error', code: 404, message: 'No recorded splits fixture for AAPL' })), true);
+  assert.strictEqual(isNoDataError(apiErrorFrom({ status: 'error', code: 400, message: '**symbol** not found: XYZ' })), true);
+  assert.strictEqual(isNoDataError(apiErrorFrom({ status: 'error', code: 400, message: 'No data is available on the specified dates' })), true);
+});
+
+test('isNoDataError rejects rate limits, plan restrictions and network failures', () => {
+  assert.strictEqual(isNoDataError(apiErrorFrom({ status: 'error', code: 429, message: 'You have run out of API credits for the current minute' })), false);
+  assert.strictEqual(isNoDataError(apiErrorFrom({ status: 'error', code: 403, message: '/splits is available exclusively with grow or pro plans' })), false);
+  assert.strictEqual(isNoDataError(apiErrorFrom({ status: 'error', code: 401, message: 'Invalid API key' })), false);
+  assert.strictEqual(isNoDataError(new Error('getaddrinfo ENOTFOUND api.twelvedata.com')), false);
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sourceCountryFromTicker, resolveWithholding, validateWithholding, applyWithholding } = require('../shared/utils/withholdingTax');
+
+const rate = (withholdingTax, ticker) => resolveWithholding(withholdingTax, ticker).ratePercent;
+
+test('the payer country comes from the listing', () => {
+  assert.strictEqual(sourceCountryFromTicker('AAPL'), 'US');
+  assert.strictEqual(sourceCountryFromTicker('RY.TO'), 'CA');
+  assert.strictEqual(sourceCountryFromTicker('TCS.IN'), 'IN');
+  assert.strictEqual(sourceCountryFromTicker('BSE:TCS.IN'), 'IN');
+});
+
+test('treaty rates by residence, payer country and account type', () => {
+  assert.strictEqual(rate({ residence: 'CA' }, 'AAPL'), 15);
+  assert.strictEqual(rate({ residence: 'CA', accountType: 'tfsa' }, 'AAPL'), 15);
+  assert.strictEqual(rate({ residence: 'CA', accountType: 'RRSP' }, 'AAPL'), 0);
+  assert.strictEqual(rate({ residence: 'ca' }, 'RY.TO'), 0);
+  assert.strictEqual(rate({ residence: 'US' }, 'RY.TO'), 15);
+  assert.strictEqual(rate({ residence: 'US', accountType: 'roth_ira' }, 'RY.TO'), 0);
+  assert.strictEqual(rate({ residence: 'US' }, 'INFY.IN'), 25);
+  assert.strictEqual(rate({ residence: 'IN' }, 'INFY.IN'), 10);
+  assert.strictEqual(rate({ residence: 'IN' }, 'AAPL'), 25);
+});
+
+test('per-source overrides replace the treaty rate', () => {
+  assert.strictEqual(rate({ residence: 'CA', rates: { US: 30 } }, 'AAPL'), 30);
+  assert.strictEqual(rate({ residence: 'CA', rates: { US: 30 } }, 'RY.TO'), 0);
+});
+
+test('withholding is off without a withholdingTax block', () => {
+  assert.strictEqual(resolveWithholding(null, 'AAPL'), null);
+  assert.strictEqual(validateWithholding(null), null);
+  assert.deepStrictEqual(applyWithholding(100, null), { grossIncome: 100, withheldTax: 0, netIncome: 100 });
+});
+
+test('applyWithholding splits a payment into withheld and net', () => {
+  const result = applyWithholding(200, resolveWithholding({ residence: 'CA' }, 'AAPL'));
+  assert.deepStrictEqual(result, { grossIncome: 200, withheldTax: 30, netIncome: 170 });
+});
+
+test('validateWithholding rejects unknown residences, account types and rates', () => {
+  assert.strictEqual(validateWithholding(resolveWithholding({ residence: 'CA', accountType: 'tfsa' }, 'AAPL')), null);
+  assert.match(validateWithholding(resolveWithholding({ residence: 'UK' }, 'AAPL')), /Unknown tax residence/);
+  assert.match(validateWithholding(resolveWithholding({ residence: 'US', accountType: 'tfsa' }, 'AAPL')), /Unknown account type/);
+  assert.match(validateWithholding(resolveWithholding({ residence: 'CA', rates: { US: 120 } }, 'AAPL')), /between 0 and 100/);
+  assert.match(validateWithholding(resolveWithholding({ residence: 'CA', rates: { US: 'high' } }, 'AAPL')), /between 0 and 100/);
+});
\ No newline at end of file